@@ -3,67 +3,131 @@ import axios from 'axios';
 import { load } from 'cheerio';
 import fs from 'fs/promises';
 import path from 'path';
-import { exec } from 'child_process';
-import readline from 'readline/promises';
-import { stdin as input, stdout as output } from 'process';
-import JsonHandler from './utils/json-handler.js';
-
-const USE_GOOGLE = process.env.USE_GOOGLE === 'true';
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
-const FALLBACK_POLICY = (process.env.FALLBACK_POLICY || 'last_resort').toLowerCase();
+import { safeFilename, relativeLink, fileExists } from './utils/paths.js';
+import { assetPathForUrl } from './utils/asset-naming.js';
+import { documentBaseUrl, extractAssetRefs, rewriteAssetRefs } from './utils/html-assets.js';
+import { resolveStylesheets } from './utils/css-resolver.js';
+import { createRenderer, requestAssetType } from './utils/renderers.js';
+import { resolveCrawlOptions, normalizePageUrl, extractPageLinks, pagePathForUrl } from './utils/crawler.js';
+import { DEFAULT_ROBOTS_AGENT, RobotsPolicy, fetchRobotsPolicy } from './utils/robots.js';
+import { collectSitemapUrls } from './utils/sitemap.js';
+import { MANIFEST_DIR, CloneManifest, sha256 } from './utils/manifest.js';
+import { ApiFixtureStore, captureFixture, installApiReplay } from './utils/api-fixtures.js';
+import { DownloadScheduler, sleep } from './utils/scheduler.js';
+import { FailureReport } from './utils/fallbacks.js';
+import { CommandPolicy } from './utils/command-policy.js';
+import { currentConfig, siteCloneOptions } from './utils/config.js';
+import { analyzePage, countBySeverity } from './utils/page-analysis.js';
+import { writeReports } from './utils/reports.js';
+import { verifyCloneDir } from './utils/clone-verifier.js';
+import { optimizeAssets, installOptimizedServing, saveOptimizationResult, readOptimizationResult, clearOptimizationResult } from './utils/asset-optimizer.js';
+import { captureBaselines as captureBaselineShots, compareVisual as compareWithBaselines, readVisualResults } from './utils/visual-regression.js';
 
 /* ========== NEW ANALYSIS TOOLS ========== */
-const USER_AGENTS = [
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.1 Safari/605.1.15',
-    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36',
-];
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-async function executeCommand(cmd = '') {
-    return new Promise((resolve, reject) => {
-        exec(cmd, (error, stdout, stderr) => {
-            if (error) return reject(error);
-            if (stderr) console.warn(`stderr: ${stderr}`);
-            resolve(stdout);
-        });
-    });
-}
+// A random user agent from the config, per request
+const randomUserAgent = (userAgents) => userAgents[Math.floor(Math.random() * userAgents.length)];
 
-function safeFilename(p) {
-    return p.replace(/[:?#<>\\|*"]/g, '_');
+/**
+ * Runs an allow-listed command inside a clone or app directory (see utils/command-policy.js)
+ * @param {string} cmd - Command line; no shell syntax
+ * @param {object} options - { cwd: clone or app directory, policy: CommandPolicy (default: from the config) }
+ * @returns {Promise<object>} { status, exitCode, stdout, stderr, truncated, timedOut } or { error }
+ */
+async function executeCommand(cmd = '', { cwd, policy } = {}) {
+    if (!cwd) return { error: 'No working directory: commands only run inside a clone or app directory.' };
+    let commandPolicy = policy;
+    try {
+        commandPolicy = commandPolicy || CommandPolicy.fromConfig(currentConfig().commands);
+    } catch (e) {
+        return { error: `Invalid command policy: ${e.message}` };
+    }
+    const result = await commandPolicy.run(cmd, cwd);
+    if (result.error) console.warn(`⚠️ ${cmd}: ${result.error}`);
+    return result;
 }
 
-async function downloadAsset(urlStr, outBaseDir, headers = {}) {
+/**
+ * Downloads one asset into outBaseDir, named by assetPathForUrl
+ * @param {string} urlStr - Asset URL
+ * @param {string} outBaseDir - Directory assets are saved under
+ * @param {object} [headers] - Request headers
+ * @param {Map<string, string>} [claimedPaths] - Names already taken in outBaseDir, shared across calls
+ * @param {DownloadScheduler} [scheduler] - Limits, rate-limits and retries the request
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<object>} { ok, outPath, url, contentType, ... } or { ok: false, url, error }
+ */
+async function downloadAsset(urlStr, outBaseDir, headers = {}, claimedPaths = new Map(), scheduler = new DownloadScheduler(), signal = undefined) {
+    const { maxAssetBytes } = scheduler.options;
     try {
-        const res = await axios.get(urlStr, {
+        const res = await scheduler.run(urlStr, () => axios.get(urlStr, {
+            signal,
             responseType: 'arraybuffer',
-            timeout: 30000,
-            headers
-        });
+            timeout: currentConfig().requestTimeoutMs,
+            headers,
+            maxContentLength: maxAssetBytes,
+            // 304 only comes back for conditional requests (If-None-Match / If-Modified-Since)
+            validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+        }), { signal });
+        if (res.status === 304) return { ok: true, notModified: true, url: urlStr };
 
-        const u = new URL(urlStr);
-        const rel = safeFilename(u.pathname.replace(/^\//, ''));
-        const outPath = path.join(outBaseDir, rel || 'index.html');
+        const rel = assetPathForUrl(urlStr, res.headers['content-type'], claimedPaths);
+        const outPath = path.join(outBaseDir, rel);
 
         // Security check
-        if (!path.resolve(outPath).startsWith(path.resolve(outBaseDir))) {
+        if (!path.resolve(outPath).startsWith(path.resolve(outBaseDir) + path.sep)) {
             throw new Error(`Path traversal attempt: ${urlStr}`);
         }
 
         await fs.mkdir(path.dirname(outPath), { recursive: true });
         await fs.writeFile(outPath, res.data);
-        return { ok: true, outPath, content: res.data, url: urlStr };
+        return {
+            ok: true,
+            outPath,
+            content: res.data,
+            url: urlStr,
+            status: res.status,
+            contentType: res.headers['content-type'] || null,
+            etag: res.headers.etag || null,
+            lastModified: res.headers['last-modified'] || null,
+            sha256: sha256(res.data)
+        };
     } catch (e) {
-        return { ok: false, url: urlStr, error: e.message };
+        const error = /maxContentLength/.test(e.message) ? `Larger than the ${maxAssetBytes} byte size cap` : e.message;
+        return { ok: false, url: urlStr, error };
     }
 }
 
 /* ========== ENHANCED CLONE FUNCTION ========== */
-async function cloneWebsite(urlStr = '') {
+/**
+ * Clones a website into clones/<host>_<timestamp>. With `crawl: true` same-origin
+ * links are followed breadth-first and every page is saved at a path mirroring its URL.
+ * Paths disallowed by robots.txt for `robotsAgent` are skipped unless `respectRobots` is false.
+ * Progress is recorded in <clone>/.clone/manifest.json; `resume` (true or a clone dir) continues
+ * from it and `resync` revalidates everything already downloaded with conditional GETs.
+ * Downloads go through a DownloadScheduler configured by `downloadOptions` (see utils/scheduler.js).
+ * References to assets that could not be cloned get the `failedAssetFallback` (see utils/fallbacks.js)
+ * and are listed in <clone>/.clone/failures.json.
+ * `signal` (an AbortSignal) cancels the clone by throwing its abort reason; `onProgress` is called
+ * with { type: 'page', url, path, ... } and { type: 'asset', url, ok, path, ... } events.
+ * @param {string} urlStr - Start URL (may be omitted when `resume` is a clone dir)
+ * @param {object} [options] - { crawl, maxDepth, maxPages, include, exclude, sitemap, respectRobots, robotsAgent,
+ *        resume, resync, downloadOptions, failedAssetFallback, signal, onProgress }
+ * @returns {Promise<object|string>} Clone result
+ */
+async function cloneWebsite(urlStr = '', options = {}) {
+    let opts = options || {};
+    let manifest = null;
+    let resumeDir = null;
+
+    // Resuming a given clone dir reuses its start URL and options
+    if (typeof opts.resume === 'string') {
+        resumeDir = path.resolve(opts.resume);
+        manifest = await CloneManifest.load(resumeDir);
+        if (!manifest) return `No clone manifest found in ${resumeDir}`;
+        urlStr = urlStr || manifest.data.startUrl;
+        opts = { ...manifest.options(), ...opts };
+    }
+
     if (!urlStr) return 'No URL provided';
     let base;
     try {
@@ -72,76 +136,345 @@ async function cloneWebsite(urlStr = '') {
         return `Invalid URL: ${urlStr}`;
     }
 
+    if (manifest && new URL(manifest.data.startUrl).origin !== base.origin) {
+        return `Clone in ${resumeDir} is of ${manifest.data.startUrl}, not ${urlStr}`;
+    }
+
+    // Config defaults and the site's profile sit under the options given
+    const config = currentConfig();
+    opts = siteCloneOptions(base.href, opts, config);
+
+    const { maxDepth, maxPages, inScope } = resolveCrawlOptions(opts);
+    const {
+        respectRobots = true,
+        robotsAgent = DEFAULT_ROBOTS_AGENT,
+        sitemap = false,
+        resync = false,
+        renderer: rendererChoice = 'static',
+        rendererOptions = {},
+        captureApi = true,
+        apiFixtures = [],
+        downloadOptions = {},
+        failedAssetFallback = 'placeholder',
+        signal,
+        onProgress
+    } = opts;
+
+    // A cancelled clone stops at the next page or asset and stays resumable
+    const throwIfAborted = () => signal?.throwIfAborted();
+    const progress = (event) => {
+        if (!onProgress) return;
+        try {
+            onProgress(event);
+        } catch (e) {
+            console.warn(`⚠️ Progress listener failed: ${e.message}`);
+        }
+    };
+
+    let failures;
+    try {
+        failures = new FailureReport(failedAssetFallback);
+    } catch (e) {
+        return e.message;
+    }
+
+    let renderer;
+    let ownsRenderer;
+    try {
+        ({ renderer, owned: ownsRenderer } = createRenderer(rendererChoice, rendererOptions));
+    } catch (e) {
+        return e.message;
+    }
+
+    // robots.txt policy for the target site
+    const robotsHeaders = {
+        'User-Agent': randomUserAgent(config.userAgents),
+        'Referer': base.origin
+    };
+    const robots = respectRobots
+        ? await fetchRobotsPolicy(base.origin, { agent: robotsAgent, headers: robotsHeaders, signal })
+        : RobotsPolicy.allowAll(robotsAgent);
+    if (!robots.isAllowed(base.href)) {
+        return `Blocked by robots.txt: ${urlStr}`;
+    }
+    const crawlDelayMs = (robots.crawlDelay || 0) * 1000;
+    const isSameOrigin = (u) => new URL(u).origin === base.origin;
+
+    // A robots.txt Crawl-delay caps the request rate for the site's own host
+    const scheduler = new DownloadScheduler(downloadOptions);
+    if (robots.crawlDelay > 0) {
+        const rate = scheduler.hostRates[base.host] ?? scheduler.options.requestsPerSecond;
+        scheduler.hostRates[base.host] = Math.min(rate, 1 / robots.crawlDelay);
+    }
+
     const hostname = safeFilename(base.hostname);
-    const outDir = path.join(process.cwd(), 'clones', `${hostname}_${Date.now()}`);
+    const clonesDir = path.resolve(config.outputDir);
+    if (!resumeDir && (opts.resume === true || (resync && opts.resume === undefined))) {
+        resumeDir = await CloneManifest.findLatest(clonesDir, hostname);
+        if (resumeDir) manifest = await CloneManifest.load(resumeDir);
+        else console.log(`No resumable clone of ${hostname} found, starting a new one.`);
+    }
+
+    const outDir = resumeDir || path.join(clonesDir, `${hostname}_${Date.now()}`);
     const assetsDir = path.join(outDir, 'assets');
     await fs.mkdir(assetsDir, { recursive: true });
 
-    // Initial fetch with random UA
-    const initialHeaders = {
-        'User-Agent': USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)],
-        'Referer': base.origin
-    };
-    const { data: html } = await axios.get(urlStr, { responseType: 'text', headers: initialHeaders });
-    const $ = load(html);
+    if (manifest) {
+        console.log(`↩️ ${resync ? 'Re-syncing' : 'Resuming'} clone in ${outDir}`);
+    } else {
+        manifest = CloneManifest.create(outDir, base.href, opts);
+    }
+    manifest.data.status = 'in_progress';
+    await manifest.save();
 
-    // Capture all page assets
+    // Crawl pages breadth-first (only the start page unless crawl mode is on)
     const assetSet = new Set();
-    const assetSelectors = {
-        'link[href]': 'href',
-        'script[src]': 'src',
-        'img[src]': 'src',
-        'img[srcset]': 'srcset',
-        'source[src]': 'src',
-        'audio[src]': 'src',
-        'video[src]': 'src',
-        'video[poster]': 'poster',
-        'meta[content]': 'content',
-        'object[data]': 'data'
+    const assetTypes = new Map();
+    const pages = [];
+    const pageToLocal = {};
+    const startUrl = normalizePageUrl(base.href);
+    const queue = [{ url: startUrl, depth: 0 }];
+    const seenPages = new Set([startUrl]);
+    const usedPagePaths = new Set();
+    let failedPages = 0;
+    let skippedByRobots = 0;
+
+    // Queue a discovered page unless it was seen, is out of scope or disallowed
+    const enqueuePage = (pageUrl, depth) => {
+        if (seenPages.has(pageUrl) || !isSameOrigin(pageUrl) || !inScope(pageUrl)) return false;
+        seenPages.add(pageUrl);
+        if (!robots.isAllowed(pageUrl)) {
+            skippedByRobots++;
+            return false;
+        }
+        queue.push({ url: pageUrl, depth });
+        return true;
     };
 
-    for (const [selector, attr] of Object.entries(assetSelectors)) {
-        $(selector).each((i, el) => {
-            const value = $(el).attr(attr);
-            if (!value) return;
-
-            if (attr === 'srcset') {
-                value.split(',').forEach(part => {
-                    const url = part.trim().split(/\s+/)[0];
-                    if (url) assetSet.add(new URL(url, base).href);
-                });
-            } else {
+    // Seed pages from sitemap.xml (or the sitemaps robots.txt lists)
+    let seededFromSitemap = 0;
+    if (sitemap) {
+        const sitemapUrls = sitemap === true
+            ? (robots.sitemaps.length > 0 ? robots.sitemaps : [new URL('/sitemap.xml', base.origin).href])
+            : [].concat(sitemap).map(s => new URL(s, base.origin).href);
+        const seeds = await collectSitemapUrls(sitemapUrls, { headers: robotsHeaders, timeout: config.requestTimeoutMs, signal });
+        for (const seed of seeds) {
+            try {
+                if (enqueuePage(normalizePageUrl(seed), 0)) seededFromSitemap++;
+            } catch (e) {
+                console.warn(`Invalid sitemap URL: ${seed}`);
+            }
+        }
+        console.log(`🗺️ Seeded ${seededFromSitemap} page(s) from sitemap`);
+    }
+
+    const recordedRequests = [];
+    const apiRequests = [];
+    try {
+        while (queue.length > 0 && pages.length < maxPages) {
+            throwIfAborted();
+            const { url: pageUrl, depth } = queue.shift();
+            const isStartPage = pages.length === 0;
+
+            // Reuse the HTML a previous run fetched; revalidate it when re-syncing
+            const pageEntry = manifest.getPage(pageUrl);
+            const cachedHtml = pageEntry ? await manifest.readCachedPageHtml(pageUrl) : null;
+            let html = resync ? null : cachedHtml;
+            let fetched = false;
+
+            if (html === null) {
+                // Fetch with random UA
+                const pageHeaders = {
+                    'User-Agent': randomUserAgent(config.userAgents),
+                    'Referer': base.origin
+                };
+                if (cachedHtml !== null) {
+                    if (pageEntry.etag) pageHeaders['If-None-Match'] = pageEntry.etag;
+                    if (pageEntry.lastModified) pageHeaders['If-Modified-Since'] = pageEntry.lastModified;
+                }
+
                 try {
-                    assetSet.add(new URL(value, base).href);
+                    const res = await scheduler.run(pageUrl, () => renderer.render(pageUrl, {
+                        headers: pageHeaders,
+                        timeout: config.requestTimeoutMs,
+                        allowNotModified: cachedHtml !== null,
+                        signal
+                    }), { signal });
+                    fetched = true;
+                    if (res.status === 304) {
+                        html = cachedHtml;
+                    } else {
+                        if (!isStartPage && res.contentType && !/html/i.test(res.contentType)) continue;
+                        html = res.html;
+                        await manifest.cachePageHtml(pageUrl, html);
+                        manifest.setPage(pageUrl, {
+                            status: 'fetched',
+                            httpStatus: res.status,
+                            contentType: res.contentType,
+                            etag: res.etag,
+                            lastModified: res.lastModified,
+                            sha256: sha256(html)
+                        });
+                    }
+
+                    // GET requests the page made while running (XHR/fetch, lazy chunks) are assets too;
+                    // other methods are API calls, which only become fixtures
+                    for (const request of res.requests) {
+                        if (captureApi && ['xhr', 'fetch'].includes(request.resourceType) &&
+                            isSameOrigin(request.url) && request.status < 500) {
+                            apiRequests.push(request);
+                        }
+                        const type = requestAssetType(request);
+                        if (!type || request.method !== 'GET' || request.status >= 400) continue;
+                        const requestUrl = new URL(request.url);
+                        requestUrl.hash = '';
+                        assetSet.add(requestUrl.href);
+                        if (!assetTypes.has(requestUrl.href)) assetTypes.set(requestUrl.href, type);
+                        recordedRequests.push({ ...request, page: pageUrl });
+                    }
                 } catch (e) {
-                    console.warn(`Invalid URL: ${value}`);
+                    throwIfAborted();
+                    if (isStartPage) throw e;
+                    console.warn(`❌ Failed page: ${pageUrl} - ${e.message}`);
+                    manifest.setPage(pageUrl, { status: 'failed', error: e.message });
+                    failedPages++;
+                    continue;
                 }
             }
-        });
-    }
 
-    // Batch download with throttling
-    const assetUrls = Array.from(assetSet);
-    const BATCH_SIZE = 5;
-    const DELAY_BETWEEN_BATCHES = 1000;
-    const downloadResults = [];
-    const urlToLocal = {};
+            const $ = load(html);
+            const rel = pageEntry?.path || (isStartPage ? 'index.html' : pagePathForUrl(pageUrl, usedPagePaths));
+            usedPagePaths.add(rel);
+            pageToLocal[pageUrl] = rel;
+            pages.push({ url: pageUrl, rel, depth, $ });
+            manifest.setPage(pageUrl, { path: rel, depth });
+            await manifest.save();
+            progress({ type: 'page', url: pageUrl, path: rel, depth, fetched, pagesCount: pages.length });
+
+            // Capture all page assets
+            for (const ref of extractAssetRefs($, pageUrl)) {
+                assetSet.add(ref.url);
+                if (!assetTypes.has(ref.url)) assetTypes.set(ref.url, ref.type);
+            }
+
+            // Queue linked pages for the next level
+            if (depth < maxDepth) {
+                for (const link of extractPageLinks($, pageUrl)) {
+                    enqueuePage(link, depth + 1);
+                }
+            }
 
-    for (let i = 0; i < assetUrls.length; i += BATCH_SIZE) {
-        const batch = assetUrls.slice(i, i + BATCH_SIZE);
-        const promises = batch.map(url => {
-            const headers = {
-                'User-Agent': USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)],
-                'Referer': urlStr
-            };
-            return downloadAsset(url, assetsDir, headers);
+            if (fetched && queue.length > 0 && pages.length < maxPages) await sleep(Math.max(config.pageDelayMs, crawlDelayMs), signal);
+        }
+    } finally {
+        if (ownsRenderer) await renderer.close();
+    }
+
+    // API fixtures: same-origin XHR/fetch responses the pages made, plus declared ones,
+    // replayed offline by the generated app
+    const apiStore = await ApiFixtureStore.load(outDir);
+    const fixtureSpecs = [...apiRequests, ...(Array.isArray(apiFixtures) ? apiFixtures : [apiFixtures])];
+    for (const spec of fixtureSpecs) {
+        try {
+            await apiStore.add(await captureFixture(spec, {
+                origin: base.origin,
+                timeout: config.requestTimeoutMs,
+                signal,
+                headers: {
+                    'User-Agent': randomUserAgent(config.userAgents),
+                    'Referer': base.origin
+                }
+            }));
+        } catch (e) {
+            throwIfAborted();
+            console.warn(`❌ Failed API fixture: ${spec.url || spec.path} - ${e.message}`);
+        }
+    }
+    if (fixtureSpecs.length > 0) await apiStore.save();
+
+    // Assets of an earlier run are kept (and revalidated when re-syncing), including CSS-referenced ones
+    for (const url of manifest.assetUrls()) assetSet.add(url);
+
+    // Download an asset unless the manifest already has it; conditional GET when re-syncing
+    let unchangedAssets = 0;
+    let refreshedAssets = 0;
+    const claimedAssetPaths = new Map();
+    for (const url of manifest.assetUrls()) {
+        const entry = manifest.getAsset(url);
+        if (entry.path) claimedAssetPaths.set(path.posix.relative('assets', entry.path).toLowerCase(), url);
+    }
+    async function fetchAsset(url, referer, type = assetTypes.get(url)) {
+        const r = await downloadOrReuseAsset(url, referer, type);
+        progress({
+            type: 'asset',
+            url,
+            ok: r.ok,
+            path: r.outPath ? path.relative(outDir, r.outPath).split(path.sep).join('/') : null,
+            cached: Boolean(r.cached || r.notModified),
+            error: r.error || null
         });
+        return r;
+    }
+    async function downloadOrReuseAsset(url, referer, type) {
+        throwIfAborted();
+        const entry = manifest.getAsset(url);
+        const existingPath = entry?.status === 'done' ? path.join(outDir, entry.path) : null;
+        const known = existingPath !== null && await fileExists(existingPath);
+        if (known && !resync) return { ok: true, cached: true, url, outPath: existingPath };
+
+        const headers = {
+            'User-Agent': randomUserAgent(config.userAgents),
+            'Referer': referer
+        };
+        if (known) {
+            if (entry.etag) headers['If-None-Match'] = entry.etag;
+            if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+        }
 
-        const batchResults = await Promise.all(promises);
-        downloadResults.push(...batchResults);
-        await sleep(DELAY_BETWEEN_BATCHES);
+        const r = await downloadAsset(url, assetsDir, headers, claimedAssetPaths, scheduler, signal);
+        throwIfAborted();
+        if (r.notModified) {
+            unchangedAssets++;
+            return { ...r, outPath: existingPath };
+        }
+        if (r.ok) {
+            if (known) refreshedAssets++;
+            manifest.setAsset(url, {
+                path: path.relative(outDir, r.outPath).split(path.sep).join('/'),
+                status: 'done',
+                type: type || entry?.type || null,
+                httpStatus: r.status,
+                contentType: r.contentType,
+                etag: r.etag,
+                lastModified: r.lastModified,
+                sha256: r.sha256,
+                cssRewritten: false
+            });
+        } else {
+            manifest.setAsset(url, { status: 'failed', type: type || entry?.type || null, error: r.error });
+            failures.record(url, { type: type || entry?.type || null, error: r.error });
+        }
+        return r;
     }
 
+    // Download everything at once; the scheduler enforces concurrency, rate limits and retries
+    const assetUrls = Array.from(assetSet).filter(url => {
+        if (!isSameOrigin(url) || robots.isAllowed(url)) return true;
+        skippedByRobots++;
+        failures.record(url, { type: assetTypes.get(url) || null, error: 'Disallowed by robots.txt' });
+        return false;
+    });
+    const MANIFEST_SAVE_INTERVAL = 20;
+    const urlToLocal = {};
+    let completedDownloads = 0;
+
+    const downloadResults = await Promise.all(assetUrls.map(async (url) => {
+        const r = await fetchAsset(url, urlStr);
+        if (++completedDownloads % MANIFEST_SAVE_INTERVAL === 0) await manifest.save();
+        return r;
+    }));
+    await manifest.save();
+
     // Process results
     downloadResults.forEach(r => {
         if (r.ok) {
@@ -152,110 +485,113 @@ async function cloneWebsite(urlStr = '') {
         }
     });
 
-    // Process CSS assets
-    for (const [originalUrl, localPath] of Object.entries(urlToLocal)) {
-        if (originalUrl.toLowerCase().endsWith('.css')) {
-            try {
-                const cssFullPath = path.join(outDir, localPath);
-                const cssContentRaw = await fs.readFile(cssFullPath, 'utf8');
-                let cssContent = cssContentRaw;
-
-                const urlRegex = /url\((?:'|"|)([^'")]+)(?:'|"|)\)/g;
-                let match;
-
-                while ((match = urlRegex.exec(cssContentRaw)) !== null) {
-                    const assetRef = match[1];
-                    if (/^data:/.test(assetRef)) continue;
-
-                    try {
-                        const absoluteUrl = new URL(assetRef, originalUrl).href;
-                        if (!urlToLocal[absoluteUrl]) {
-                            const r2 = await downloadAsset(absoluteUrl, assetsDir);
-                            if (r2.ok) {
-                                const rel2 = path.relative(outDir, r2.outPath).split(path.sep).join('/');
-                                urlToLocal[absoluteUrl] = rel2;
-                            }
-                        }
-                    } catch (e) {
-                        console.warn(`CSS URL error: ${assetRef}`);
-                    }
-                }
-
-                cssContent = cssContentRaw.replace(urlRegex, (match, assetRef) => {
-                    if (/^data:/.test(assetRef)) return match;
-                    try {
-                        const absoluteUrl = new URL(assetRef, originalUrl).href;
-                        if (urlToLocal[absoluteUrl]) {
-                            const relativeCssPath = path.relative(
-                                path.dirname(cssFullPath),
-                                path.join(outDir, urlToLocal[absoluteUrl])
-                            ).split(path.sep).join('/');
-                            return `url('${relativeCssPath}')`;
-                        }
-                    } catch (e) { }
-                    return match;
-                });
-
-                if (cssContent !== cssContentRaw) {
-                    await fs.writeFile(cssFullPath, cssContent, 'utf8');
-                }
-            } catch (e) {
-                console.error(`CSS processing failed: ${e.message}`);
+    throwIfAborted();
+
+    // Process CSS assets recursively (@import chains, fonts, images; ones rewritten
+    // by an earlier run already point at local files)
+    const stylesheetUrls = Object.keys(urlToLocal).filter(url => urlToLocal[url].toLowerCase().endsWith('.css'));
+    const cssResult = await resolveStylesheets(stylesheetUrls, {
+        outDir,
+        urlToLocal,
+        fetchAsset: async (url, referer, type) => {
+            if (isSameOrigin(url) && !robots.isAllowed(url)) {
+                skippedByRobots++;
+                failures.record(url, { type, error: 'Disallowed by robots.txt' });
+                return null;
             }
-        }
+            return fetchAsset(url, referer, type);
+        },
+        isRewritten: (url) => Boolean(manifest.getAsset(url)?.cssRewritten),
+        onRewritten: async (url) => {
+            manifest.setAsset(url, { cssRewritten: true });
+            await manifest.save();
+        },
+        fallbackFor: (ref, file) => failures.fallbackFor(ref, { file }),
+        signal
+    });
+
+    // Rewrite HTML references with the same rules that extracted them
+    function mapAssetRefs($, page) {
+        rewriteAssetRefs($, page.url, (ref) => {
+            const local = urlToLocal[ref.url];
+            if (local) return relativeLink(page.rel, local);
+
+            // Assets that failed (or were disallowed) get the configured fallback
+            return failures.fallbackFor(ref, {
+                file: page.rel,
+                width: $(ref.element).attr('width'),
+                height: $(ref.element).attr('height')
+            });
+        });
     }
 
-    // Rewrite HTML references
-    function mapAttr(selector, attr) {
-        $(selector).each((i, el) => {
-            const value = $(el).attr(attr);
-            if (!value) return;
+    // Point links between cloned pages at their local copies
+    function mapPageLinks($, page) {
+        const baseUrl = documentBaseUrl($, page.url);
+        $('a[href]').each((i, el) => {
+            const value = $(el).attr('href');
+            if (!value || value.startsWith('#')) return;
 
             try {
-                if (attr === 'srcset') {
-                    const newSrcset = value.split(',').map(part => {
-                        const [url, ...descriptors] = part.trim().split(/\s+/);
-                        const newUrl = urlToLocal[new URL(url, base).href] || url;
-                        return [newUrl, ...descriptors].join(' ');
-                    }).join(', ');
-                    $(el).attr(attr, newSrcset);
-                } else {
-                    const resolvedUrl = new URL(value, base).href;
-                    if (urlToLocal[resolvedUrl]) {
-                        $(el).attr(attr, urlToLocal[resolvedUrl]);
-                    } else if (['src', 'poster'].includes(attr)) {
-                        const width = $(el).attr('width') || '400';
-                        const height = $(el).attr('height') || '300';
-                        $(el).attr('src', `https://placehold.co/${width}x${height}/EEE/31343C?text=Failed+to+Load`);
-                    }
-                }
+                const resolved = new URL(value, baseUrl);
+                const local = pageToLocal[normalizePageUrl(resolved.href)];
+                if (local) $(el).attr('href', relativeLink(page.rel, local) + resolved.hash);
             } catch (e) {
                 // Invalid URL - skip
             }
         });
     }
 
-    for (const [selector, attr] of Object.entries(assetSelectors)) {
-        mapAttr(selector, attr);
+    throwIfAborted();
+    for (const page of pages) {
+        const { $ } = page;
+        mapAssetRefs($, page);
+        mapPageLinks($, page);
+        // Rewritten references are relative to the saved file, so <base> must not redirect them
+        $('base[href]').remove();
+
+        // Save final HTML
+        const pagePath = path.join(outDir, page.rel);
+        await fs.mkdir(path.dirname(pagePath), { recursive: true });
+        await fs.writeFile(pagePath, $.html(), 'utf8');
+        manifest.setPage(page.url, { status: 'done' });
     }
 
-    // Save final HTML
-    await fs.writeFile(path.join(outDir, 'index.html'), $.html(), 'utf8');
+    const failuresReport = await failures.save(outDir);
+    manifest.data.status = 'complete';
+    await manifest.save();
 
     return {
         status: 'success',
-        message: `Cloned site to ${outDir}`,
+        message: `Cloned ${pages.length} page(s) to ${outDir}`,
         dir: outDir,
+        pagesCount: pages.length,
+        failedPages,
+        seededFromSitemap,
+        skippedByRobots,
+        pages: pages.map(p => ({ url: p.url, path: p.rel, depth: p.depth })),
+        recordedRequests: recordedRequests.length,
+        apiFixtures: apiStore.size,
         assetsCount: Object.keys(urlToLocal).length,
-        failedDownloads: downloadResults.filter(r => !r.ok).length
+        failedDownloads: downloadResults.filter(r => !r.ok).length + cssResult.failed.length,
+        stylesheetsProcessed: cssResult.processed,
+        failuresReport,
+        resumed: Boolean(resumeDir),
+        unchangedAssets,
+        refreshedAssets,
+        retriedRequests: scheduler.stats.retries
     };
 }
 
 /* ========== NEW ANALYSIS & APP GENERATION TOOLS ========== */
 /**
- * Analyzes a cloned website directory and generates a report
+ * Analyzes a cloned website directory and generates a report. Every HTML file is analyzed
+ * on its own (structure, tech stack, SEO and accessibility findings; see utils/page-analysis.js);
+ * pageStructure is the analysis of the root index.html, visual the last visual comparison and
+ * optimization the last asset optimization of the generated app, if any.
  * @param {string} dirPath - Path to cloned directory
- * @returns {Promise<object>} Analysis report
+ * @returns {Promise<object>} Analysis report: { htmlFiles, cssFiles, jsFiles, images, otherAssets, totalSize,
+ *          pages, techStack, findingsSummary, pageStructure, visual, optimization }
  */
 async function analyzeWebsite(dirPath) {
     try {
@@ -266,7 +602,12 @@ async function analyzeWebsite(dirPath) {
             images: [],
             otherAssets: [],
             totalSize: 0,
-            pageStructure: {}
+            pages: [],
+            techStack: [],
+            findingsSummary: {},
+            pageStructure: {},
+            visual: null,
+            optimization: null
         };
 
         // Recursive directory analysis
@@ -278,6 +619,7 @@ async function analyzeWebsite(dirPath) {
                 const relPath = path.relative(dirPath, fullPath);
 
                 if (entry.isDirectory()) {
+                    if (entry.name === MANIFEST_DIR) continue; // clone bookkeeping, not site content
                     await analyzeDirectory(fullPath);
                 } else {
                     const stats = await fs.stat(fullPath);
@@ -292,9 +634,7 @@ async function analyzeWebsite(dirPath) {
                     switch (fileInfo.type) {
                         case '.html':
                             report.htmlFiles.push(fileInfo);
-                            if (relPath === 'index.html') {
-                                report.pageStructure = await analyzeHTML(fullPath);
-                            }
+                            report.pages.push({ path: relPath.split(path.sep).join('/'), ...await analyzeHTML(fullPath) });
                             break;
                         case '.css':
                             report.cssFiles.push(fileInfo);
@@ -302,7 +642,7 @@ async function analyzeWebsite(dirPath) {
                         case '.js':
                             report.jsFiles.push(fileInfo);
                             break;
-                        case '.jpg': case '.jpeg': case '.png': case '.gif': case '.svg': case '.webp':
+                        case '.jpg': case '.jpeg': case '.png': case '.gif': case '.svg': case '.webp': case '.avif': case '.ico':
                             report.images.push(fileInfo);
                             break;
                         default:
@@ -312,62 +652,100 @@ async function analyzeWebsite(dirPath) {
             }
         }
 
-        // HTML structure analysis
+        // Structure, tech stack, SEO and accessibility of one page
         async function analyzeHTML(htmlPath) {
             try {
-                const content = await fs.readFile(htmlPath, 'utf8');
-                const $ = load(content);
-
-                return {
-                    title: $('title').text() || 'Untitled',
-                    metaDescription: $('meta[name="description"]').attr('content') || '',
-                    headingStructure: {
-                        h1: $('h1').length,
-                        h2: $('h2').length,
-                        h3: $('h3').length
-                    },
-                    sections: $('body > *').map((i, el) => ({
-                        tag: el.tagName,
-                        class: $(el).attr('class') || '',
-                        id: $(el).attr('id') || ''
-                    })).get(),
-                    links: {
-                        internal: $('a[href^="/"], a[href^="./"], a[href^="../"]').length,
-                        external: $('a[href^="http"]').length
-                    },
-                    scripts: $('script').length,
-                    stylesheets: $('link[rel="stylesheet"]').length,
-                    images: $('img').length
-                };
+                return analyzePage(await fs.readFile(htmlPath, 'utf8'));
             } catch (e) {
                 return { error: `HTML analysis failed: ${e.message}` };
             }
         }
 
         await analyzeDirectory(dirPath);
+
+        report.pages.sort((a, b) => a.path.localeCompare(b.path));
+        report.pageStructure = report.pages.find(p => p.path === 'index.html') || report.pages[0] || {};
+        const stack = new Map();
+        for (const page of report.pages) {
+            for (const tech of page.techStack || []) {
+                if (!stack.has(tech.name)) stack.set(tech.name, { name: tech.name, category: tech.category, pages: [] });
+                stack.get(tech.name).pages.push(page.path);
+            }
+        }
+        report.techStack = [...stack.values()];
+        const findings = report.pages.flatMap(p => p.findings || []);
+        report.findingsSummary = {
+            ...countBySeverity(findings),
+            seo: findings.filter(f => f.category === 'seo').length,
+            accessibility: findings.filter(f => f.category === 'accessibility').length
+        };
+        report.visual = await readVisualResults(dirPath);
+        report.optimization = await readOptimizationResult(dirPath);
         return report;
     } catch (e) {
         return { error: `Analysis failed: ${e.message}` };
     }
 }
 
+/**
+ * Optimization options for generateNodeApp: `optimize` true, false, an options object
+ * (merged over the config's) or undefined for the config's `optimize.enabled`
+ * @returns {object|null} Options for optimizeAssets, or null to copy the clone as is
+ */
+function resolveOptimizeOptions(optimize) {
+    const { enabled, ...defaults } = currentConfig().optimize;
+    if (optimize === undefined) return enabled ? defaults : null;
+    if (!optimize) return null;
+    return optimize === true ? defaults : { ...defaults, ...optimize };
+}
+
 /**
  * Generates a Node.js app from cloned website
  * @param {string} clonedDir - Path to cloned website
  * @param {object} analysis - Analysis report
+ * @param {object} [options] - { optimize: minify, recompress and precompress public/ (see utils/asset-optimizer.js),
+ *        signal: stops between steps and between optimized files }
  * @returns {Promise<string>} Success message
  */
-async function generateNodeApp(clonedDir, analysis) {
+async function generateNodeApp(clonedDir, analysis, { optimize, signal } = {}) {
     try {
         const appDir = `${clonedDir}_app`;
         await fs.mkdir(appDir, { recursive: true });
+        const apiFixtureCount = await installApiReplay(clonedDir, appDir);
+
+        // Copy website to public folder
+        const publicDir = path.join(appDir, 'public');
+        await fs.cp(clonedDir, publicDir, {
+            recursive: true,
+            filter: (src) => path.basename(src) !== MANIFEST_DIR
+        });
+
+        signal?.throwIfAborted();
+        const optimizeOptions = resolveOptimizeOptions(optimize);
+        let optimization = null;
+        if (optimizeOptions) {
+            optimization = await optimizeAssets(publicDir, { ...optimizeOptions, signal });
+            await installOptimizedServing(appDir);
+            await saveOptimizationResult(clonedDir, optimization);
+            const { before, after } = optimization.total;
+            console.log(`⚡ Optimized public/: ${before} → ${after} bytes${optimization.skipped.length ? ` (skipped: ${optimization.skipped.map(s => s.step).join(', ')})` : ''}`);
+        } else {
+            // A previous optimization no longer describes the app
+            await clearOptimizationResult(clonedDir);
+        }
 
         // Create Express server
         const appJsContent = `const express = require('express');
 const path = require('path');
 const app = express();
-const port = process.env.PORT || 3000;
-
+const port = process.env.PORT || ${currentConfig().server.port};
+${apiFixtureCount > 0 ? `
+// Replay recorded API responses (fixtures/index.json)
+require('./replay')(app, path.join(__dirname, 'fixtures'));
+` : ''}${optimization ? `
+// Pre-compressed and modern image variants (optimized.js)
+require('./optimized')(app, path.join(__dirname, 'public'));
+` : ''}
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -378,9 +756,11 @@ app.get('/', (req, res) => {
 
 // Additional routes based on analysis
 ${analysis.htmlFiles.filter(f => f.path !== 'index.html').map(file => {
-            const routePath = file.path.replace('.html', '').replace(/\\/g, '/');
+            const filePath = file.path.replace(/\\/g, '/');
+            // "about.html" -> /about, "docs/index.html" -> /docs
+            const routePath = filePath.replace(/\.html$/, '').replace(/(^|\/)index$/, '');
             return `app.get('/${routePath}', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', '${file.path}'));
+    res.sendFile(path.join(__dirname, 'public', '${filePath}'));
 });`;
         }).join('\n')}
 
@@ -404,37 +784,28 @@ app.listen(port, () => {
             }
         };
 
-        // Copy website to public folder
-        const publicDir = path.join(appDir, 'public');
-        await fs.cp(clonedDir, publicDir, { recursive: true });
         await fs.writeFile(path.join(appDir, 'app.js'), appJsContent);
         await fs.writeFile(path.join(appDir, 'package.json'), JSON.stringify(packageJson, null, 2));
 
-        // Create analysis report
-        await fs.writeFile(
-            path.join(appDir, 'ANALYSIS_REPORT.md'),
-            `# Website Analysis Report\n\n` +
-            `## Summary\n` +
-            `- **Pages**: ${analysis.htmlFiles.length}\n` +
-            `- **Assets**: ${analysis.cssFiles.length + analysis.jsFiles.length + analysis.images.length}\n` +
-            `- **Total Size**: ${(analysis.totalSize / 1024 / 1024).toFixed(2)} MB\n\n` +
-            `## Structure\n` +
-            `- **Title**: ${analysis.pageStructure.title}\n` +
-            `- **Sections**: ${analysis.pageStructure.sections.length}\n` +
-            `- **Headings**: H1(${analysis.pageStructure.headingStructure.h1}) ` +
-            `H2(${analysis.pageStructure.headingStructure.h2}) ` +
-            `H3(${analysis.pageStructure.headingStructure.h3})\n`
-        );
+        // ANALYSIS_REPORT.md plus the configured report formats
+        const { files: reports } = await writeReports({ ...analysis, optimization }, {
+            cloneDir: clonedDir,
+            outDir: appDir,
+            formats: ['markdown', ...currentConfig().reports.formats]
+        });
 
         return {
             status: 'success',
             message: `Node app generated in ${appDir}`,
             appDir,
+            apiFixtures: apiFixtureCount,
+            optimization,
+            reports,
             nextSteps: [
                 `cd ${appDir}`,
                 'npm install',
                 'npm start',
-                `Open http://localhost:3000`
+                `Open http://localhost:${currentConfig().server.port}`
             ]
         };
     } catch (e) {
@@ -442,10 +813,88 @@ app.listen(port, () => {
     }
 }
 
+/**
+ * Writes analysis reports for a clone without generating an app (see utils/reports.js)
+ * @param {string} clonedDir - Path to cloned website
+ * @param {object} [options] - { analysis (analyzed first when missing), formats (default: the config's), outDir }
+ * @returns {Promise<object>} { status, message, outDir, files } or { error }
+ */
+async function writeAnalysisReports(clonedDir, { analysis, formats = currentConfig().reports.formats, outDir } = {}) {
+    try {
+        const report = analysis || await analyzeWebsite(clonedDir);
+        if (report.error) return report;
+        const { outDir: dir, files } = await writeReports(report, { cloneDir: clonedDir, outDir, formats });
+        return { status: 'success', message: `Wrote ${Object.keys(files).join(', ')} report(s) to ${dir}`, outDir: dir, files };
+    } catch (e) {
+        return { error: `Report generation failed: ${e.message}` };
+    }
+}
+
+/**
+ * Checks that a clone is self-contained: every reference in its HTML and CSS resolves to a
+ * file in the clone (see utils/clone-verifier.js)
+ * @param {string} clonedDir - Path to cloned website
+ * @param {object} [options] - { allowHosts: hosts assets may load from, strict: warnings fail too, signal }
+ * @returns {Promise<object>} { status, passed, summary, byRule, issues, ... } or { error }
+ */
+async function verifyClone(clonedDir, options = {}) {
+    try {
+        const report = await verifyCloneDir(clonedDir, options);
+        const { error, warning } = report.summary;
+        console.log(`${report.passed ? '✅' : '❌'} Verified ${report.referencesChecked} reference(s) in ${clonedDir}: ${error} error(s), ${warning} warning(s)`);
+        return report;
+    } catch (e) {
+        return { error: `Verification failed: ${e.message}` };
+    }
+}
+
+// Options left undefined fall back to the config's visual settings
+const definedOptions = (options) => Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+
+/**
+ * Screenshots the original pages of a clone at each viewport as baselines for compareVisual.
+ * Needs the live site; see utils/visual-regression.js
+ * @param {string} clonedDir - Path to cloned website
+ * @param {object} [options] - { viewports (default: the config's), pages, launchOptions, fullPage, signal }
+ * @returns {Promise<object>} { status, dir, captured, failed } or { error }
+ */
+async function captureBaselines(clonedDir, options = {}) {
+    try {
+        const { viewports, fullPage } = currentConfig().visual;
+        const result = await captureBaselineShots(clonedDir, { viewports, fullPage, ...definedOptions(options) });
+        console.log(`📸 Captured ${result.captured.length} baseline(s) in ${result.dir}${result.failed.length ? `, ${result.failed.length} failed` : ''}`);
+        return result;
+    } catch (e) {
+        return { error: `Baseline capture failed: ${e.message}` };
+    }
+}
+
+/**
+ * Renders the generated app and diffs every page against its baselines. Starts <clone>_app on a
+ * free port unless appUrl points at a running app (e.g. the one deploy-latest.js started).
+ * @param {string} clonedDir - Path to cloned website
+ * @param {object} [options] - { appUrl, appDir, viewports, threshold, pixelThreshold, launchOptions, fullPage, signal }
+ * @returns {Promise<object>} { status, passed, score, threshold, results, file, ... } or { error }
+ */
+async function compareVisual(clonedDir, options = {}) {
+    try {
+        const { viewports, threshold, pixelThreshold, fullPage } = currentConfig().visual;
+        const result = await compareWithBaselines(clonedDir, { viewports, threshold, pixelThreshold, fullPage, ...definedOptions(options) });
+        console.log(`${result.passed ? '✅' : '❌'} Visual similarity ${(result.score * 100).toFixed(1)}% over ${result.compared} comparison(s) (threshold ${(result.threshold * 100).toFixed(1)}%)`);
+        return result;
+    } catch (e) {
+        return { error: `Visual comparison failed: ${e.message}` };
+    }
+}
+
 /* ========== EXPORT TOOLS ========== */
 export {
     executeCommand,
     cloneWebsite,
     analyzeWebsite,
     generateNodeApp,
+    writeAnalysisReports,
+    verifyClone,
+    captureBaselines,
+    compareVisual,
 };
\ No newline at end of file
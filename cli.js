@@ -0,0 +1,496 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface - runs each stage on its own so pipelines can script it.
+ *
+ *   cc-site-cloner clone <url> [options]
+ *   cc-site-cloner analyze <cloneDir>
+ *   cc-site-cloner generate <cloneDir> [--optimize]
+ *   cc-site-cloner report <cloneDir> [--format json,html,sarif,markdown] [--out dir]
+ *   cc-site-cloner verify <cloneDir> [--strict] [--allow-host host]
+ *   cc-site-cloner baseline <cloneDir> [--viewport name=WxH] [--page path]
+ *   cc-site-cloner visual <cloneDir> [--app-url url] [--threshold 0.95] [--viewport name=WxH]
+ *   cc-site-cloner serve [appOrCloneDir]
+ *   cc-site-cloner run [url]
+ *   cc-site-cloner replay <trace.jsonl>
+ *
+ * Settings come from cloner.config.json (or --config) and the environment; see utils/config.js.
+ *
+ * Exit codes: 0 success, 1 the stage failed, 2 invalid usage or configuration.
+ */
+import fss from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { cloneWebsite, analyzeWebsite, generateNodeApp, writeAnalysisReports, verifyClone, captureBaselines, compareVisual } from './chai-gem-cloner.js';
+import { ConfigError, loadConfig, setConfig, currentConfig } from './utils/config.js';
+import { REPORT_FORMATS } from './utils/reports.js';
+import { parseViewport } from './utils/visual-regression.js';
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+const GLOBAL_OPTIONS = {
+    'json': { type: 'boolean', description: 'Print the result as JSON on stdout (logs go to stderr)' },
+    'non-interactive': { type: 'boolean', description: 'Never prompt; missing input is an error (implied without a TTY)' },
+    'config': { type: 'string', description: 'Config file (default: cloner.config.mjs/.js/.json in the current directory)' },
+    'output-dir': { type: 'string', description: 'Directory for clones and apps (default: clones)' },
+    'port': { type: 'string', description: 'Port of generated apps (default 3000)' },
+    'help': { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+const CLONE_OPTIONS = {
+    'crawl': { type: 'boolean', description: 'Follow same-origin links' },
+    'max-depth': { type: 'string', description: 'Link depth to crawl (default 2)' },
+    'max-pages': { type: 'string', description: 'Maximum pages to clone (default 50)' },
+    'include': { type: 'string', multiple: true, description: 'Only crawl URLs matching this RegExp (repeatable)' },
+    'exclude': { type: 'string', multiple: true, description: 'Skip URLs matching this RegExp (repeatable)' },
+    'sitemap': { type: 'boolean', description: "Seed pages from the site's sitemaps" },
+    'sitemap-url': { type: 'string', multiple: true, description: 'Seed pages from this sitemap (repeatable)' },
+    'no-robots': { type: 'boolean', description: 'Ignore robots.txt' },
+    'robots-agent': { type: 'string', description: 'User-agent token matched against robots.txt' },
+    'resume': { type: 'boolean', description: 'Continue the latest clone of the site' },
+    'resume-dir': { type: 'string', description: 'Continue this clone directory' },
+    'resync': { type: 'boolean', description: 'Refresh only what changed since the last clone' },
+    'renderer': { type: 'string', description: 'static (default) or browser' },
+    'no-capture-api': { type: 'boolean', description: 'Do not store XHR/fetch responses as API fixtures' },
+    'concurrency': { type: 'string', description: 'Downloads in flight overall' },
+    'per-host-concurrency': { type: 'string', description: 'Downloads in flight per host' },
+    'rate': { type: 'string', description: 'Requests per second per host' },
+    'retries': { type: 'string', description: 'Retries for 429/5xx/timeouts' },
+    'max-asset-bytes': { type: 'string', description: 'Size cap per asset' },
+    'fallback': { type: 'string', description: 'Failed asset fallback: placeholder (default), keep or blank' }
+};
+
+const COMMANDS = {
+    clone: {
+        usage: 'clone <url> [options]',
+        description: 'Clone a website into clones/',
+        options: CLONE_OPTIONS,
+        run: runClone
+    },
+    analyze: {
+        usage: 'analyze <cloneDir>',
+        description: 'Analyze a cloned website',
+        options: {},
+        run: runAnalyze
+    },
+    generate: {
+        usage: 'generate <cloneDir>',
+        description: 'Analyze a clone and generate an Express app in <cloneDir>_app',
+        options: {
+            'optimize': { type: 'boolean', description: 'Minify, recompress and pre-compress the app\'s assets (default: the config\'s optimize.enabled)' },
+            'no-optimize': { type: 'boolean', description: 'Copy the clone into the app as is' }
+        },
+        run: runGenerate
+    },
+    report: {
+        usage: 'report <cloneDir>',
+        description: 'Analyze a clone and write reports (default: <cloneDir>/.clone/reports)',
+        options: {
+            'format': { type: 'string', multiple: true, description: 'json, html, sarif or markdown; comma-separated or repeated (default: the config\'s reports.formats)' },
+            'out': { type: 'string', description: 'Directory to write the reports to' }
+        },
+        run: runReport
+    },
+    verify: {
+        usage: 'verify <cloneDir>',
+        description: 'Check that a clone is self-contained; fails on references to other hosts, broken paths and (with --strict) missing anchors',
+        options: {
+            'strict': { type: 'boolean', description: 'Fail on warnings too (links leaving the clone, missing anchors)' },
+            'allow-host': { type: 'string', multiple: true, description: 'Host assets may still load from (repeatable)' }
+        },
+        run: runVerify
+    },
+    baseline: {
+        usage: 'baseline <cloneDir>',
+        description: 'Screenshot the original pages of a clone as baselines for visual (needs the live site and puppeteer)',
+        options: {
+            'viewport': { type: 'string', multiple: true, description: 'WIDTHxHEIGHT or name=WIDTHxHEIGHT (repeatable; default: the config\'s visual.viewports)' },
+            'page': { type: 'string', multiple: true, description: 'Only this page, e.g. about.html (repeatable)' },
+            'full-page': { type: 'boolean', description: 'Capture the whole page instead of the viewport' }
+        },
+        run: runBaseline
+    },
+    visual: {
+        usage: 'visual <cloneDir>',
+        description: 'Render the generated app and diff it against the baselines; fails below the similarity threshold',
+        options: {
+            'app-url': { type: 'string', description: 'A running app to compare (default: start <cloneDir>_app on a free port)' },
+            'threshold': { type: 'string', description: 'Minimum similarity, 0-1 (default: the config\'s visual.threshold)' },
+            'viewport': { type: 'string', multiple: true, description: 'WIDTHxHEIGHT or name=WIDTHxHEIGHT (repeatable; default: the config\'s visual.viewports)' },
+            'full-page': { type: 'boolean', description: 'Compare whole pages; use it if the baselines were captured with --full-page' }
+        },
+        run: runVisual
+    },
+    serve: {
+        usage: 'serve [appOrCloneDir]',
+        description: 'Install and start a generated app (default: the latest one)',
+        options: {},
+        run: runServe
+    },
+    run: {
+        usage: 'run [url]',
+        description: 'Clone, analyze, generate and serve in one go via the orchestrator',
+        options: {
+            ...CLONE_OPTIONS,
+            'no-serve': { type: 'boolean', description: 'Stop after generating the app' }
+        },
+        run: runWorkflow
+    },
+    replay: {
+        usage: 'replay <trace.jsonl>',
+        description: 'Re-run the tool calls of a recorded workflow run without the LLM; fails if any call changed outcome',
+        options: {},
+        run: runReplay
+    }
+};
+
+/* ========== OPTION HELPERS ========== */
+function toNumber(values, name) {
+    if (values[name] === undefined) return undefined;
+    const n = values[name].trim() === '' ? NaN : Number(values[name]);
+    if (!Number.isFinite(n) || n < 0) throw new UsageError(`--${name} must be a non-negative number`);
+    return n;
+}
+
+// Counts, sizes and ports
+function toInteger(values, name) {
+    const n = toNumber(values, name);
+    if (n !== undefined && !Number.isInteger(n)) throw new UsageError(`--${name} must be a whole number, got "${values[name]}"`);
+    return n;
+}
+
+// Drops undefined entries so tool defaults apply
+function compact(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+// The CLI flag layer of the config
+function configFromFlags(values) {
+    const port = toInteger(values, 'port');
+    return compact({
+        outputDir: values['output-dir'],
+        server: port !== undefined ? { port } : undefined
+    });
+}
+
+function cloneOptionsFromFlags(values) {
+    const sitemapUrls = values['sitemap-url'];
+    const downloadOptions = compact({
+        concurrency: toInteger(values, 'concurrency'),
+        perHostConcurrency: toInteger(values, 'per-host-concurrency'),
+        requestsPerSecond: toNumber(values, 'rate'),
+        retries: toInteger(values, 'retries'),
+        maxAssetBytes: toInteger(values, 'max-asset-bytes')
+    });
+    return compact({
+        crawl: values.crawl,
+        maxDepth: toInteger(values, 'max-depth'),
+        maxPages: toInteger(values, 'max-pages'),
+        include: values.include,
+        exclude: values.exclude,
+        sitemap: sitemapUrls ? sitemapUrls : values.sitemap,
+        respectRobots: values['no-robots'] ? false : undefined,
+        robotsAgent: values['robots-agent'],
+        resume: values['resume-dir'] || values.resume,
+        resync: values.resync,
+        renderer: values.renderer,
+        captureApi: values['no-capture-api'] ? false : undefined,
+        downloadOptions: Object.keys(downloadOptions).length > 0 ? downloadOptions : undefined,
+        failedAssetFallback: values.fallback
+    });
+}
+
+function isInteractive(values) {
+    return !values['non-interactive'] && !values.json && Boolean(process.stdin.isTTY) && !process.env.CI;
+}
+
+// Tools report failures as strings (cloneWebsite) or { error } objects
+function toolFailure(result) {
+    if (typeof result === 'string') return result;
+    if (!result || result.error) return result?.error || 'No result';
+    return null;
+}
+
+function requireDir(dir, what) {
+    if (!dir) throw new UsageError(`Missing ${what}`);
+    if (!fss.existsSync(dir) || !fss.statSync(dir).isDirectory()) throw new UsageError(`Not a directory: ${dir}`);
+    return path.resolve(dir);
+}
+
+/* ========== COMMANDS ========== */
+async function runClone([url], values) {
+    const options = cloneOptionsFromFlags(values);
+    if (!url && typeof options.resume !== 'string') throw new UsageError('Missing <url> (or --resume-dir)');
+    const result = await cloneWebsite(url || '', options);
+    const error = toolFailure(result);
+    if (error) return { ok: false, error };
+    return { ok: true, message: result.message, result };
+}
+
+async function runAnalyze([dir]) {
+    const cloneDir = requireDir(dir, '<cloneDir>');
+    const result = await analyzeWebsite(cloneDir);
+    const error = toolFailure(result);
+    if (error) return { ok: false, error };
+    const { error: errors, warning: warnings, info } = result.findingsSummary;
+    return {
+        ok: true,
+        message: `Analyzed ${result.htmlFiles.length} page(s) in ${cloneDir}: ${errors} error(s), ${warnings} warning(s), ${info} info`,
+        result
+    };
+}
+
+async function runGenerate([dir], values) {
+    const cloneDir = requireDir(dir, '<cloneDir>');
+    const analysis = await analyzeWebsite(cloneDir);
+    const analysisError = toolFailure(analysis);
+    if (analysisError) return { ok: false, error: analysisError };
+
+    if (values.optimize && values['no-optimize']) throw new UsageError('--optimize and --no-optimize cannot be combined');
+    const optimize = values.optimize ? true : (values['no-optimize'] ? false : undefined);
+    const result = await generateNodeApp(cloneDir, analysis, { optimize });
+    const error = toolFailure(result);
+    if (error) return { ok: false, error };
+    return { ok: true, message: result.message, result };
+}
+
+async function runReport([dir], values) {
+    const cloneDir = requireDir(dir, '<cloneDir>');
+    const formats = values.format?.flatMap(f => f.split(',')).map(f => f.trim().toLowerCase()).filter(Boolean);
+    const unknown = formats?.find(f => !REPORT_FORMATS[f]);
+    if (unknown) throw new UsageError(`Unknown --format "${unknown}" (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    const result = await writeAnalysisReports(cloneDir, {
+        formats: formats?.length ? formats : undefined,
+        outDir: values.out ? path.resolve(values.out) : undefined
+    });
+    const error = toolFailure(result);
+    if (error) return { ok: false, error };
+    return { ok: true, message: result.message, result };
+}
+
+const MAX_LISTED_ISSUES = 50;
+
+async function runVerify([dir], values) {
+    const cloneDir = requireDir(dir, '<cloneDir>');
+    const result = await verifyClone(cloneDir, { allowHosts: values['allow-host'] || [], strict: Boolean(values.strict) });
+    const error = toolFailure(result);
+    if (error) return { ok: false, error };
+
+    const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+    for (const issue of result.issues.slice(0, MAX_LISTED_ISSUES)) {
+        console.log(`${icons[issue.severity]} ${issue.file}: ${issue.message}`);
+    }
+    if (result.issues.length > MAX_LISTED_ISSUES) console.log(`... and ${result.issues.length - MAX_LISTED_ISSUES} more (see --json)`);
+
+    const { error: errors, warning: warnings } = result.summary;
+    const counts = `${errors} error(s), ${warnings} warning(s) in ${result.referencesChecked} reference(s)`;
+    if (!result.passed) return { ok: false, error: `${cloneDir} is not self-contained: ${counts}`, result };
+    return { ok: true, message: `${cloneDir} is self-contained: ${counts}`, result };
+}
+
+function viewportsFromFlags(values) {
+    try {
+        return values.viewport?.map(parseViewport);
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+}
+
+async function runBaseline([dir], values) {
+    const cloneDir = requireDir(dir, '<cloneDir>');
+    const result = await captureBaselines(cloneDir, {
+        viewports: viewportsFromFlags(values),
+        pages: values.page,
+        fullPage: values['full-page'] || undefined
+    });
+    const error = toolFailure(result);
+    if (error) return { ok: false, error };
+    for (const failure of result.failed) console.log(`❌ ${failure.page} (${failure.viewport}): ${failure.error}`);
+    if (result.captured.length === 0) return { ok: false, error: 'No baseline could be captured', result };
+    return { ok: true, message: `Captured ${result.captured.length} baseline(s) in ${result.dir}`, result };
+}
+
+async function runVisual([dir], values) {
+    const cloneDir = requireDir(dir, '<cloneDir>');
+    let threshold;
+    if (values.threshold !== undefined) {
+        threshold = Number(values.threshold);
+        if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) throw new UsageError('--threshold must be between 0 and 1');
+    }
+    const result = await compareVisual(cloneDir, {
+        appUrl: values['app-url'],
+        viewports: viewportsFromFlags(values),
+        threshold,
+        fullPage: values['full-page'] || undefined
+    });
+    const error = toolFailure(result);
+    if (error) return { ok: false, error };
+
+    for (const r of result.results) {
+        const detail = r.error ? r.error : `${(r.similarity * 100).toFixed(1)}%${r.diff ? ` (diff: ${r.diff})` : ''}`;
+        console.log(`${r.passed ? '✅' : '❌'} ${r.page} @ ${r.viewport}: ${detail}`);
+    }
+    const score = `${(result.score * 100).toFixed(1)}% similar over ${result.compared} comparison(s)`;
+    if (!result.passed) return { ok: false, error: `${cloneDir} differs from the original: ${score}`, result };
+    return { ok: true, message: `${cloneDir} matches the original: ${score}`, result };
+}
+
+async function runServe([dir]) {
+    if (dir) requireDir(dir, '[appOrCloneDir]');
+    const { main: runDeployer } = await import('./deploy-latest.js');
+    await runDeployer(dir ? path.resolve(dir) : undefined);
+    return { ok: true, message: 'Server stopped' };
+}
+
+async function runWorkflow([url], values) {
+    let finalUrl = (url || currentConfig().defaultUrl || '').trim();
+    if (!url && isInteractive(values)) {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const question = finalUrl
+            ? `Enter website URL to clone [default: ${finalUrl}]: `
+            : 'Enter website URL to clone: ';
+        const answer = await rl.question(question);
+        rl.close();
+        finalUrl = (answer || finalUrl).trim();
+    }
+    if (!finalUrl) throw new UsageError('Missing [url] (pass it, set defaultUrl / WEBSITE_URL, or run interactively)');
+    console.log(`🌐 Target URL: ${finalUrl}`);
+
+    const { orchestrator } = await import('./workflow-orchestrator.js');
+    await orchestrator.initialize();
+    const appDir = await orchestrator.run({ url: finalUrl, cloneOptions: cloneOptionsFromFlags(values) });
+    if (!appDir || !fss.existsSync(appDir)) {
+        return { ok: false, error: 'The workflow did not produce an app directory' };
+    }
+
+    if (!values['no-serve']) {
+        const { main: runDeployer } = await import('./deploy-latest.js');
+        await runDeployer(appDir);
+    }
+    return { ok: true, message: `App generated in ${appDir}`, result: { appDir } };
+}
+
+async function runReplay([file]) {
+    if (!file) throw new UsageError('Missing <trace.jsonl>');
+    if (!fss.existsSync(file)) throw new UsageError(`No such file: ${file}`);
+    const { replayRun } = await import('./workflow-orchestrator.js');
+    const result = await replayRun(file);
+    if (result.mismatches > 0) {
+        const changed = result.calls.filter(c => !c.matches).map(c => `#${c.seq} ${c.tool}`).join(', ');
+        return { ok: false, error: `${result.mismatches} of ${result.calls.length} tool call(s) changed outcome: ${changed}`, result };
+    }
+    return { ok: true, message: `Replayed ${result.calls.length} tool call(s); all match the recorded run`, result };
+}
+
+/* ========== ENTRY POINT ========== */
+function optionLines(options) {
+    return Object.entries(options).map(([name, o]) => {
+        const flag = `--${name}${o.type === 'string' ? ' <value>' : ''}`;
+        return `  ${flag.padEnd(32)}${o.description}`;
+    });
+}
+
+function helpText(commandName) {
+    const command = COMMANDS[commandName];
+    if (command) {
+        return [
+            `Usage: cc-site-cloner ${command.usage}`,
+            '',
+            command.description,
+            '',
+            'Options:',
+            ...optionLines({ ...command.options, ...GLOBAL_OPTIONS })
+        ].join('\n');
+    }
+    return [
+        'Usage: cc-site-cloner <command> [options]',
+        '',
+        'Commands:',
+        ...Object.entries(COMMANDS).map(([name, c]) => `  ${name.padEnd(12)}${c.description}`),
+        '',
+        'Global options:',
+        ...optionLines(GLOBAL_OPTIONS),
+        '',
+        'Run "cc-site-cloner <command> --help" for the options of a command.'
+    ].join('\n');
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {Promise<number>} Exit code
+ */
+async function runCli(argv) {
+    const [commandName, ...rest] = argv;
+    if (!commandName || commandName === 'help' || commandName === '--help' || commandName === '-h') {
+        console.log(helpText(rest[0]));
+        return commandName ? EXIT_OK : EXIT_USAGE;
+    }
+
+    const command = COMMANDS[commandName];
+    let values = {};
+    try {
+        if (!command) throw new UsageError(`Unknown command "${commandName}"`);
+        let positionals;
+        try {
+            ({ values, positionals } = parseArgs({
+                args: rest,
+                options: { ...command.options, ...GLOBAL_OPTIONS },
+                allowPositionals: true,
+                strict: true
+            }));
+        } catch (e) {
+            throw new UsageError(e.message);
+        }
+        if (values.help) {
+            console.log(helpText(commandName));
+            return EXIT_OK;
+        }
+
+        // Keep stdout clean for the JSON result
+        if (values.json) console.log = console.info = console.warn = (...args) => console.error(...args);
+
+        try {
+            const config = await loadConfig({ file: values.config, overrides: configFromFlags(values) });
+            setConfig(config);
+            if (config.configFile) console.log(`⚙️ Using config ${path.relative(process.cwd(), config.configFile)}`);
+        } catch (e) {
+            if (e instanceof ConfigError) throw new UsageError(e.message);
+            throw e;
+        }
+
+        const outcome = await command.run(positionals, values);
+        if (values.json) {
+            process.stdout.write(JSON.stringify({ command: commandName, ...outcome }, null, 2) + '\n');
+        } else if (outcome.ok) {
+            console.log(`✅ ${outcome.message}`);
+        } else {
+            console.error(`❌ ${outcome.error}`);
+        }
+        return outcome.ok ? EXIT_OK : EXIT_FAILED;
+    } catch (e) {
+        const usage = e instanceof UsageError;
+        if (values.json || rest.includes('--json')) {
+            process.stdout.write(JSON.stringify({ command: commandName, ok: false, error: e.message }, null, 2) + '\n');
+        } else {
+            console.error(`❌ ${e.message}`);
+            if (usage) console.error(`Run "cc-site-cloner ${command ? `${commandName} ` : ''}--help" for usage.`);
+        }
+        return usage ? EXIT_USAGE : EXIT_FAILED;
+    }
+}
+
+// Run when executed directly (also through the npm bin symlink)
+const invokedPath = process.argv[1] ? fss.realpathSync(process.argv[1]) : '';
+if (invokedPath === fileURLToPath(import.meta.url)) {
+    runCli(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
+
+export { runCli, EXIT_OK, EXIT_FAILED, EXIT_USAGE };
@@ -2,6 +2,9 @@ import fs from 'fs/promises';
 import fss from 'fs';
 import path from 'path';
 import { spawn } from 'child_process';
+import { MANIFEST_DIR } from './utils/manifest.js';
+import { installApiReplay } from './utils/api-fixtures.js';
+import { currentConfig } from './utils/config.js';
 
 function run(cmd, args, options) {
     return new Promise((resolve, reject) => {
@@ -66,15 +69,25 @@ async function ensureAppFromClone(cloneDir) {
     }
     const publicDir = path.join(appDir, 'public');
     if (!fss.existsSync(publicDir)) {
-        await fs.cp(cloneDir, publicDir, { recursive: true });
+        await fs.cp(cloneDir, publicDir, {
+            recursive: true,
+            filter: (src) => path.basename(src) !== MANIFEST_DIR
+        });
     }
+    const apiFixtureCount = await installApiReplay(cloneDir, appDir);
 
     const appJsContent = `const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const app = express();
-const port = 3000; // hardcoded per request
-
+const port = process.env.PORT || ${currentConfig().server.port};
+${apiFixtureCount > 0 ? `
+// Replay recorded API responses (fixtures/index.json)
+require('./replay')(app, path.join(__dirname, 'fixtures'));
+` : ''}${fss.existsSync(path.join(appDir, 'optimized.js')) ? `
+// Pre-compressed and modern image variants (optimized.js)
+require('./optimized')(app, path.join(__dirname, 'public'));
+` : ''}
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.get('/', (req, res) => {
@@ -108,7 +121,7 @@ app.listen(port, () => {
 }
 
 async function main(preferredPath) {
-    const clonesDir = path.join(process.cwd(), 'clones');
+    const clonesDir = path.resolve(currentConfig().outputDir);
     if (!fss.existsSync(clonesDir)) {
         console.error(`No clones directory found at ${clonesDir}`);
         process.exit(1);
@@ -135,7 +148,7 @@ async function main(preferredPath) {
         // Prefer the most recent clone; create its app if needed.
         const latestClone = await findLatestCloneDir(clonesDir);
         if (!latestClone) {
-            console.error('No clone directories found under clones/.');
+            console.error(`No clone directories found under ${clonesDir}.`);
             process.exit(1);
         }
         const appFromLatestClone = await ensureAppFromClone(latestClone);
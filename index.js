@@ -0,0 +1,371 @@
+/**
+ * Library entry point - the cloner as an API for embedding in other services.
+ *
+ *   import { SiteCloner } from 'cc-site-cloner';
+ *
+ *   const cloner = new SiteCloner({ crawl: true, maxPages: 20 });
+ *   cloner.on('page', (e) => console.log('page', e.url));
+ *   const { clone, app } = await cloner.run('https://example.com', {}, { signal });
+ *
+ * Every method resolves with a result object whose `status` is 'success', or rejects with a
+ * ClonerError whose `code` says what went wrong. Nothing here prompts, exits the process
+ * or calls an LLM, and the only server started is the temporary app compareVisual renders.
+ *
+ * Output directory, timeouts, user agents and per-site profiles come from the active config:
+ * the defaults plus the environment, or what `setConfig(await loadConfig())` activated.
+ */
+import { EventEmitter } from 'events';
+import { cloneWebsite, analyzeWebsite, generateNodeApp, writeAnalysisReports, verifyClone, captureBaselines, compareVisual } from './chai-gem-cloner.js';
+import { CLONE_OPTIONS_SCHEMA } from './utils/clone-options.js';
+import { validateSchema } from './utils/tool-registry.js';
+import { CONFIG_SCHEMA, ConfigError, loadConfig, setConfig } from './utils/config.js';
+
+/**
+ * @typedef {object} CloneOptions
+ * @property {boolean} [crawl] - Follow same-origin links breadth-first
+ * @property {number} [maxDepth] - Link depth to crawl (default 2)
+ * @property {number} [maxPages] - Maximum pages to clone (default 50)
+ * @property {RegExp|string|Array<RegExp|string>} [include] - Only crawl URLs matching one of these
+ * @property {RegExp|string|Array<RegExp|string>} [exclude] - Skip URLs matching any of these
+ * @property {boolean|string|string[]} [sitemap] - Seed pages from the site's sitemaps, or from these
+ * @property {boolean} [respectRobots] - Skip what robots.txt disallows (default true)
+ * @property {string} [robotsAgent] - User-agent token matched against robots.txt
+ * @property {boolean|string} [resume] - Continue the latest clone of the host, or this clone directory
+ * @property {boolean} [resync] - Refresh only what changed since the last clone
+ * @property {string|object} [renderer] - 'static' (default), 'browser' or a renderer object
+ * @property {object} [rendererOptions] - Browser renderer options
+ * @property {boolean} [captureApi] - Store same-origin XHR/fetch responses as API fixtures (default true)
+ * @property {object|object[]} [apiFixtures] - API responses to capture or declare
+ * @property {object} [downloadOptions] - Scheduler limits (see utils/scheduler.js)
+ * @property {'placeholder'|'keep'|'blank'} [failedAssetFallback] - What references to failed assets become
+ */
+
+/**
+ * @typedef {object} CallOptions
+ * @property {AbortSignal} [signal] - Cancels the call; it rejects with a ClonerError coded 'ABORTED'
+ */
+
+/**
+ * @typedef {object} CloneResult
+ * @property {'success'} status
+ * @property {string} message
+ * @property {string} dir - Clone directory
+ * @property {number} pagesCount
+ * @property {number} assetsCount
+ * @property {number} failedDownloads
+ * @property {Array<{url: string, path: string, depth: number}>} pages
+ * @property {string} failuresReport - Path of <clone>/.clone/failures.json
+ */
+
+/**
+ * @typedef {object} AnalysisResult
+ * @property {'success'} status
+ * @property {Array<object>} htmlFiles
+ * @property {Array<object>} cssFiles
+ * @property {Array<object>} jsFiles
+ * @property {Array<object>} images
+ * @property {number} totalSize
+ * @property {Array<PageAnalysis>} pages - One entry per HTML file
+ * @property {Array<{name: string, category: string, pages: string[]}>} techStack - Detected frameworks and libraries
+ * @property {{error: number, warning: number, info: number, seo: number, accessibility: number}} findingsSummary
+ * @property {PageAnalysis} pageStructure - The root index.html
+ * @property {VisualResult|null} visual - The last visual comparison of the clone, if any
+ * @property {OptimizationResult|null} optimization - The last asset optimization of the clone's app, if any
+ */
+
+/**
+ * @typedef {object} OptimizationResult
+ * @property {Array<{type: string, files: number, before: number, after: number}>} sizes - Bytes by file type before and after
+ * @property {{before: number, after: number}} total
+ * @property {Object<string, {files: number, before: number, after: number}>} encodings - Pre-compressed variants by encoding ('br', 'gzip')
+ * @property {Object<string, {files: number, before: number, after: number}>} imageVariants - Image variants by format ('webp', 'avif')
+ * @property {Array<{step: string, reason: string}>} skipped - Steps whose optional dependency is missing
+ * @property {Array<{file: string, step: string, error: string}>} errors - Files left unchanged because a step failed
+ */
+
+/**
+ * @typedef {object} PageAnalysis
+ * @property {string} path - Page file, relative to the clone
+ * @property {string} title
+ * @property {string} metaDescription
+ * @property {string|null} lang
+ * @property {Object<string, number>} headingStructure - h1 to h6 counts
+ * @property {Array<{name: string, category: string, evidence: string}>} techStack
+ * @property {Array<Finding>} findings
+ */
+
+/**
+ * @typedef {object} Finding
+ * @property {string} rule - e.g. 'canonical-missing', 'img-alt'
+ * @property {'seo'|'accessibility'} category
+ * @property {'error'|'warning'|'info'} severity
+ * @property {string} message
+ * @property {number} [count] - Elements affected
+ * @property {string[]} [examples] - Markup of the first few
+ */
+
+/**
+ * @typedef {object} GenerateResult
+ * @property {'success'} status
+ * @property {string} message
+ * @property {string} appDir - Generated app directory
+ * @property {OptimizationResult|null} optimization - Set when public/ was optimized
+ * @property {Object<string, string>} reports - Report files written to the app directory, by format
+ * @property {string[]} nextSteps
+ */
+
+/**
+ * @typedef {object} ReportResult
+ * @property {'success'} status
+ * @property {string} message
+ * @property {string} outDir - Directory the reports were written to
+ * @property {Object<string, string>} files - Written files by format ('json', 'html', 'sarif', 'markdown')
+ */
+
+/**
+ * @typedef {object} VerifyResult
+ * @property {'success'} status
+ * @property {boolean} passed - No errors (and no warnings when strict)
+ * @property {string} dir
+ * @property {string|null} origin - Origin of the cloned site, from the clone manifest
+ * @property {{html: number, css: number}} filesChecked
+ * @property {number} referencesChecked
+ * @property {{error: number, warning: number, info: number}} summary
+ * @property {Object<string, number>} byRule - Issue counts by rule
+ * @property {Array<{rule: string, severity: string, file: string, ref: string, message: string}>} issues
+ */
+
+/**
+ * @typedef {object} Viewport
+ * @property {string} name - Directory the viewport's images are stored under
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {object} BaselineResult
+ * @property {'success'} status
+ * @property {string} dir - <clone>/.clone/baselines
+ * @property {Viewport[]} viewports
+ * @property {Array<{page: string, viewport: string, file: string}>} captured
+ * @property {Array<{page: string, viewport: string, error: string}>} failed
+ */
+
+/**
+ * @typedef {object} VisualResult
+ * @property {'success'} status
+ * @property {boolean} passed - Every comparison reached the threshold
+ * @property {number} score - Mean similarity, 0-1
+ * @property {number} threshold
+ * @property {string|null} appUrl - The running app that was compared, or null when <clone>_app was started
+ * @property {Viewport[]} viewports
+ * @property {number} compared
+ * @property {string[]} missingBaselines - Pages without a baseline at any viewport
+ * @property {Array<{page: string, viewport: string, similarity: number, passed: boolean, diffPixels?: number,
+ *           totalPixels?: number, baseline: string, actual?: string, diff?: string, error?: string}>} results - Image paths are clone-relative
+ * @property {string} file - visual.json
+ */
+
+/**
+ * Events emitted by SiteCloner:
+ *   'page'  { url, path, depth, fetched, pagesCount } - a page was fetched (or reused when resuming)
+ *   'asset' { url, ok, path, cached, error }          - an asset was downloaded, reused or failed
+ *   'stage' { stage, status, result?, error? }        - clone/analyze/generate/report/verify/baseline/visual started, succeeded or failed
+ */
+
+const ERROR_CODES = ['INVALID_INPUT', 'CLONE_FAILED', 'ANALYZE_FAILED', 'GENERATE_FAILED', 'REPORT_FAILED', 'VERIFY_FAILED', 'VISUAL_FAILED', 'ABORTED'];
+
+class ClonerError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message
+     * @param {object} [details] - { stage, cause }
+     */
+    constructor(code, message, { stage = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ClonerError';
+        this.code = code;
+        this.stage = stage;
+    }
+}
+
+const STAGE_ERROR_CODES = {
+    clone: 'CLONE_FAILED',
+    analyze: 'ANALYZE_FAILED',
+    generate: 'GENERATE_FAILED',
+    report: 'REPORT_FAILED',
+    verify: 'VERIFY_FAILED',
+    baseline: 'VISUAL_FAILED',
+    visual: 'VISUAL_FAILED'
+};
+
+function isAbort(error, signal) {
+    return error?.name === 'AbortError' || error?.code === 'ERR_CANCELED' || Boolean(signal?.aborted && error === signal.reason);
+}
+
+class SiteCloner extends EventEmitter {
+    /**
+     * @param {CloneOptions} [defaults] - Clone options applied to every clone
+     */
+    constructor(defaults = {}) {
+        super();
+        SiteCloner.validateOptions(defaults);
+        this.defaults = defaults;
+    }
+
+    /**
+     * @param {CloneOptions} options
+     * @throws {ClonerError} INVALID_INPUT when an option is unknown or has the wrong type
+     */
+    static validateOptions(options) {
+        const errors = validateSchema(options ?? {}, CLONE_OPTIONS_SCHEMA, 'options');
+        if (errors.length > 0) throw new ClonerError('INVALID_INPUT', `Invalid clone options: ${errors.join('; ')}`);
+    }
+
+    /**
+     * Runs one stage: emits its 'stage' events and turns failures into ClonerErrors
+     */
+    async runStage(stage, signal, work) {
+        if (signal?.aborted) throw new ClonerError('ABORTED', `The ${stage} stage was aborted`, { stage, cause: signal.reason });
+        this.emit('stage', { stage, status: 'started' });
+        let result;
+        try {
+            result = await work();
+            // The tools turn errors into results, so a cancelled stage can come back as a failure
+            signal?.throwIfAborted();
+        } catch (e) {
+            const error = isAbort(e, signal)
+                ? new ClonerError('ABORTED', `The ${stage} stage was aborted`, { stage, cause: e })
+                : new ClonerError(STAGE_ERROR_CODES[stage], e.message, { stage, cause: e });
+            this.emit('stage', { stage, status: 'failed', error });
+            throw error;
+        }
+
+        // The tools report failure as an error string or an { error } object
+        if (typeof result === 'string' || !result || result.error) {
+            const error = new ClonerError(STAGE_ERROR_CODES[stage], typeof result === 'string' ? result : result?.error || 'No result', { stage });
+            this.emit('stage', { stage, status: 'failed', error });
+            throw error;
+        }
+        const normalized = { status: 'success', ...result };
+        this.emit('stage', { stage, status: 'succeeded', result: normalized });
+        return normalized;
+    }
+
+    /**
+     * Clones a website into <outputDir>/<host>_<timestamp>
+     * @param {string} url - Start URL (may be empty when `options.resume` is a clone directory)
+     * @param {CloneOptions} [options] - Merged over the constructor defaults
+     * @param {CallOptions} [callOptions]
+     * @returns {Promise<CloneResult>}
+     */
+    async clone(url, options = {}, { signal } = {}) {
+        const merged = { ...this.defaults, ...options };
+        SiteCloner.validateOptions(merged);
+        if (!url && typeof merged.resume !== 'string') {
+            throw new ClonerError('INVALID_INPUT', 'A URL is required unless options.resume is a clone directory');
+        }
+        if (url) {
+            try {
+                const { protocol } = new URL(url);
+                if (!['http:', 'https:'].includes(protocol)) throw new Error();
+            } catch (e) {
+                throw new ClonerError('INVALID_INPUT', `Not an http(s) URL: ${url}`);
+            }
+        }
+        return this.runStage('clone', signal, () => cloneWebsite(url || '', {
+            ...merged,
+            signal,
+            onProgress: (event) => this.emit(event.type, event)
+        }));
+    }
+
+    /**
+     * Analyzes a cloned website
+     * @param {string} cloneDir - Clone directory
+     * @param {CallOptions} [callOptions]
+     * @returns {Promise<AnalysisResult>}
+     */
+    async analyze(cloneDir, { signal } = {}) {
+        if (!cloneDir) throw new ClonerError('INVALID_INPUT', 'A clone directory is required');
+        return this.runStage('analyze', signal, () => analyzeWebsite(cloneDir));
+    }
+
+    /**
+     * Generates an Express app for a clone in <cloneDir>_app
+     * @param {string} cloneDir - Clone directory
+     * @param {object} [options] - { analysis: an AnalysisResult (analyzed first when missing), optimize: true, false
+     *        or optimizer options (default: the config's optimize.enabled), signal }
+     * @returns {Promise<GenerateResult>}
+     */
+    async generate(cloneDir, { analysis, optimize, signal } = {}) {
+        if (!cloneDir) throw new ClonerError('INVALID_INPUT', 'A clone directory is required');
+        const report = analysis || await this.analyze(cloneDir, { signal });
+        return this.runStage('generate', signal, () => generateNodeApp(cloneDir, report, { optimize, signal }));
+    }
+
+    /**
+     * Writes analysis reports for a clone without generating an app
+     * @param {string} cloneDir - Clone directory
+     * @param {object} [options] - { analysis (analyzed first when missing), formats, outDir (default <cloneDir>/.clone/reports), signal }
+     * @returns {Promise<ReportResult>}
+     */
+    async report(cloneDir, { analysis, formats, outDir, signal } = {}) {
+        if (!cloneDir) throw new ClonerError('INVALID_INPUT', 'A clone directory is required');
+        const report = analysis || await this.analyze(cloneDir, { signal });
+        return this.runStage('report', signal, () => writeAnalysisReports(cloneDir, { analysis: report, formats, outDir }));
+    }
+
+    /**
+     * Checks that a clone is self-contained. A clone that does not pass still resolves;
+     * check `passed`.
+     * @param {string} cloneDir - Clone directory
+     * @param {object} [options] - { allowHosts: hostnames or RegExps assets may load from, strict: warnings fail too, signal }
+     * @returns {Promise<VerifyResult>}
+     */
+    async verify(cloneDir, { allowHosts, strict, signal } = {}) {
+        if (!cloneDir) throw new ClonerError('INVALID_INPUT', 'A clone directory is required');
+        return this.runStage('verify', signal, () => verifyClone(cloneDir, { allowHosts, strict, signal }));
+    }
+
+    /**
+     * Screenshots the original pages of a clone as baselines for compareVisual (needs the live
+     * site and puppeteer)
+     * @param {string} cloneDir - Clone directory
+     * @param {object} [options] - { viewports (default: the config's), pages: page paths, launchOptions, fullPage, signal }
+     * @returns {Promise<BaselineResult>}
+     */
+    async captureBaselines(cloneDir, { signal, ...options } = {}) {
+        if (!cloneDir) throw new ClonerError('INVALID_INPUT', 'A clone directory is required');
+        return this.runStage('baseline', signal, () => captureBaselines(cloneDir, { ...options, signal }));
+    }
+
+    /**
+     * Renders the generated app and diffs it against the baselines, offline. A clone that does
+     * not reach the threshold still resolves; check `passed`.
+     * @param {string} cloneDir - Clone directory
+     * @param {object} [options] - { appUrl: a running app (default: start <cloneDir>_app), viewports, threshold,
+     *        pixelThreshold, launchOptions, fullPage, signal }
+     * @returns {Promise<VisualResult>}
+     */
+    async compareVisual(cloneDir, { signal, ...options } = {}) {
+        if (!cloneDir) throw new ClonerError('INVALID_INPUT', 'A clone directory is required');
+        return this.runStage('visual', signal, () => compareVisual(cloneDir, { ...options, signal }));
+    }
+
+    /**
+     * Clones, analyzes and generates an app, without an LLM
+     * @param {string} url - Start URL
+     * @param {CloneOptions} [options]
+     * @param {CallOptions} [callOptions]
+     * @returns {Promise<{status: 'success', clone: CloneResult, analysis: AnalysisResult, app: GenerateResult, appDir: string}>}
+     */
+    async run(url, options = {}, { signal } = {}) {
+        const clone = await this.clone(url, options, { signal });
+        const analysis = await this.analyze(clone.dir, { signal });
+        const app = await this.generate(clone.dir, { analysis, signal });
+        return { status: 'success', clone, analysis, app, appDir: app.appDir };
+    }
+}
+
+export { SiteCloner, ClonerError, ERROR_CODES, CLONE_OPTIONS_SCHEMA, CONFIG_SCHEMA, ConfigError, loadConfig, setConfig };
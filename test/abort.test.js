@@ -0,0 +1,82 @@
+/**
+ * Cancelling a clone through SiteCloner: an aborted signal must cut retry sleeps, hanging
+ * page requests and crawl-delay waits short and reject with an ABORTED ClonerError.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { once, EventEmitter } from 'events';
+import express from 'express';
+import { SiteCloner, loadConfig, setConfig } from '../index.js';
+
+// Each wait below would take 30 s or more without the signal
+const PROMPT_MS = 3000;
+
+const requests = new EventEmitter();
+let server;
+let origin;
+let workDir;
+
+before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+        requests.emit(req.path);
+        next();
+    });
+    app.get('/robots.txt', (req, res) => res.type('text/plain').send(
+        req.hostname === 'localhost' ? 'User-agent: *\nCrawl-delay: 60\n' : 'User-agent: *\nAllow: /\n'));
+    app.get('/retry', (req, res) => res.type('html').send('<html><body><img src="/busy.png"></body></html>'));
+    app.get('/busy.png', (req, res) => res.status(503).set('Retry-After', '30').send('busy'));
+    app.get('/hang', (req, res) => res.type('html').send('<html><body><a href="/never">next</a></body></html>'));
+    app.get('/never', () => {});
+    app.get('/delay', (req, res) => res.type('html').send('<html><body><a href="/delay/next">next</a></body></html>'));
+    app.get('/delay/next', (req, res) => res.type('html').send('<html><body>next</body></html>'));
+    server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    origin = `http://127.0.0.1:${server.address().port}`;
+
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cloner-abort-'));
+    setConfig(await loadConfig({ cwd: workDir, env: {}, overrides: { outputDir: workDir, pageDelayMs: 0 } }));
+});
+
+after(async () => {
+    setConfig(null);
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Starts a clone, aborts it once the server sees `abortOn`, and asserts that it rejects promptly
+ */
+async function assertAbortsPromptly(url, options, abortOn) {
+    const controller = new AbortController();
+    const cloning = new SiteCloner().clone(url, options, { signal: controller.signal });
+    const outcome = cloning.then(() => null, (e) => e);
+
+    await once(requests, abortOn);
+    // Let the request settle into its wait before cancelling
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const abortedAt = Date.now();
+    controller.abort();
+
+    const error = await outcome;
+    assert.ok(error, 'the clone should reject');
+    assert.equal(error.code, 'ABORTED', error.message);
+    assert.equal(error.stage, 'clone');
+    assert.ok(Date.now() - abortedAt < PROMPT_MS, `took ${Date.now() - abortedAt} ms to stop`);
+}
+
+test('aborting interrupts a Retry-After sleep', async () => {
+    await assertAbortsPromptly(`${origin}/retry`, { downloadOptions: { retries: 3, maxRetryAfterMs: 60000 } }, '/busy.png');
+});
+
+test('aborting interrupts a page request that never answers', async () => {
+    await assertAbortsPromptly(`${origin}/hang`, { crawl: true, maxDepth: 1 }, '/never');
+});
+
+test('aborting interrupts the crawl delay between pages', async () => {
+    const port = server.address().port;
+    await assertAbortsPromptly(`http://localhost:${port}/delay`, { crawl: true, maxDepth: 1 }, '/delay');
+});
@@ -0,0 +1,74 @@
+/**
+ * Local asset names: extensions from the Content-Type, query strings folded into a hash,
+ * and names claimed by another URL (compared case-insensitively) made unique.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { assetPathForUrl, extensionsForContentType } from '../utils/asset-naming.js';
+
+const hash = (str) => createHash('sha256').update(str).digest('hex').slice(0, 8);
+const SITE = 'https://example.com';
+
+test('extensionsForContentType ignores parameters and case', () => {
+    assert.deepEqual(extensionsForContentType('text/css; charset=utf-8'), ['.css']);
+    assert.deepEqual(extensionsForContentType(' IMAGE/JPEG '), ['.jpg', '.jpeg', '.jpe']);
+    assert.deepEqual(extensionsForContentType('application/x-unknown'), []);
+    assert.deepEqual(extensionsForContentType(undefined), []);
+});
+
+test('the extension comes from the Content-Type when the URL has none or an unknown one', () => {
+    const cases = [
+        // [path, content type, expected]
+        ['/img/logo.png', 'image/png', 'img/logo.png'],
+        ['/img/logo', 'image/png', 'img/logo.png'],
+        ['/img/photo', 'image/jpeg; charset=binary', 'img/photo.jpg'],
+        ['/fonts/inter', 'font/woff2', 'fonts/inter.woff2'],
+        ['/style.php', 'text/css', 'style.php.css'],
+        ['/bundle.js', 'text/plain', 'bundle.js'],
+        ['/bundle.mjs', 'application/javascript', 'bundle.mjs'],
+        ['/PHOTO.JPG', 'image/jpeg', 'PHOTO.JPG'],
+        ['/download', '', 'download.bin'],
+        ['/download', 'application/x-unknown', 'download.bin'],
+        ['/script.aspx', '', 'script.aspx'],
+        ['/', 'text/html', 'index.html'],
+        ['/docs/', 'text/html', 'docs/index.html'],
+        ['/a%20b/c%3Fd.png', 'image/png', 'a b/c_d.png'],
+        ['/../../etc/passwd', 'text/plain', 'etc/passwd.txt']
+    ];
+    for (const [urlPath, contentType, expected] of cases) {
+        assert.equal(assetPathForUrl(`${SITE}${urlPath}`, contentType), expected, `${urlPath} (${contentType})`);
+    }
+});
+
+test('query strings fold into the name as a hash', () => {
+    const cases = [
+        ['/img?id=1', 'image/png', `img-${hash('?id=1')}.png`],
+        ['/img?id=2', 'image/png', `img-${hash('?id=2')}.png`],
+        ['/style.css?v=3', 'text/css', `style-${hash('?v=3')}.css`],
+        ['/api/data.php?page=2', 'application/json', `api/data.php-${hash('?page=2')}.json`],
+        ['/style.css#section', 'text/css', 'style.css']
+    ];
+    for (const [urlPath, contentType, expected] of cases) {
+        assert.equal(assetPathForUrl(`${SITE}${urlPath}`, contentType), expected, urlPath);
+    }
+});
+
+test('a name claimed by another URL gets a hash of the full URL, compared case-insensitively', () => {
+    const claimed = new Map();
+    const name = (urlPath, contentType) => assetPathForUrl(`${SITE}${urlPath}`, contentType, claimed);
+
+    assert.equal(name('/img/Logo.png', 'image/png'), 'img/Logo.png');
+    assert.equal(name('/img/Logo.png', 'image/png'), 'img/Logo.png', 'the same URL keeps its name');
+    assert.equal(name('/img/logo.png', 'image/png'), `img/logo-${hash(`${SITE}/img/logo.png`)}.png`);
+    assert.equal(name('/IMG/LOGO.PNG', 'image/png'), `IMG/LOGO-${hash(`${SITE}/IMG/LOGO.PNG`)}.PNG`);
+
+    // "/style" served as CSS and "/style.css" want the same file
+    assert.equal(name('/style', 'text/css'), 'style.css');
+    assert.equal(name('/style.css', 'text/css'), `style-${hash(`${SITE}/style.css`)}.css`);
+
+    // Another host with the same path
+    const other = 'https://cdn.example.net/img/Logo.png';
+    assert.equal(assetPathForUrl(other, 'image/png', claimed), `img/Logo-${hash(other)}.png`);
+    assert.equal(claimed.get('img/logo.png'), `${SITE}/img/Logo.png`);
+});
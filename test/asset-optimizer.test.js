@@ -0,0 +1,178 @@
+/**
+ * The asset optimizer on a fixture public/ directory (csso and terser are dev dependencies)
+ * and the optimized.js runtime it installs, served by express.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { createRequire } from 'module';
+import axios from 'axios';
+import express from 'express';
+import { optimizeAssets, installOptimizedServing, DEFAULT_OPTIMIZE_OPTIONS } from '../utils/asset-optimizer.js';
+
+const VERBOSE_CSS = `/* Layout */
+.header   {   color : #ff0000 ;  margin : 0px 0px 0px 0px ; }
+.is-open  {   display : block ; }
+${'.card { padding: 10px; border: 1px solid #cccccc; }\n'.repeat(60)}`;
+const VERBOSE_JS = `// Toggles the menu
+function toggleMenu(menuElement) {
+    const isCurrentlyOpen = menuElement.classList.contains('is-open');
+    menuElement.classList.toggle('is-open', !isCurrentlyOpen);
+    return !isCurrentlyOpen;
+}
+${'console.log("padding so the file is worth compressing");\n'.repeat(40)}`;
+const MINIFIED_CSS = 'a{color:red}';
+
+let workDir;
+
+before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cloner-optimizer-'));
+});
+
+after(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+});
+
+async function publicDir(name, files) {
+    const dir = path.join(workDir, name);
+    for (const [file, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+        await fs.writeFile(path.join(dir, file), content);
+    }
+    return dir;
+}
+
+const OFFLINE = { html: false, images: false };
+
+test('unused CSS removal is opt-in', () => {
+    assert.equal(DEFAULT_OPTIMIZE_OPTIONS.unusedCss, false);
+});
+
+test('replaces a file only when the minified output is smaller', async () => {
+    const dir = await publicDir('minify', {
+        'index.html': '<div class="header"><div class="card">hi</div></div>',
+        'style.css': VERBOSE_CSS,
+        'tight.css': MINIFIED_CSS,
+        'app.js': VERBOSE_JS,
+        'vendor.min.js': 'var   a = 1 ;',
+        'broken.js': 'function (',
+    });
+    const result = await optimizeAssets(dir, { ...OFFLINE, precompress: [] });
+
+    const css = await fs.readFile(path.join(dir, 'style.css'), 'utf8');
+    assert.ok(css.length < VERBOSE_CSS.length);
+    assert.doesNotMatch(css, /Layout|\n/);
+    assert.match(css, /\.is-open\{display:block\}/, 'runtime classes survive by default');
+    assert.equal(await fs.readFile(path.join(dir, 'tight.css'), 'utf8'), MINIFIED_CSS);
+
+    const js = await fs.readFile(path.join(dir, 'app.js'), 'utf8');
+    assert.ok(js.length < VERBOSE_JS.length);
+    assert.doesNotMatch(js, /Toggles the menu/);
+    assert.equal(await fs.readFile(path.join(dir, 'vendor.min.js'), 'utf8'), 'var   a = 1 ;');
+    assert.equal(await fs.readFile(path.join(dir, 'broken.js'), 'utf8'), 'function (');
+    assert.deepEqual(result.errors.map(e => e.file), ['broken.js']);
+
+    const cssGroup = result.sizes.find(s => s.type === 'CSS');
+    assert.equal(cssGroup.before, VERBOSE_CSS.length + MINIFIED_CSS.length);
+    assert.equal(cssGroup.after, css.length + MINIFIED_CSS.length);
+    assert.ok(result.total.after < result.total.before);
+});
+
+test('unusedCss drops rules for classes no page uses unless they are safelisted', async () => {
+    const files = { 'index.html': '<div class="header">hi</div>', 'style.css': VERBOSE_CSS };
+    const pruned = await publicDir('pruned', files);
+    await optimizeAssets(pruned, { ...OFFLINE, precompress: [], unusedCss: true });
+    const css = await fs.readFile(path.join(pruned, 'style.css'), 'utf8');
+    assert.match(css, /\.header/);
+    assert.doesNotMatch(css, /\.card|\.is-open/);
+
+    const kept = await publicDir('safelisted', files);
+    await optimizeAssets(kept, { ...OFFLINE, precompress: [], unusedCss: true, safelist: ['is-open'] });
+    assert.match(await fs.readFile(path.join(kept, 'style.css'), 'utf8'), /\.is-open/);
+});
+
+test('rebuilds variants of an earlier run and keeps downloaded compressed files', async () => {
+    const dir = await publicDir('variants', {
+        'style.css': VERBOSE_CSS,
+        'style.css.br': 'stale',
+        'small.css': MINIFIED_CSS,
+        'small.css.gz': 'stale',
+        'photo.jpg': 'not really a jpeg',
+        'photo.jpg.webp': 'stale',
+        'data.json.gz': 'downloaded archive',
+        'font.woff2.br': 'downloaded font'
+    });
+    const result = await optimizeAssets(dir, { ...OFFLINE, css: false, js: false });
+    const files = (await fs.readdir(dir)).sort();
+
+    assert.deepEqual(files, ['data.json.gz', 'font.woff2.br', 'photo.jpg', 'small.css', 'style.css', 'style.css.br', 'style.css.gz']);
+    assert.equal(zlib.brotliDecompressSync(await fs.readFile(path.join(dir, 'style.css.br'))).toString(), VERBOSE_CSS);
+    assert.equal(zlib.gunzipSync(await fs.readFile(path.join(dir, 'style.css.gz'))).toString(), VERBOSE_CSS);
+    assert.equal(await fs.readFile(path.join(dir, 'data.json.gz'), 'utf8'), 'downloaded archive');
+    assert.equal(result.encodings.br.files, 1);
+    assert.equal(result.encodings.gzip.files, 1);
+});
+
+test('the serving runtime negotiates Content-Encoding and image variants and sets Vary', async () => {
+    const appDir = path.join(workDir, 'app');
+    const dir = await publicDir('app/public', {
+        'index.html': `<html><body>${'<p>hello</p>'.repeat(200)}</body></html>`,
+        'style.css': VERBOSE_CSS,
+        'plain.txt': 'tiny',
+        'photo.jpg': 'jpeg bytes'
+    });
+    await optimizeAssets(dir, { ...OFFLINE, css: false, js: false });
+    // Stands in for the variant sharp would write
+    await fs.writeFile(path.join(dir, 'photo.jpg.webp'), 'webp bytes');
+    await installOptimizedServing(appDir);
+
+    const app = express();
+    createRequire(import.meta.url)(path.join(appDir, 'optimized.js'))(app, dir);
+    app.use(express.static(dir));
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    const get = (urlPath, headers) => axios.get(`http://127.0.0.1:${server.address().port}${urlPath}`, {
+        headers,
+        decompress: false,
+        responseType: 'arraybuffer'
+    });
+
+    try {
+        const br = await get('/style.css', { 'Accept-Encoding': 'gzip, br' });
+        assert.equal(br.headers['content-encoding'], 'br');
+        assert.match(br.headers['content-type'], /text\/css/);
+        assert.match(br.headers.vary, /Accept-Encoding/);
+        assert.equal(zlib.brotliDecompressSync(br.data).toString(), VERBOSE_CSS);
+
+        const gz = await get('/style.css', { 'Accept-Encoding': 'gzip' });
+        assert.equal(gz.headers['content-encoding'], 'gzip');
+        assert.equal(zlib.gunzipSync(gz.data).toString(), VERBOSE_CSS);
+
+        const identity = await get('/style.css', { 'Accept-Encoding': 'identity' });
+        assert.equal(identity.headers['content-encoding'], undefined);
+        assert.match(identity.headers.vary, /Accept-Encoding/);
+        assert.equal(identity.data.toString(), VERBOSE_CSS);
+
+        const page = await get('/', { 'Accept-Encoding': 'br' });
+        assert.equal(page.headers['content-encoding'], 'br');
+        assert.match(page.headers['content-type'], /text\/html/);
+
+        const small = await get('/plain.txt', { 'Accept-Encoding': 'br' });
+        assert.equal(small.headers['content-encoding'], undefined);
+        assert.equal(small.data.toString(), 'tiny');
+
+        const webp = await get('/photo.jpg', { Accept: 'image/webp,*/*' });
+        assert.equal(webp.headers['content-type'], 'image/webp');
+        assert.match(webp.headers.vary, /Accept/);
+        assert.equal(webp.data.toString(), 'webp bytes');
+
+        const jpeg = await get('/photo.jpg', { Accept: 'image/*' });
+        assert.match(jpeg.headers['content-type'], /image\/jpeg/);
+        assert.match(jpeg.headers.vary, /Accept/);
+        assert.equal(jpeg.data.toString(), 'jpeg bytes');
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,50 @@
+/**
+ * CLI flag parsing: numeric flags are checked before any work starts and invalid values
+ * exit with the usage code.
+ */
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { runCli, EXIT_USAGE } from '../cli.js';
+
+let errors;
+
+beforeEach(() => {
+    mock.restoreAll();
+    errors = [];
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+});
+
+const URL = 'https://example.com/';
+
+test('integer flags reject fractions', async () => {
+    const cases = [
+        ['--max-depth', '1.5'],
+        ['--max-pages', '2.25'],
+        ['--concurrency', '0.5'],
+        ['--per-host-concurrency', '1.1'],
+        ['--retries', '3.7'],
+        ['--max-asset-bytes', '1e-3'],
+        ['--port', '8080.5']
+    ];
+    for (const [flag, value] of cases) {
+        errors = [];
+        assert.equal(await runCli(['clone', URL, flag, value]), EXIT_USAGE, flag);
+        assert.match(errors[0], new RegExp(`${flag} must be a whole number, got "${value.replace('.', '\\.')}"`), flag);
+        assert.match(errors[1], /Run "cc-site-cloner clone --help" for usage/);
+    }
+});
+
+test('numeric flags reject negative, empty and non-numeric values', async () => {
+    for (const value of ['-1', '', 'ten', 'Infinity']) {
+        errors = [];
+        assert.equal(await runCli(['clone', URL, `--max-depth=${value}`]), EXIT_USAGE, value);
+        assert.match(errors[0], /--max-depth must be a non-negative number/, value);
+    }
+});
+
+test('--rate may be fractional', async () => {
+    // The rate is read first, so only --max-pages is reported
+    assert.equal(await runCli(['clone', URL, '--rate', '0.5', '--max-pages', '1.5']), EXIT_USAGE);
+    assert.match(errors[0], /--max-pages must be a whole number/);
+});
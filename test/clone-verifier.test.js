@@ -0,0 +1,141 @@
+/**
+ * The clone verifier on fixture clone directories: a self-contained clone passes, and each
+ * rule (origin-reference, external-reference, broken-path, missing-anchor) is reported.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CloneVerifier, verifyCloneDir } from '../utils/clone-verifier.js';
+import { CloneManifest } from '../utils/manifest.js';
+
+const ORIGIN = 'https://example.com';
+
+let workDir;
+
+before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cloner-verify-'));
+});
+
+after(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// A clone directory with a manifest for ORIGIN and the given files
+async function cloneDir(name, files) {
+    const dir = path.join(workDir, name);
+    for (const [file, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+        await fs.writeFile(path.join(dir, file), content);
+    }
+    await CloneManifest.create(dir, `${ORIGIN}/`).save();
+    return dir;
+}
+
+const SELF_CONTAINED = {
+    'index.html': `<!DOCTYPE html><html><head><link rel="stylesheet" href="assets/style.css">
+        <script src="/assets/app.js"></script></head><body>
+        <a href="about">About</a> <a href="about.html#team">Team</a> <a href="#main">Skip</a> <a href="#top">Top</a>
+        <a href="docs/">Docs</a> <a href="mailto:hi@example.com">Mail</a> <a href="javascript:void(0)">Menu</a>
+        <main id="main"><img src="assets/images/logo%20dark.png" alt=""><img src="data:image/gif;base64,R0lGOD"></main>
+        </body></html>`,
+    'about.html': '<html><body><section id="team">Team</section><a href="/">Home</a></body></html>',
+    'docs/index.html': '<html><body><a href="../index.html#main">Back</a></body></html>',
+    'assets/style.css': '@import "fonts.css"; body { background: url("images/bg.png"); } .icon { fill: url(#gradient); }',
+    'assets/fonts.css': '@font-face { src: url(/assets/font.woff2#iefix); }',
+    'assets/app.js': 'console.log(1);',
+    'assets/images/logo dark.png': 'png',
+    'assets/images/bg.png': 'png',
+    'assets/font.woff2': 'font'
+};
+
+const rulesOf = (report) => report.issues.map(i => `${i.rule} ${i.severity} ${i.file} ${i.ref}`).sort();
+
+test('a self-contained clone passes with no issues', async () => {
+    const report = await verifyCloneDir(await cloneDir('clean', SELF_CONTAINED), { strict: true });
+    assert.equal(report.passed, true, JSON.stringify(report.issues));
+    assert.deepEqual(report.issues, []);
+    assert.equal(report.origin, ORIGIN);
+    assert.deepEqual(report.filesChecked, { html: 3, css: 2 });
+    assert.ok(report.referencesChecked >= 12);
+});
+
+test('references to the cloned site are origin-reference errors, or warnings for links', async () => {
+    const report = await verifyCloneDir(await cloneDir('origin', {
+        'index.html': `<html><body><img src="${ORIGIN}/logo.png"><a href="https://www.example.com/about">About</a></body></html>`,
+        'style.css': `body { background: url(${ORIGIN}/bg.png); }`
+    }));
+    assert.equal(report.passed, false);
+    assert.deepEqual(rulesOf(report), [
+        `origin-reference error index.html ${ORIGIN}/logo.png`,
+        `origin-reference error style.css ${ORIGIN}/bg.png`,
+        'origin-reference warning index.html https://www.example.com/about'
+    ]);
+    assert.deepEqual(report.byRule, { 'origin-reference': 3 });
+});
+
+test('references to other hosts are external-reference errors unless the host is allowed', async () => {
+    const files = {
+        'index.html': '<html><head><script src="https://cdn.other.net/lib.js"></script>' +
+            '<link rel="stylesheet" href="//fonts.googleapis.com/css?family=Inter"></head>' +
+            '<body><a href="https://twitter.com/someone">Follow</a></body></html>'
+    };
+    const report = await verifyCloneDir(await cloneDir('external', files));
+    assert.equal(report.passed, false);
+    assert.deepEqual(rulesOf(report), [
+        'external-reference error index.html //fonts.googleapis.com/css?family=Inter',
+        'external-reference error index.html https://cdn.other.net/lib.js',
+        'external-reference warning index.html https://twitter.com/someone'
+    ]);
+
+    const allowed = await verifyCloneDir(path.join(workDir, 'external'), { allowHosts: ['other.net', /googleapis\.com$/] });
+    assert.deepEqual(allowed.summary, { error: 0, warning: 1, info: 2 });
+    assert.equal(allowed.passed, true);
+    const strict = await verifyCloneDir(path.join(workDir, 'external'), { allowHosts: ['other.net', /googleapis\.com$/], strict: true });
+    assert.equal(strict.passed, false, 'strict fails on the warning');
+});
+
+test('local references to missing files are broken-path errors', async () => {
+    const report = await verifyCloneDir(await cloneDir('broken', {
+        'index.html': '<html><body><img src="img/missing.png"><a href="contact">Contact</a>' +
+            '<a href="../../etc/passwd">Escape</a><a href="http://[bad">Bad</a></body></html>',
+        'css/site.css': 'body { background: url(../img/gone.png); }'
+    }));
+    assert.equal(report.passed, false);
+    assert.deepEqual(rulesOf(report), [
+        'broken-path error css/site.css ../img/gone.png',
+        'broken-path error index.html ../../etc/passwd',
+        'broken-path error index.html contact',
+        'broken-path error index.html http://[bad',
+        'broken-path error index.html img/missing.png'
+    ]);
+});
+
+test('fragments without a matching id or name are missing-anchor warnings', async () => {
+    const dir = await cloneDir('anchors', {
+        'index.html': '<html><body><a href="#nowhere">1</a><a href="#named">2</a><a href="faq.html#q%201">3</a>' +
+            '<a href="faq.html#q9">4</a><a href="#top">5</a></body><a name="named"></a></html>',
+        'faq.html': '<html><body><h2 id="q 1">Q1</h2></body></html>'
+    });
+    const report = await verifyCloneDir(dir);
+    assert.equal(report.passed, true, 'anchors only warn');
+    assert.deepEqual(rulesOf(report), [
+        'missing-anchor warning index.html #nowhere',
+        'missing-anchor warning index.html faq.html#q9'
+    ]);
+    assert.equal((await verifyCloneDir(dir, { strict: true })).passed, false);
+});
+
+test('without a manifest the origin is unknown and is treated as an external host', async () => {
+    const dir = path.join(workDir, 'no-manifest');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'index.html'), `<img src="${ORIGIN}/logo.png">`);
+    const report = await verifyCloneDir(dir);
+    assert.equal(report.origin, null);
+    assert.deepEqual(rulesOf(report), [`external-reference error index.html ${ORIGIN}/logo.png`]);
+
+    const withOrigin = await new CloneVerifier(dir, { origin: ORIGIN }).run();
+    assert.deepEqual(rulesOf(withOrigin), [`origin-reference error index.html ${ORIGIN}/logo.png`]);
+    await assert.rejects(verifyCloneDir(path.join(workDir, 'nope')), /No such directory/);
+});
@@ -0,0 +1,122 @@
+/**
+ * The executeCommand sandbox: command splitting, the allow-list and directory lock,
+ * environment scrubbing, limits, approval modes and the audit log.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CommandPolicy, splitCommand } from '../utils/command-policy.js';
+
+let workDir;
+let outside;
+
+before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cloner-commands-'));
+    outside = await fs.mkdtemp(path.join(os.tmpdir(), 'cloner-outside-'));
+    await fs.writeFile(path.join(workDir, 'page.html'), '<h1>hi</h1>\n');
+    await fs.writeFile(path.join(workDir, '..cache'), 'inside\n');
+    await fs.writeFile(path.join(outside, 'secret.txt'), 'secret\n');
+    await fs.symlink(outside, path.join(workDir, 'escape'));
+});
+
+after(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+    await fs.rm(outside, { recursive: true, force: true });
+});
+
+const policy = (options = {}) => new CommandPolicy({ auditLog: null, ...options });
+
+test('splitCommand groups quoted words and rejects shell syntax', () => {
+    assert.deepEqual(splitCommand(`grep -rn "two words" 'it''s' .`), ['grep', '-rn', 'two words', 'its', '.']);
+    for (const cmd of ['ls | wc', 'ls; rm x', 'ls && ls', 'cat < x', 'ls > x', 'echo $(id)', 'echo `id`', 'ls \\; x', 'ls\nrm x']) {
+        assert.throws(() => splitCommand(cmd), /Shell syntax is not allowed/, cmd);
+    }
+    assert.throws(() => splitCommand('cat "open'), /Unterminated quote/);
+});
+
+test('only allow-listed binaries and arguments pass', () => {
+    const p = policy();
+    assert.equal(p.check('ls -la', workDir).allowed, true);
+    assert.match(p.check('rm -rf .', workDir).reason, /not on the allow-list/);
+    assert.match(p.check('node script.js', workDir).reason, /Argument "script.js" is not allowed for node/);
+    assert.match(p.check('ls | wc', workDir).reason, /Shell syntax/);
+    assert.match(p.check('', workDir).reason, /Empty command/);
+});
+
+test('paths must stay inside the working directory, including option values', () => {
+    const p = policy();
+    for (const cmd of ['cat page.html', 'cat ..cache', 'cat new/file.txt', 'grep -rn foo .', 'grep -A3 foo page.html', 'ls --color=auto']) {
+        assert.equal(p.check(cmd, workDir).allowed, true, cmd);
+    }
+    const denied = [
+        'cat ../x', 'cat /etc/hostname', 'cat ~/.ssh/id_rsa', 'ls ..',
+        'grep --file=/etc/hostname .', 'grep --file=../x .',
+        'grep -f/etc/hostname .', 'grep -rf/etc/hostname .',
+        'cat escape/secret.txt', 'ls escape'
+    ];
+    for (const cmd of denied) {
+        assert.match(p.check(cmd, workDir).reason, /leaves the working directory/, cmd);
+    }
+});
+
+test('the child only gets passthrough variables that do not look like secrets', async () => {
+    process.env.CLONER_TEST_VISIBLE = 'visible';
+    process.env.CLONER_TEST_API_KEY = 'hidden';
+    try {
+        const p = policy({ allow: { env: [] }, envPassthrough: ['PATH', 'CLONER_TEST_VISIBLE', 'CLONER_TEST_API_KEY'] });
+        const result = await p.run('env', workDir);
+        assert.equal(result.status, 'success');
+        assert.match(result.stdout, /CLONER_TEST_VISIBLE=visible/);
+        assert.doesNotMatch(result.stdout, /CLONER_TEST_API_KEY|hidden/);
+    } finally {
+        delete process.env.CLONER_TEST_VISIBLE;
+        delete process.env.CLONER_TEST_API_KEY;
+    }
+});
+
+test('commands are killed at the timeout and output is capped', async () => {
+    const started = Date.now();
+    const slow = await policy({ allow: { sleep: ['\\d+'] }, timeoutMs: 200 }).run('sleep 10', workDir);
+    assert.equal(slow.status, 'failed');
+    assert.equal(slow.timedOut, true);
+    assert.match(slow.error, /Timed out after 200 ms/);
+    assert.ok(Date.now() - started < 5000);
+
+    await fs.writeFile(path.join(workDir, 'big.txt'), 'x'.repeat(100000));
+    const big = await policy({ maxOutputBytes: 1000 }).run('cat big.txt', workDir);
+    assert.equal(big.status, 'success');
+    assert.equal(big.truncated, true);
+    assert.equal(big.stdout.length, 1000);
+});
+
+test('approval modes: never denies everything, prompt asks first', async () => {
+    assert.match(policy({ approval: 'never' }).check('ls', workDir).reason, /approval mode "never"/);
+    assert.throws(() => policy({ approval: 'sometimes' }), /Unknown command approval mode/);
+
+    const asked = [];
+    const declined = await policy({ approval: 'prompt', confirm: async (cmd) => { asked.push(cmd); return false; } }).run('ls', workDir);
+    assert.deepEqual(asked, ['ls']);
+    assert.match(declined.error, /Command denied: Not approved/);
+
+    const approved = await policy({ approval: 'prompt', confirm: async () => true }).run('ls', workDir);
+    assert.equal(approved.status, 'success');
+    assert.match(approved.stdout, /page\.html/);
+});
+
+test('every decision is appended to the audit log', async () => {
+    const auditLog = path.join(workDir, 'logs', 'commands.jsonl');
+    const p = policy({ auditLog });
+    await p.run('ls', workDir);
+    await p.run('cat ../x', workDir);
+
+    const entries = (await fs.readFile(auditLog, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].cmd, 'ls');
+    assert.equal(entries[0].decision, 'run');
+    assert.equal(entries[0].exitCode, 0);
+    assert.equal(entries[1].decision, 'denied');
+    assert.match(entries[1].reason, /leaves the working directory/);
+    assert.ok(entries.every(e => e.time && e.cwd === workDir));
+});
@@ -0,0 +1,155 @@
+/**
+ * Configuration layering (defaults, config file, environment, CLI flags), schema validation,
+ * environment coercion and per-site clone profiles.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_CONFIG, ConfigError, loadConfig, setConfig, currentConfig, siteCloneOptions } from '../utils/config.js';
+
+let workDir;
+
+before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cloner-config-'));
+});
+
+after(async () => {
+    setConfig(null);
+    await fs.rm(workDir, { recursive: true, force: true });
+});
+
+async function project(name, files = {}) {
+    const dir = path.join(workDir, name);
+    await fs.mkdir(dir, { recursive: true });
+    for (const [file, content] of Object.entries(files)) {
+        await fs.writeFile(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return dir;
+}
+
+test('without a file, environment or flags the defaults apply', async () => {
+    const config = await loadConfig({ cwd: await project('empty'), env: {} });
+    assert.deepEqual({ ...config }, DEFAULT_CONFIG);
+    assert.equal(config.configFile, null);
+});
+
+test('the file overrides the defaults, the environment the file and flags the environment', async () => {
+    const cwd = await project('layers', {
+        'cloner.config.json': {
+            outputDir: 'from-file',
+            pageDelayMs: 0,
+            server: { port: 4000 },
+            reports: { formats: ['markdown'] },
+            visual: { threshold: 0.8 }
+        }
+    });
+    const config = await loadConfig({
+        cwd,
+        env: { PORT: '5000', VISUAL_THRESHOLD: '0.9', CLONES_DIR: 'from-env' },
+        overrides: { outputDir: 'from-flag' }
+    });
+
+    assert.equal(config.configFile, path.join(cwd, 'cloner.config.json'));
+    assert.equal(config.outputDir, 'from-flag');
+    assert.equal(config.server.port, 5000);
+    assert.equal(config.visual.threshold, 0.9);
+    assert.equal(config.pageDelayMs, 0);
+    // Objects merge key by key, arrays are replaced
+    assert.deepEqual(config.visual.viewports, DEFAULT_CONFIG.visual.viewports);
+    assert.deepEqual(config.reports.formats, ['markdown']);
+});
+
+test('module config files may export a function, and CLONER_CONFIG or file pick the file', async () => {
+    const cwd = await project('modules', {
+        'cloner.config.mjs': 'export default async () => ({ outputDir: "from-mjs" });',
+        'other.json': { outputDir: 'from-other' }
+    });
+    assert.equal((await loadConfig({ cwd, env: {} })).outputDir, 'from-mjs');
+    assert.equal((await loadConfig({ cwd, env: { CLONER_CONFIG: 'other.json' } })).outputDir, 'from-other');
+    assert.equal((await loadConfig({ cwd, env: {}, file: 'other.json' })).outputDir, 'from-other');
+    await assert.rejects(loadConfig({ cwd, env: {}, file: 'missing.json' }), (e) => e instanceof ConfigError && /Config file not found/.test(e.message));
+});
+
+test('invalid files and values are rejected with the offending source and key', async () => {
+    const unknown = await project('unknown-key', { 'cloner.config.json': { outptuDir: 'typo' } });
+    await assert.rejects(loadConfig({ cwd: unknown, env: {} }), (e) =>
+        e instanceof ConfigError && e.message.includes(path.join(unknown, 'cloner.config.json')) && /outptuDir/.test(e.message));
+
+    const badPort = await project('bad-port', { 'cloner.config.json': { server: { port: 70000 } } });
+    await assert.rejects(loadConfig({ cwd: badPort, env: {} }), /Invalid configuration.*server\.port/);
+
+    const broken = await project('broken-json', { 'cloner.config.json': '{ "outputDir": ' });
+    await assert.rejects(loadConfig({ cwd: broken, env: {} }), /Could not read/);
+
+    const noExport = await project('no-export', { 'cloner.config.mjs': 'export const other = 1;' });
+    await assert.rejects(loadConfig({ cwd: noExport, env: {} }), /must export a config object/);
+
+    const cwd = await project('flags');
+    await assert.rejects(loadConfig({ cwd, env: {}, overrides: { workflow: { fallbackPolicy: 'sometimes' } } }), /fallbackPolicy/);
+    await assert.rejects(loadConfig({ cwd, env: { LLM_PROVIDER: 'claude' } }), /llm\.provider/);
+});
+
+test('environment values are converted to the types the schema expects', async () => {
+    const cwd = await project('env');
+    const config = await loadConfig({
+        cwd,
+        env: {
+            PORT: '8080',
+            OPTIMIZE_ASSETS: '1',
+            REPORT_FORMATS: ' JSON , sarif,, ',
+            STAGE_RETRIES: '2',
+            LLM_PROVIDER: 'Mock',
+            COMMAND_APPROVAL: 'PROMPT',
+            WEBSITE_URL: '',
+            USE_GOOGLE: 'true'
+        }
+    });
+    assert.equal(config.server.port, 8080);
+    assert.equal(config.optimize.enabled, true);
+    assert.deepEqual(config.reports.formats, ['json', 'sarif']);
+    assert.equal(config.workflow.stageRetries, 2);
+    assert.equal(config.llm.provider, 'mock', 'LLM_PROVIDER wins over USE_GOOGLE');
+    assert.equal(config.commands.approval, 'prompt');
+    assert.equal(config.defaultUrl, null, 'empty variables count as unset');
+
+    assert.equal((await loadConfig({ cwd, env: { USE_GOOGLE: 'true' } })).llm.provider, 'gemini');
+    await assert.rejects(loadConfig({ cwd, env: { PORT: 'eighty' } }), /PORT must be a number, got "eighty"/);
+    await assert.rejects(loadConfig({ cwd, env: { OPTIMIZE_ASSETS: 'yes' } }), /OPTIMIZE_ASSETS must be true or false/);
+    await assert.rejects(loadConfig({ cwd, env: { STAGE_RETRIES: '1.5' } }), /stageRetries/);
+});
+
+test('site profiles override the clone defaults for their host, explicit options override both', async () => {
+    const cwd = await project('sites', {
+        'cloner.config.json': {
+            clone: { crawl: true, maxDepth: 2, downloadOptions: { concurrency: 4, retries: 2 } },
+            sites: {
+                'example.com': { maxDepth: 5, downloadOptions: { concurrency: 1 } },
+                'localhost:8080': { crawl: false }
+            }
+        }
+    });
+    const config = await loadConfig({ cwd, env: {} });
+
+    for (const url of ['https://example.com/', 'https://www.example.com/page']) {
+        assert.deepEqual(siteCloneOptions(url, {}, config), {
+            crawl: true, maxDepth: 5, downloadOptions: { concurrency: 1, retries: 2 }
+        }, url);
+    }
+    assert.equal(siteCloneOptions('https://example.com/', { maxDepth: 0 }, config).maxDepth, 0);
+    assert.equal(siteCloneOptions('http://localhost:8080/', {}, config).crawl, false);
+    assert.equal(siteCloneOptions('http://localhost:9090/', {}, config).crawl, true);
+    assert.deepEqual(siteCloneOptions('not a url', { maxPages: 3 }, config), { ...config.clone, maxPages: 3 });
+});
+
+test('currentConfig is the config set with setConfig, or the environment cached on first use', async () => {
+    const config = await loadConfig({ cwd: await project('active'), env: {}, overrides: { outputDir: 'active' } });
+    setConfig(config);
+    assert.equal(currentConfig(), config);
+
+    setConfig(null);
+    const fromEnv = currentConfig();
+    assert.notEqual(fromEnv, config);
+    assert.equal(currentConfig(), fromEnv);
+});
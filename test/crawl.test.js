@@ -0,0 +1,122 @@
+/**
+ * Crawl mode against a local fixture server: depth and page limits, robots.txt, sitemap
+ * seeding, the rewriting of links and asset references in the saved pages, and resuming
+ * with the options saved in the manifest.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { cloneWebsite } from '../chai-gem-cloner.js';
+import { loadConfig, setConfig } from '../utils/config.js';
+
+const page = (title, body) => `<!DOCTYPE html><html><head><title>${title}</title>` +
+    `<link rel="stylesheet" href="/style.css"></head><body>${body}</body></html>`;
+
+const SITE = {
+    '/': page('Home', '<a href="/a">A</a> <a href="/b#top">B</a> <a href="/private/secret">Secret</a> ' +
+        '<a href="https://elsewhere.example/">Elsewhere</a> <img src="/img/logo.png" alt="logo">'),
+    '/a': page('A', '<a href="/a/deep">Deep</a> <a href="/">Home</a>'),
+    '/a/deep': page('Deep', '<a href="/a/deeper">Deeper</a>'),
+    '/a/deeper': page('Deeper', ''),
+    '/b': page('B', '<a href="/a">A</a>'),
+    '/private/secret': page('Secret', ''),
+    '/orphan': page('Orphan', '<a href="/">Home</a>')
+};
+
+let server;
+let origin;
+let workDir;
+
+before(async () => {
+    const app = express();
+    app.get('/robots.txt', (req, res) => res.type('text/plain').send(`User-agent: *\nDisallow: /private\nSitemap: ${origin}/sitemap.xml\n`));
+    app.get('/sitemap.xml', (req, res) => res.type('application/xml').send(
+        `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>${origin}/orphan</loc></url></urlset>`));
+    app.get('/style.css', (req, res) => res.type('text/css').send('body { background: url(/img/bg.png); }'));
+    app.get('/img/:name', (req, res) => res.type('image/png').send(Buffer.from(`PNG ${req.params.name}`)));
+    app.get(Object.keys(SITE), (req, res) => res.type('html').send(SITE[req.path]));
+    server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    origin = `http://127.0.0.1:${server.address().port}`;
+
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cloner-crawl-'));
+    setConfig(await loadConfig({ cwd: workDir, env: {}, overrides: { outputDir: workDir, pageDelayMs: 0 } }));
+});
+
+after(async () => {
+    setConfig(null);
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(workDir, { recursive: true, force: true });
+});
+
+const clone = async (options) => {
+    const result = await cloneWebsite(`${origin}/`, options);
+    assert.equal(result.status, 'success', typeof result === 'string' ? result : result.error);
+    return result;
+};
+const pagePaths = (result) => result.pages.map(p => p.path).sort();
+
+test('follows links up to maxDepth and skips pages robots.txt disallows', async () => {
+    const result = await clone({ crawl: true, maxDepth: 1 });
+    assert.deepEqual(pagePaths(result), ['a.html', 'b.html', 'index.html']);
+    assert.equal(result.skippedByRobots, 1);
+});
+
+test('stops at maxPages', async () => {
+    const result = await clone({ crawl: true, maxDepth: 5, maxPages: 2 });
+    assert.equal(result.pagesCount, 2);
+});
+
+test('crawls disallowed pages when robots.txt is ignored', async () => {
+    const result = await clone({ crawl: true, maxDepth: 1, respectRobots: false });
+    assert.ok(pagePaths(result).includes('private/secret.html'));
+    assert.equal(result.skippedByRobots, 0);
+});
+
+test('seeds pages from the sitemap robots.txt lists', async () => {
+    const result = await clone({ crawl: true, maxDepth: 0, sitemap: true });
+    assert.equal(result.seededFromSitemap, 1);
+    assert.deepEqual(pagePaths(result), ['index.html', 'orphan.html']);
+});
+
+test('rewrites links to cloned pages and asset references to local files', async () => {
+    const result = await clone({ crawl: true, maxDepth: 2 });
+    const index = await fs.readFile(path.join(result.dir, 'index.html'), 'utf8');
+    assert.match(index, /href="a\.html"/);
+    assert.match(index, /href="b\.html#top"/);
+    // Links to pages that were not cloned are left as written
+    assert.match(index, /href="\/private\/secret"/);
+    assert.match(index, /href="https:\/\/elsewhere\.example\/"/);
+
+    const a = await fs.readFile(path.join(result.dir, 'a.html'), 'utf8');
+    assert.match(a, /href="a\/deep\.html"/);
+    assert.match(a, /href="index\.html"/);
+    // /a/deeper is beyond maxDepth
+    const deep = await fs.readFile(path.join(result.dir, 'a', 'deep.html'), 'utf8');
+    assert.match(deep, /href="\/a\/deeper"/);
+
+    // Stylesheet and image references point to files in the clone
+    const refs = [...index.matchAll(/(?:<link[^>]*href|src)="([^"]+)"/g)].map(m => m[1]);
+    assert.ok(refs.some(ref => ref.endsWith('.css')) && refs.some(ref => ref.endsWith('.png')));
+    for (const ref of refs) await fs.access(path.join(result.dir, ref));
+    assert.doesNotMatch(index, new RegExp(`(?:src|href)="${origin}/(?:style\\.css|img/)`));
+
+    const css = await fs.readFile(path.join(result.dir, refs.find(ref => ref.endsWith('.css'))), 'utf8');
+    assert.doesNotMatch(css, /url\(\/img\/bg\.png\)/);
+});
+
+test('resuming a clone keeps the flags of its include and exclude patterns', async () => {
+    // Only /a matches, and only case-insensitively
+    const first = await clone({ crawl: true, maxDepth: 5, maxPages: 1, include: [/\/A$|\/$/i], exclude: /DEEP/i });
+    assert.deepEqual(pagePaths(first), ['index.html']);
+    const saved = JSON.parse(await fs.readFile(path.join(first.dir, '.clone', 'manifest.json'), 'utf8'));
+    assert.deepEqual(saved.options.include, [{ source: '\\/A$|\\/$', flags: 'i' }]);
+    assert.deepEqual(saved.options.exclude, { source: 'DEEP', flags: 'i' });
+
+    const resumed = await cloneWebsite(undefined, { resume: first.dir, maxPages: 10 });
+    assert.equal(resumed.status, 'success', typeof resumed === 'string' ? resumed : resumed.error);
+    assert.equal(resumed.resumed, true);
+    assert.deepEqual(pagePaths(resumed), ['a.html', 'index.html']);
+});
@@ -0,0 +1,54 @@
+/**
+ * Provider adapters without a network: the Gemini request shape for a turn with several
+ * tool calls, with the SDK model replaced by a stub that records requests.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeminiProvider } from '../utils/llm-providers.js';
+
+const TOOLS = [{ name: 'analyzeWebsite', description: 'Analyzes a clone', parameters: { type: 'object', properties: { dirPath: { type: 'string' } } } }];
+
+function stubbedGemini(replies) {
+    const provider = new GeminiProvider({ apiKey: 'test-key' });
+    const requests = [];
+    provider.model = {
+        async generateContent(request) {
+            requests.push(structuredClone(request));
+            return { response: { candidates: [{ content: { parts: replies[requests.length - 1] } }] } };
+        }
+    };
+    return { provider, requests };
+}
+
+test('gemini sends the results of parallel calls in one function content', async () => {
+    const twoCalls = [
+        { functionCall: { name: 'analyzeWebsite', args: { dirPath: 'a' } } },
+        { functionCall: { name: 'analyzeWebsite', args: { dirPath: 'b' } } }
+    ];
+    const { provider, requests } = stubbedGemini([twoCalls, twoCalls, [{ text: 'Done.' }]]);
+    const messages = [{ role: 'system', content: 'System' }, { role: 'user', content: 'Analyze a and b' }];
+
+    // Two turns with two calls each: ids must not repeat across turns
+    const ids = [];
+    for (let turn = 0; turn < 2; turn++) {
+        const reply = await provider.generate(messages, { tools: TOOLS });
+        assert.equal(reply.toolCalls.length, 2);
+        ids.push(...reply.toolCalls.map(call => call.id));
+        messages.push({ role: 'assistant', content: reply.text, toolCalls: reply.toolCalls });
+        for (const call of reply.toolCalls) {
+            messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: `result ${call.args.dirPath}` });
+        }
+    }
+    assert.equal(new Set(ids).size, 4);
+
+    const reply = await provider.generate(messages, { tools: TOOLS });
+    assert.equal(reply.text, 'Done.');
+
+    const { contents, systemInstruction } = requests[2];
+    assert.equal(systemInstruction, 'System');
+    assert.deepEqual(contents.map(c => c.role), ['user', 'model', 'function', 'model', 'function']);
+    for (const index of [2, 4]) {
+        assert.equal(contents[index - 1].parts.filter(p => p.functionCall).length, 2);
+        assert.deepEqual(contents[index].parts.map(p => p.functionResponse.response.content), ['result a', 'result b']);
+    }
+});
@@ -0,0 +1,135 @@
+/**
+ * The orchestrator's LLM loop with the mock provider against a local fixture site: native
+ * tool-call dispatch, invalid input fed back to the model as an observation, and the
+ * deterministic fallback when the model never calls generateNodeApp.
+ */
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { WorkflowOrchestrator } from '../workflow-orchestrator.js';
+import { loadConfig, setConfig } from '../utils/config.js';
+
+let server;
+let url;
+let workDir;
+let previousCwd;
+
+before(async () => {
+    // The orchestrator narrates every step; the results are asserted instead
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+
+    const app = express();
+    app.get('/', (req, res) => res.type('html').send('<!DOCTYPE html><html><head><title>Fixture</title>' +
+        '<link rel="stylesheet" href="/style.css"></head><body><h1>Fixture</h1></body></html>'));
+    app.get('/style.css', (req, res) => res.type('text/css').send('h1 { color: red; }'));
+    server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    url = `http://127.0.0.1:${server.address().port}/`;
+
+    // Run traces and spilled observations are written relative to the working directory
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cloner-orchestrator-'));
+    previousCwd = process.cwd();
+    process.chdir(workDir);
+});
+
+after(async () => {
+    mock.restoreAll();
+    setConfig(null);
+    process.chdir(previousCwd);
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// The fixture's port is only known once the server listens
+const clone = () => ({ toolCalls: [{ name: 'cloneWebsite', args: { url } }] });
+const ANALYZE = { toolCalls: [{ name: 'analyzeWebsite', args: { dirPath: { $ref: 'clone.dir' } } }] };
+const GENERATE = { toolCalls: [{ name: 'generateNodeApp', args: { clonedDir: { $ref: 'clone.dir' }, analysis: { $ref: 'analysis' } } }] };
+const DONE = { text: 'Done.' };
+
+/**
+ * Runs the workflow with canned model responses under a fallback policy
+ * @returns {Promise<{orchestrator, provider, appDir, stages: object}>} stages by name
+ */
+async function runWith(responses, fallbackPolicy) {
+    setConfig(await loadConfig({
+        cwd: workDir,
+        env: {},
+        overrides: { outputDir: workDir, pageDelayMs: 0, reports: { formats: ['json'] }, workflow: { fallbackPolicy } }
+    }));
+    const orchestrator = new WorkflowOrchestrator('mock', { responses });
+    await orchestrator.initialize();
+    const appDir = await orchestrator.run({ url });
+    const stages = Object.fromEntries(orchestrator.pipeline.summary().map(stage => [stage.name, stage]));
+    return { orchestrator, provider: orchestrator.provider, appDir, stages };
+}
+
+// The tool messages the model saw in its nth request
+const toolMessages = (provider, n) => provider.calls[n].filter(m => m.role === 'tool');
+
+test('dispatches native tool calls and returns their results to the model', async () => {
+    const { provider, appDir, stages } = await runWith([clone(), ANALYZE, GENERATE, DONE], 'never');
+
+    assert.equal(provider.calls.length, 4);
+    assert.deepEqual(toolMessages(provider, 1).map(m => m.name), ['cloneWebsite']);
+    assert.match(toolMessages(provider, 1)[0].content, /"savedAs"[\s\S]*"clone"/);
+    assert.deepEqual(toolMessages(provider, 3).map(m => m.name), ['cloneWebsite', 'analyzeWebsite', 'generateNodeApp']);
+
+    for (const name of ['clone', 'analyze', 'generate']) {
+        assert.equal(stages[name].status, 'succeeded', `${name}: ${stages[name].error}`);
+        assert.equal(stages[name].by, 'llm');
+    }
+    assert.ok(appDir.endsWith('_app'));
+    await fs.access(path.join(appDir, 'app.js'));
+});
+
+test('feeds invalid input and unknown tools back to the model as error observations', async () => {
+    const { provider, stages } = await runWith([
+        { toolCalls: [{ name: 'analyzeWebsite', args: {} }] },
+        { toolCalls: [{ name: 'cloneSite', args: { url: 'x' } }] },
+        ANALYZE,
+        DONE
+    ], 'never');
+
+    assert.equal(provider.calls.length, 4);
+    const [missingArg] = toolMessages(provider, 1);
+    assert.match(missingArg.content, /^Error: .*dirPath: is required/);
+    const unknownTool = toolMessages(provider, 2)[1];
+    assert.match(unknownTool.content, /^Error: Tool "cloneSite" not found/);
+    const unresolved = toolMessages(provider, 3)[2];
+    assert.match(unresolved.content, /^Error: .*clone\.dir/);
+
+    assert.equal(stages.analyze.status, 'failed');
+    assert.equal(stages.analyze.attempts, 2);
+    assert.equal(stages.clone.status, 'pending');
+});
+
+test('the "always" policy finishes the stages the model left undone', async () => {
+    const { appDir, stages } = await runWith([clone(), ANALYZE, DONE], 'always');
+
+    assert.equal(stages.clone.by, 'llm');
+    assert.equal(stages.analyze.by, 'llm');
+    assert.equal(stages.generate.status, 'succeeded');
+    assert.equal(stages.generate.by, 'fallback');
+    await fs.access(path.join(appDir, 'app.js'));
+});
+
+test('the "last_resort" policy only falls back when the model run fails', async () => {
+    const clean = await runWith([clone(), ANALYZE, DONE], 'last_resort');
+    assert.equal(clean.stages.analyze.status, 'succeeded');
+    assert.equal(clean.stages.generate.status, 'pending');
+
+    // The mock runs out of responses after analyze, which fails the request
+    const failed = await runWith([clone(), ANALYZE], 'last_resort');
+    assert.equal(failed.stages.analyze.by, 'llm');
+    assert.equal(failed.stages.generate.status, 'succeeded');
+    assert.equal(failed.stages.generate.by, 'fallback');
+});
+
+test('the "never" policy leaves generate undone and rethrows provider errors', async () => {
+    const clean = await runWith([clone(), ANALYZE, DONE], 'never');
+    assert.equal(clean.stages.generate.status, 'pending');
+
+    await assert.rejects(runWith([clone()], 'never'), /Mock provider has no response #2/);
+});
@@ -0,0 +1,194 @@
+/**
+ * The download scheduler: Retry-After parsing, backoff, token buckets, per-host and global
+ * slots, and retries and the size cap against a local server answering 429/503.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import express from 'express';
+import { DownloadScheduler, isRetryableError, parseRetryAfter } from '../utils/scheduler.js';
+import { cloneWebsite } from '../chai-gem-cloner.js';
+import { loadConfig, setConfig } from '../utils/config.js';
+import { CloneManifest } from '../utils/manifest.js';
+
+const hits = new Map();
+let server;
+let origin;
+let workDir;
+
+before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+        hits.set(req.path, (hits.get(req.path) || 0) + 1);
+        next();
+    });
+    // Busy for the first two requests, then fine
+    app.get('/flaky', (req, res) => {
+        if (hits.get('/flaky') <= 2) return res.status(429).set('Retry-After', '0').send('slow down');
+        res.send('ok');
+    });
+    app.get('/wait', (req, res) => {
+        if (hits.get('/wait') === 1) return res.status(503).set('Retry-After', '1').send('busy');
+        res.send('ok');
+    });
+    app.get('/down', (req, res) => res.status(503).set('Retry-After', '120').send('busy'));
+    app.get('/missing', (req, res) => res.status(404).send('gone'));
+    app.get('/big', (req, res) => res.type('html').send('<html><body><img src="/small.png"><img src="/large.png"></body></html>'));
+    app.get('/small.png', (req, res) => res.type('image/png').send(Buffer.alloc(100)));
+    app.get('/large.png', (req, res) => res.type('image/png').send(Buffer.alloc(5000)));
+    server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    origin = `http://127.0.0.1:${server.address().port}`;
+
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cloner-scheduler-'));
+    setConfig(await loadConfig({ cwd: workDir, env: {}, overrides: { outputDir: workDir, pageDelayMs: 0 } }));
+});
+
+after(async () => {
+    setConfig(null);
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// A promise with its resolve function, to finish a request when the test says so
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter('0'), 0);
+    assert.equal(parseRetryAfter('-5'), 0);
+    assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+    const future = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+    assert.ok(future > 8000 && future <= 10000, String(future));
+    for (const value of [undefined, null, '', 'soon']) {
+        assert.equal(parseRetryAfter(value), null, String(value));
+    }
+});
+
+test('only 408, 429, 5xx gateway errors and network failures are retried', () => {
+    for (const status of [408, 429, 500, 502, 503, 504]) assert.equal(isRetryableError(httpError(status)), true, String(status));
+    for (const status of [400, 403, 404, 501]) assert.equal(isRetryableError(httpError(status)), false, String(status));
+    assert.equal(isRetryableError({ code: 'ECONNRESET' }), true);
+    assert.equal(isRetryableError({ code: 'ENOTFOUND' }), false);
+    assert.equal(isRetryableError(new Error('boom')), false);
+});
+
+test('backoff doubles per attempt, is jittered, capped, and yields to Retry-After', (t) => {
+    const scheduler = new DownloadScheduler({ retries: 5, backoffBaseMs: 100, backoffMaxMs: 1000, maxRetryAfterMs: 5000 });
+    t.mock.method(Math, 'random', () => 1);
+    assert.deepEqual([0, 1, 2, 3, 4].map(attempt => scheduler.retryDelay(httpError(503), attempt)), [100, 200, 400, 800, 1000]);
+    Math.random.mock.mockImplementation(() => 0);
+    assert.deepEqual([0, 1, 2].map(attempt => scheduler.retryDelay(httpError(503), attempt)), [50, 100, 200]);
+
+    assert.equal(scheduler.retryDelay(httpError(429, { 'retry-after': '3' }), 0), 3000);
+    assert.equal(scheduler.retryDelay(httpError(429, { 'retry-after': '6' }), 0), null, 'longer than maxRetryAfterMs');
+    assert.equal(scheduler.retryDelay(httpError(503), 5), null, 'out of retries');
+    assert.equal(scheduler.retryDelay(httpError(404), 0), null);
+});
+
+test('the token bucket allows a burst and then spaces requests at the host rate', async () => {
+    const scheduler = new DownloadScheduler({ requestsPerSecond: 5, burst: 2, hostRates: { 'fast.test': Infinity } });
+    const started = Date.now();
+    const times = [];
+    await Promise.all(Array.from({ length: 6 }, () => scheduler.run('http://a.test/', async () => times.push(Date.now() - started))));
+    assert.ok(times[1] < 100, `burst took ${times[1]} ms`);
+    // Four more tokens at 5 per second
+    assert.ok(times[5] >= 790, `six requests took ${times[5]} ms`);
+
+    const unlimited = Date.now();
+    await Promise.all(Array.from({ length: 50 }, () => scheduler.run('http://fast.test/', async () => {})));
+    assert.ok(Date.now() - unlimited < 100);
+});
+
+test('a busy host queues on its own slots without taking global slots from other hosts', async () => {
+    const scheduler = new DownloadScheduler({ concurrency: 3, perHostConcurrency: 2, requestsPerSecond: Infinity });
+    const inFlight = [];
+    const pending = new Map();
+    const request = (url) => scheduler.run(url, () => {
+        inFlight.push(url);
+        const done = deferred();
+        pending.set(url, done);
+        return done.promise.then(() => inFlight.splice(inFlight.indexOf(url), 1));
+    });
+
+    const runs = ['http://a.test/1', 'http://a.test/2', 'http://a.test/3', 'http://b.test/1', 'http://b.test/2'].map(request);
+    await settle();
+    assert.deepEqual(inFlight, ['http://a.test/1', 'http://a.test/2', 'http://b.test/1']);
+
+    // a.test/3 was waiting for a host slot, so b.test/2 is first in line for the global one
+    pending.get('http://a.test/1').resolve();
+    await settle();
+    assert.deepEqual(inFlight, ['http://a.test/2', 'http://b.test/1', 'http://b.test/2']);
+
+    pending.get('http://b.test/1').resolve();
+    await settle();
+    assert.deepEqual(inFlight, ['http://a.test/2', 'http://b.test/2', 'http://a.test/3']);
+
+    for (const done of pending.values()) done.resolve();
+    await Promise.all(runs);
+});
+
+test('a host waiting for a token does not hold the global slot', async () => {
+    const scheduler = new DownloadScheduler({ concurrency: 1, hostRates: { 'slow.test': 0.1 } });
+    await scheduler.run('http://slow.test/1', async () => {});
+    const controller = new AbortController();
+    const slow = scheduler.run('http://slow.test/2', async () => 'slow', { signal: controller.signal });
+
+    const started = Date.now();
+    assert.equal(await scheduler.run('http://fast.test/', async () => 'fast'), 'fast');
+    assert.ok(Date.now() - started < 500);
+
+    controller.abort();
+    await assert.rejects(slow, { name: 'AbortError' });
+});
+
+test('retries 429 responses and succeeds once the server recovers', async () => {
+    const scheduler = new DownloadScheduler({ backoffBaseMs: 1, backoffMaxMs: 1 });
+    const attempts = [];
+    const res = await scheduler.run(`${origin}/flaky`, (attempt) => {
+        attempts.push(attempt);
+        return axios.get(`${origin}/flaky`);
+    });
+    assert.equal(res.data, 'ok');
+    assert.deepEqual(attempts, [0, 1, 2]);
+    assert.deepEqual(scheduler.stats, { requests: 3, retries: 2, failures: 0 });
+});
+
+test('waits the Retry-After a 503 asks for', async () => {
+    const scheduler = new DownloadScheduler({ backoffBaseMs: 1, backoffMaxMs: 1 });
+    const started = Date.now();
+    const res = await scheduler.run(`${origin}/wait`, () => axios.get(`${origin}/wait`));
+    assert.equal(res.data, 'ok');
+    assert.ok(Date.now() - started >= 1000, `retried after ${Date.now() - started} ms`);
+});
+
+test('gives up at once on a Retry-After beyond the cap and on non-retryable statuses', async () => {
+    const scheduler = new DownloadScheduler({ maxRetryAfterMs: 60000 });
+    const started = Date.now();
+    await assert.rejects(scheduler.run(`${origin}/down`, () => axios.get(`${origin}/down`)), e => e.response.status === 503);
+    await assert.rejects(scheduler.run(`${origin}/missing`, () => axios.get(`${origin}/missing`)), e => e.response.status === 404);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(hits.get('/down'), 1);
+    assert.equal(hits.get('/missing'), 1);
+    assert.deepEqual(scheduler.stats, { requests: 2, retries: 0, failures: 2 });
+});
+
+test('assets larger than maxAssetBytes are not saved', async () => {
+    const result = await cloneWebsite(`${origin}/big`, { downloadOptions: { maxAssetBytes: 1000 } });
+    assert.equal(result.status, 'success', result.error);
+    assert.equal(result.failedDownloads, 1);
+
+    const manifest = await CloneManifest.load(result.dir);
+    assert.equal(manifest.getAsset(`${origin}/small.png`).status, 'done');
+    assert.equal(manifest.getAsset(`${origin}/large.png`).status, 'failed');
+    assert.match(manifest.getAsset(`${origin}/large.png`).error, /Larger than the 1000 byte size cap/);
+});
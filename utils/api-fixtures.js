@@ -0,0 +1,211 @@
+/**
+ * API fixtures - recorded or declared API responses that the generated Express app
+ * replays by method, path and query, so a clone keeps working offline.
+ * Stored in <clone>/.clone/api/ (index.json + one body file per fixture) and copied
+ * to <app>/fixtures/ by generateNodeApp.
+ */
+import axios from 'axios';
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { MANIFEST_DIR } from './manifest.js';
+import { extensionsForContentType } from './asset-naming.js';
+import { fileExists } from './paths.js';
+
+const FIXTURES_DIR = 'api';
+const INDEX_FILE = 'index.json';
+
+function queryFromSearchParams(searchParams) {
+    const query = {};
+    for (const key of new Set(searchParams.keys())) {
+        const values = searchParams.getAll(key);
+        query[key] = values.length === 1 ? values[0] : values;
+    }
+    return query;
+}
+
+// A fixture without a query (null) matches any query string
+function fixtureKey({ method, path: urlPath, query }) {
+    const q = query == null
+        ? '*'
+        : Object.keys(query).sort().map(k => `${k}=${[].concat(query[k]).join(',')}`).join('&');
+    return `${method} ${urlPath}?${q}`;
+}
+
+function encodeBody(body) {
+    if (body == null) return { data: Buffer.alloc(0), contentType: null };
+    if (Buffer.isBuffer(body)) return { data: body, contentType: null };
+    if (typeof body === 'string') return { data: Buffer.from(body, 'utf8'), contentType: 'text/plain; charset=utf-8' };
+    return { data: Buffer.from(JSON.stringify(body), 'utf8'), contentType: 'application/json; charset=utf-8' };
+}
+
+/**
+ * Turns a recorded request or a declared fixture into a complete fixture.
+ * Declared fixtures give `url` (absolute or site-relative) or `path` (+ optional `query`),
+ * and optionally `method`, `status`, `contentType`, `headers`, `requestBody` and `body`.
+ * When no body is given the response is fetched from the site now, for GET and HEAD only:
+ * replaying another method could change data on the site.
+ * @param {object} spec - Recorded request or declared fixture
+ * @param {object} ctx - { origin, headers, timeout, signal }
+ * @returns {Promise<object>} { method, path, query, status, contentType, headers, body: Buffer }
+ * @throws {Error} When a request other than GET or HEAD has no body
+ */
+async function captureFixture(spec, { origin, headers = {}, timeout = 30000, signal }) {
+    const method = String(spec.method || 'GET').toUpperCase();
+    const target = new URL(spec.url || spec.path, origin);
+    const query = spec.url ? queryFromSearchParams(target.searchParams) : (spec.query ?? null);
+
+    let status = spec.status || 200;
+    let contentType = spec.contentType || null;
+    let body = spec.body;
+
+    if (body === undefined) {
+        if (!['GET', 'HEAD'].includes(method)) {
+            throw new Error(`No response body was captured and ${method} requests are not re-sent`);
+        }
+        const res = await axios.request({
+            url: target.href,
+            method,
+            signal,
+            data: spec.requestBody || undefined,
+            responseType: 'arraybuffer',
+            timeout,
+            headers,
+            validateStatus: () => true
+        });
+        status = res.status;
+        contentType = contentType || res.headers['content-type'] || null;
+        body = Buffer.from(res.data);
+    }
+
+    const encoded = encodeBody(body);
+    return {
+        method,
+        path: target.pathname,
+        query,
+        status,
+        contentType: contentType || encoded.contentType,
+        headers: spec.headers || {},
+        body: encoded.data
+    };
+}
+
+class ApiFixtureStore {
+    constructor(cloneDir, fixtures = []) {
+        this.dir = path.join(cloneDir, MANIFEST_DIR, FIXTURES_DIR);
+        this.fixtures = fixtures;
+    }
+
+    static fixturesDir(cloneDir) {
+        return path.join(cloneDir, MANIFEST_DIR, FIXTURES_DIR);
+    }
+
+    static async load(cloneDir) {
+        try {
+            const raw = await fs.readFile(path.join(ApiFixtureStore.fixturesDir(cloneDir), INDEX_FILE), 'utf8');
+            return new ApiFixtureStore(cloneDir, JSON.parse(raw));
+        } catch (e) {
+            return new ApiFixtureStore(cloneDir);
+        }
+    }
+
+    get size() {
+        return this.fixtures.length;
+    }
+
+    /**
+     * Stores a fixture, replacing an earlier one for the same method, path and query
+     */
+    async add(fixture) {
+        const key = fixtureKey(fixture);
+        const slug = fixture.path.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'root';
+        const ext = extensionsForContentType(fixture.contentType)[0] || '.bin';
+        const hash = createHash('sha256').update(key).digest('hex').slice(0, 8);
+        const bodyFile = `${fixture.method.toLowerCase()}-${slug}-${hash}${ext}`;
+
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, bodyFile), fixture.body);
+
+        const entry = {
+            method: fixture.method,
+            path: fixture.path,
+            query: fixture.query,
+            status: fixture.status,
+            contentType: fixture.contentType,
+            headers: fixture.headers,
+            bodyFile
+        };
+        const existing = this.fixtures.findIndex(f => fixtureKey(f) === key);
+        if (existing === -1) this.fixtures.push(entry);
+        else this.fixtures[existing] = entry;
+    }
+
+    async save() {
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, INDEX_FILE), JSON.stringify(this.fixtures, null, 2), 'utf8');
+    }
+}
+
+// Runtime for the generated (CommonJS) app
+const REPLAY_SOURCE = `const fs = require('fs');
+const path = require('path');
+
+// Replays recorded API responses from fixtures/index.json by method, path and query.
+// An exact query match wins over a partial one; fixtures without a query match any.
+module.exports = function mountApiReplay(app, fixturesDir) {
+    const indexPath = path.join(fixturesDir, 'index.json');
+    if (!fs.existsSync(indexPath)) return 0;
+    const fixtures = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+
+    function score(fixture, params) {
+        if (fixture.query == null) return 0;
+        const expected = Object.entries(fixture.query);
+        for (const [key, value] of expected) {
+            if (params.getAll(key).join('\\u0000') !== [].concat(value).map(String).join('\\u0000')) return -1;
+        }
+        const exact = expected.length === new Set(params.keys()).size;
+        return exact ? 1000 : 1 + expected.length;
+    }
+
+    app.use((req, res, next) => {
+        const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+        let best = null;
+        let bestScore = -1;
+        for (const fixture of fixtures) {
+            if (fixture.method !== req.method || fixture.path !== req.path) continue;
+            const s = score(fixture, params);
+            if (s > bestScore) {
+                best = fixture;
+                bestScore = s;
+            }
+        }
+        if (!best) return next();
+
+        fs.readFile(path.join(fixturesDir, best.bodyFile), (err, body) => {
+            if (err) return next(err);
+            res.status(best.status);
+            if (best.contentType) res.type(best.contentType);
+            for (const [name, value] of Object.entries(best.headers || {})) res.set(name, value);
+            res.send(body);
+        });
+    });
+
+    return fixtures.length;
+};
+`;
+
+/**
+ * Copies a clone's API fixtures into an app dir and writes the replay runtime.
+ * @returns {Promise<number>} Number of fixtures installed (0 if the clone has none)
+ */
+async function installApiReplay(cloneDir, appDir) {
+    const source = ApiFixtureStore.fixturesDir(cloneDir);
+    if (!(await fileExists(path.join(source, INDEX_FILE)))) return 0;
+
+    await fs.cp(source, path.join(appDir, 'fixtures'), { recursive: true });
+    await fs.writeFile(path.join(appDir, 'replay.js'), REPLAY_SOURCE);
+    const store = await ApiFixtureStore.load(cloneDir);
+    return store.size;
+}
+
+export { ApiFixtureStore, captureFixture, installApiReplay };
@@ -0,0 +1,109 @@
+/**
+ * Asset naming - maps an asset URL and its response Content-Type to a unique
+ * local file name, so query variants and extensionless URLs are not lost
+ */
+import path from 'path';
+import { createHash } from 'crypto';
+import { safeFilename } from './paths.js';
+
+// First extension is the one assigned; the rest are accepted as already correct
+const CONTENT_TYPE_EXTENSIONS = {
+    'text/html': ['.html', '.htm'],
+    'application/xhtml+xml': ['.xhtml', '.html'],
+    'text/css': ['.css'],
+    'text/javascript': ['.js', '.mjs', '.cjs'],
+    'application/javascript': ['.js', '.mjs', '.cjs'],
+    'application/x-javascript': ['.js', '.mjs', '.cjs'],
+    'application/json': ['.json', '.map'],
+    'application/ld+json': ['.jsonld', '.json'],
+    'application/manifest+json': ['.webmanifest', '.json'],
+    'application/xml': ['.xml'],
+    'text/xml': ['.xml'],
+    'text/plain': ['.txt'],
+    'image/png': ['.png'],
+    'image/jpeg': ['.jpg', '.jpeg', '.jpe'],
+    'image/gif': ['.gif'],
+    'image/webp': ['.webp'],
+    'image/avif': ['.avif'],
+    'image/svg+xml': ['.svg'],
+    'image/x-icon': ['.ico'],
+    'image/vnd.microsoft.icon': ['.ico'],
+    'image/bmp': ['.bmp'],
+    'font/woff2': ['.woff2'],
+    'font/woff': ['.woff'],
+    'application/font-woff': ['.woff'],
+    'font/ttf': ['.ttf'],
+    'font/otf': ['.otf'],
+    'application/vnd.ms-fontobject': ['.eot'],
+    'video/mp4': ['.mp4', '.m4v'],
+    'video/webm': ['.webm'],
+    'audio/mpeg': ['.mp3'],
+    'audio/ogg': ['.ogg', '.oga'],
+    'audio/wav': ['.wav'],
+    'application/pdf': ['.pdf'],
+    'application/wasm': ['.wasm']
+};
+
+const KNOWN_EXTENSIONS = new Set([
+    ...Object.values(CONTENT_TYPE_EXTENSIONS).flat(),
+    '.ttc', '.mov', '.avi', '.m4a', '.flac', '.zip', '.gz', '.csv', '.tsv', '.md', '.rss', '.atom', '.tiff', '.heic'
+]);
+
+const FALLBACK_EXTENSION = '.bin';
+
+function shortHash(str) {
+    return createHash('sha256').update(str).digest('hex').slice(0, 8);
+}
+
+/**
+ * @param {string} contentType - Content-Type header value (parameters are ignored)
+ * @returns {string[]} Extensions for the type, preferred first; empty if unknown
+ */
+function extensionsForContentType(contentType) {
+    const mime = String(contentType || '').split(';')[0].trim().toLowerCase();
+    return CONTENT_TYPE_EXTENSIONS[mime] || [];
+}
+
+/**
+ * Builds the path of an asset relative to the assets directory.
+ * - the extension comes from the Content-Type when the URL has none or an unknown one
+ *   ("/img" as image/png -> "img.png", "/style.php" as text/css -> "style.php.css");
+ *   a known extension is kept even if the server mislabels the type
+ * - a query string folds into the name as a hash ("/img?id=1" -> "img-1a2b3c4d.png")
+ * - a name already claimed by another URL gets a hash of the full URL; claims are
+ *   compared case-insensitively so clones survive case-insensitive file systems
+ * @param {string} urlStr - Asset URL
+ * @param {string} [contentType] - Response Content-Type
+ * @param {Map<string, string>} [claimedPaths] - Lower-cased relative path -> URL, updated in place
+ * @returns {string} Relative path using forward slashes
+ */
+function assetPathForUrl(urlStr, contentType = '', claimedPaths = new Map()) {
+    const u = new URL(urlStr);
+    const segments = u.pathname.split('/')
+        .map(s => { try { return decodeURIComponent(s); } catch (e) { return s; } })
+        .filter(s => s && s !== '.' && s !== '..')
+        .map(s => safeFilename(s.replace(/\//g, '_')));
+
+    let name = u.pathname.endsWith('/') || segments.length === 0 ? 'index' : segments.pop();
+    let ext = path.posix.extname(name);
+    let stem = ext ? name.slice(0, -ext.length) : name;
+
+    if (!KNOWN_EXTENSIONS.has(ext.toLowerCase())) {
+        const typeExtension = extensionsForContentType(contentType)[0];
+        // Keep an unknown extension as part of the stem ("style.php" -> "style.php.css")
+        stem = name;
+        ext = typeExtension || (ext ? '' : FALLBACK_EXTENSION);
+    }
+
+    if (u.search) stem += `-${shortHash(u.search)}`;
+
+    let rel = [...segments, `${stem}${ext}`].join('/');
+    const owner = claimedPaths.get(rel.toLowerCase());
+    if (owner && owner !== u.href) {
+        rel = [...segments, `${stem}-${shortHash(u.href)}${ext}`].join('/');
+    }
+    claimedPaths.set(rel.toLowerCase(), u.href);
+    return rel;
+}
+
+export { extensionsForContentType, assetPathForUrl };
@@ -0,0 +1,355 @@
+/**
+ * Asset optimizer - shrinks the public/ directory of a generated app in place:
+ *
+ *   html       - minified with html-minifier-terser (inline CSS and JS too)
+ *   css        - minified with csso; with `unusedCss` (opt-in), rules whose selectors name a tag,
+ *                class or id that no cloned page uses are dropped (`safelist` keeps classes and
+ *                ids that scripts add at runtime)
+ *   js         - minified with terser (*.min.js files are left alone)
+ *   images     - JPEG, PNG and WebP recompressed with sharp, plus .webp/.avif variants
+ *   precompress - .br and .gz variants of text files, built with zlib
+ *
+ * A file is only replaced, and a variant only kept, when it is smaller. Variants sit next to
+ * the file (style.css.br, photo.jpg.webp) and are served by the runtime installOptimizedServing
+ * writes into the app. html-minifier-terser, csso, terser and sharp are optional peer
+ * dependencies; a step whose library is missing is skipped and reported in `skipped`.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { load } from 'cheerio';
+import { MANIFEST_DIR } from './manifest.js';
+import { toPosix } from './paths.js';
+
+const OPTIMIZATION_FILE = 'optimization.json';
+
+const DEFAULT_OPTIMIZE_OPTIONS = {
+    html: true,
+    css: true,
+    // Off: classes scripts add at runtime (is-open, active) are not in the cloned HTML
+    unusedCss: false,
+    safelist: [],
+    js: true,
+    images: true,
+    imageQuality: 80,
+    imageFormats: ['webp'],
+    precompress: ['br', 'gzip'],
+    precompressMinBytes: 1024
+};
+
+const TYPES = [
+    ['HTML', /\.html?$/i],
+    ['CSS', /\.css$/i],
+    ['JavaScript', /\.m?js$/i],
+    ['Images', /\.(jpe?g|png|gif|svg|webp|avif|ico)$/i]
+];
+const RECOMPRESSIBLE_IMAGES = /\.(jpe?g|png|webp)$/i;
+const PRECOMPRESSIBLE = /\.(html?|css|m?js|json|svg|xml|txt|map|webmanifest)$/i;
+
+const gzip = promisify(zlib.gzip);
+const brotli = promisify(zlib.brotliCompress);
+const ENCODINGS = {
+    br: { ext: '.br', compress: (data) => brotli(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY } }) },
+    gzip: { ext: '.gz', compress: (data) => gzip(data, { level: zlib.constants.Z_BEST_COMPRESSION }) }
+};
+const IMAGE_VARIANTS = { avif: '.avif', webp: '.webp' };
+const VARIANT_EXTENSIONS = /\.(br|gz)$/i;
+
+const PACKAGES = { html: 'html-minifier-terser', css: 'csso', js: 'terser', images: 'sharp' };
+
+async function importOptional(name) {
+    try {
+        return await import(name);
+    } catch (e) {
+        return null;
+    }
+}
+
+async function listFiles(dir, root = dir, out = []) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) await listFiles(full, root, out);
+        else out.push(toPosix(path.relative(root, full)));
+    }
+    return out;
+}
+
+const typeOf = (file) => (TYPES.find(([, pattern]) => pattern.test(file)) || ['Other'])[0];
+
+/**
+ * Tags, classes and ids the pages use, for csso's usage filter
+ */
+function collectUsage(htmlSources, safelist = []) {
+    const tags = new Set(['html', 'body']);
+    const classes = new Set();
+    const ids = new Set();
+    for (const html of htmlSources) {
+        const $ = load(html);
+        $('*').each((i, el) => {
+            tags.add(el.tagName.toLowerCase());
+            for (const name of ($(el).attr('class') || '').split(/\s+/)) if (name) classes.add(name);
+            const id = $(el).attr('id');
+            if (id) ids.add(id);
+        });
+    }
+    for (const name of safelist) {
+        if (name.startsWith('#')) ids.add(name.slice(1));
+        else classes.add(name.replace(/^\./, ''));
+    }
+    return { tags: [...tags], classes: [...classes], ids: [...ids] };
+}
+
+/* ========== MINIFIERS ========== */
+// Each takes the file contents and returns the optimized contents
+const MINIFIERS = {
+    async html(mod, source) {
+        return mod.minify(source, {
+            collapseWhitespace: true,
+            conservativeCollapse: true,
+            removeComments: true,
+            minifyCSS: true,
+            minifyJS: true,
+            continueOnParseError: true
+        });
+    },
+    async css(mod, source, { usage }) {
+        return mod.minify(source, usage ? { usage } : {}).css;
+    },
+    async js(mod, source) {
+        try {
+            return (await mod.minify(source)).code;
+        } catch (e) {
+            // import/export only parse as a module
+            return (await mod.minify(source, { module: true })).code;
+        }
+    }
+};
+
+/**
+ * Optimizes a directory in place
+ * @param {string} dir - The app's public/ directory
+ * @param {object} [options] - DEFAULT_OPTIMIZE_OPTIONS keys, plus `signal` to stop between files
+ * @returns {Promise<object>} { status, sizes: [{ type, files, before, after }], total: { before, after },
+ *          encodings: { br|gzip: { files, before, after } }, imageVariants: { webp|avif: { files, before, after } },
+ *          skipped: [{ step, reason }], errors: [{ file, step, error }] }
+ */
+async function optimizeAssets(dir, options = {}) {
+    const opts = { ...DEFAULT_OPTIMIZE_OPTIONS, ...options };
+    // Variants of an earlier run may no longer match their file
+    const all = await listFiles(dir);
+    const listed = new Set(all);
+    // Only files next to the file they were built from; a downloaded data.json.gz stays
+    const isVariant = (f) => {
+        const source = f.replace(/\.[^./]+$/, '');
+        return source !== f && listed.has(source) && (VARIANT_EXTENSIONS.test(f) ||
+            (Object.values(IMAGE_VARIANTS).includes(path.extname(f).toLowerCase()) && RECOMPRESSIBLE_IMAGES.test(source)));
+    };
+    for (const file of all.filter(isVariant)) await fs.rm(path.join(dir, file));
+    const files = all.filter(f => !isVariant(f));
+    const skipped = [];
+    const errors = [];
+    const sizes = new Map(['HTML', 'CSS', 'JavaScript', 'Images', 'Other'].map(type => [type, { type, files: 0, before: 0, after: 0 }]));
+    const current = new Map();
+    for (const file of files) {
+        const { size } = await fs.stat(path.join(dir, file));
+        const group = sizes.get(typeOf(file));
+        group.files++;
+        group.before += size;
+        current.set(file, size);
+    }
+
+    const modules = {};
+    for (const [step, pkg] of Object.entries(PACKAGES)) {
+        if (!opts[step]) continue;
+        modules[step] = await importOptional(pkg);
+        if (!modules[step]) skipped.push({ step, reason: `${pkg} is not installed (npm install ${pkg})` });
+    }
+
+    async function replaceIfSmaller(file, step, optimize) {
+        opts.signal?.throwIfAborted();
+        const full = path.join(dir, file);
+        try {
+            const output = await optimize(await fs.readFile(full));
+            const data = Buffer.isBuffer(output) ? output : Buffer.from(output, 'utf8');
+            if (data.length < current.get(file)) {
+                await fs.writeFile(full, data);
+                current.set(file, data.length);
+            }
+        } catch (e) {
+            errors.push({ file, step, error: e.message });
+        }
+    }
+
+    const htmlFiles = files.filter(f => typeOf(f) === 'HTML');
+    let usage = null;
+    if (modules.css && opts.unusedCss && htmlFiles.length > 0) {
+        usage = collectUsage(await Promise.all(htmlFiles.map(f => fs.readFile(path.join(dir, f), 'utf8'))), opts.safelist);
+    }
+    for (const step of ['html', 'css', 'js']) {
+        const mod = modules[step];
+        if (!mod) continue;
+        const type = { html: 'HTML', css: 'CSS', js: 'JavaScript' }[step];
+        for (const file of files.filter(f => typeOf(f) === type && !/\.min\.js$/i.test(f))) {
+            await replaceIfSmaller(file, step, source => MINIFIERS[step](mod, source.toString('utf8'), { usage }));
+        }
+    }
+
+    const imageVariants = {};
+    if (modules.images) {
+        const sharp = modules.images.default;
+        const quality = opts.imageQuality;
+        for (const file of files.filter(f => RECOMPRESSIBLE_IMAGES.test(f))) {
+            const format = path.extname(file).slice(1).toLowerCase().replace('jpg', 'jpeg');
+            await replaceIfSmaller(file, 'images', source => sharp(source)[format](
+                format === 'png' ? { compressionLevel: 9, effort: 10 } : { quality, ...(format === 'jpeg' ? { mozjpeg: true } : {}) }
+            ).toBuffer());
+            for (const variant of opts.imageFormats) {
+                if (`.${format}` === IMAGE_VARIANTS[variant]) continue;
+                const full = path.join(dir, file);
+                try {
+                    const data = await sharp(await fs.readFile(full))[variant]({ quality }).toBuffer();
+                    if (data.length >= current.get(file)) continue;
+                    await fs.writeFile(full + IMAGE_VARIANTS[variant], data);
+                    const stats = imageVariants[variant] = imageVariants[variant] || { files: 0, before: 0, after: 0 };
+                    stats.files++;
+                    stats.before += current.get(file);
+                    stats.after += data.length;
+                } catch (e) {
+                    errors.push({ file, step: `images:${variant}`, error: e.message });
+                }
+            }
+        }
+    }
+
+    const encodings = {};
+    for (const encoding of opts.precompress) {
+        const { ext, compress } = ENCODINGS[encoding];
+        const stats = encodings[encoding] = { files: 0, before: 0, after: 0 };
+        for (const file of files.filter(f => PRECOMPRESSIBLE.test(f) && current.get(f) >= opts.precompressMinBytes)) {
+            opts.signal?.throwIfAborted();
+            const full = path.join(dir, file);
+            const data = await compress(await fs.readFile(full));
+            if (data.length >= current.get(file)) continue;
+            await fs.writeFile(full + ext, data);
+            stats.files++;
+            stats.before += current.get(file);
+            stats.after += data.length;
+        }
+    }
+
+    for (const [file, size] of current) sizes.get(typeOf(file)).after += size;
+    const groups = [...sizes.values()];
+    return {
+        status: 'success',
+        sizes: groups,
+        total: {
+            before: groups.reduce((sum, g) => sum + g.before, 0),
+            after: groups.reduce((sum, g) => sum + g.after, 0)
+        },
+        encodings,
+        imageVariants,
+        skipped,
+        errors
+    };
+}
+
+// Runtime for the generated (CommonJS) app
+const SERVING_SOURCE = `const fs = require('fs');
+const path = require('path');
+
+// Serves the variants the optimizer wrote next to each file: .avif/.webp images to clients
+// that accept them, then .br/.gz files with their Content-Encoding. Anything else falls
+// through to express.static and the page routes.
+const IMAGE_VARIANTS = [['image/avif', '.avif'], ['image/webp', '.webp']];
+const ENCODINGS = { br: '.br', gzip: '.gz' };
+
+module.exports = function mountOptimizedServing(app, publicDir) {
+    const isFile = (file) => {
+        try {
+            return fs.statSync(file).isFile();
+        } catch (e) {
+            return false;
+        }
+    };
+
+    // The file a request maps to, the way express.static and the page routes resolve it
+    function resolve(urlPath) {
+        let rel;
+        try {
+            rel = decodeURIComponent(urlPath);
+        } catch (e) {
+            return null;
+        }
+        if (rel.split('/').some(segment => segment.startsWith('.'))) return null;
+        const full = path.join(publicDir, rel);
+        if (full !== publicDir && !full.startsWith(publicDir + path.sep)) return null;
+        const candidates = rel.endsWith('/') ? [path.join(full, 'index.html')] : [full, full + '.html', path.join(full, 'index.html')];
+        return candidates.find(isFile) || null;
+    }
+
+    app.use((req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+        const file = resolve(req.path);
+        if (!file) return next();
+
+        const accept = req.get('accept') || '';
+        const image = IMAGE_VARIANTS.find(([type, ext]) => accept.includes(type) && isFile(file + ext));
+        if (image || IMAGE_VARIANTS.some(([, ext]) => isFile(file + ext))) res.vary('Accept');
+        if (image) {
+            res.type(image[0]);
+            return res.sendFile(file + image[1]);
+        }
+
+        const available = Object.keys(ENCODINGS).filter(encoding => isFile(file + ENCODINGS[encoding]));
+        if (available.length === 0) return next();
+        res.vary('Accept-Encoding');
+        // Our order, not the header's: "gzip, br" should still get the smaller .br
+        const encoding = available.find(candidate => req.acceptsEncodings(candidate) === candidate);
+        if (!encoding) return next();
+        res.type(path.extname(file));
+        res.set('Content-Encoding', encoding);
+        res.sendFile(file + ENCODINGS[encoding]);
+    });
+};
+`;
+
+/**
+ * Writes the runtime that serves the variants into an app dir
+ */
+async function installOptimizedServing(appDir) {
+    await fs.writeFile(path.join(appDir, 'optimized.js'), SERVING_SOURCE);
+}
+
+/**
+ * Records an optimization result in the clone, where analyzeWebsite picks it up
+ */
+async function saveOptimizationResult(cloneDir, result) {
+    const file = path.join(cloneDir, MANIFEST_DIR, OPTIMIZATION_FILE);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ generatedAt: new Date().toISOString(), ...result }, null, 2));
+}
+
+/**
+ * The last optimization of a clone's app, or null if it has none
+ */
+async function readOptimizationResult(cloneDir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(cloneDir, MANIFEST_DIR, OPTIMIZATION_FILE), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+async function clearOptimizationResult(cloneDir) {
+    await fs.rm(path.join(cloneDir, MANIFEST_DIR, OPTIMIZATION_FILE), { force: true });
+}
+
+export {
+    DEFAULT_OPTIMIZE_OPTIONS,
+    optimizeAssets,
+    installOptimizedServing,
+    saveOptimizationResult,
+    readOptimizationResult,
+    clearOptimizationResult
+};
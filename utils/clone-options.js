@@ -0,0 +1,48 @@
+/**
+ * Clone options - the JSON schema of every cloneWebsite option, used to validate options
+ * passed through the library API. See cloneWebsite in chai-gem-cloner.js for what they do.
+ */
+
+const COUNT = { type: 'integer', minimum: 0 };
+// RegExp objects or RegExp sources
+const PATTERNS = { description: 'RegExp or RegExp source, or a list of them' };
+
+const CLONE_OPTIONS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        crawl: { type: 'boolean', description: 'Follow same-origin links breadth-first' },
+        maxDepth: { ...COUNT, description: 'Link depth to crawl (default 2)' },
+        maxPages: { type: 'integer', minimum: 1, description: 'Maximum pages to clone (default 50)' },
+        include: { ...PATTERNS, description: 'Only crawl URLs matching one of these' },
+        exclude: { ...PATTERNS, description: 'Skip URLs matching any of these' },
+        sitemap: { type: ['boolean', 'string', 'array'], description: "true for the site's sitemaps, or sitemap URLs" },
+        respectRobots: { type: 'boolean', description: 'Skip what robots.txt disallows (default true)' },
+        robotsAgent: { type: 'string', description: 'User-agent token matched against robots.txt' },
+        resume: { type: ['boolean', 'string'], description: 'true for the latest clone of the host, or a clone directory' },
+        resync: { type: 'boolean', description: 'Refresh only what changed since the last clone' },
+        renderer: { type: ['string', 'object'], description: '"static", "browser" or a renderer object' },
+        rendererOptions: { type: 'object', description: 'Options for the browser renderer (launchOptions, waitUntil, settleMs)' },
+        captureApi: { type: 'boolean', description: 'Store same-origin XHR/fetch responses as API fixtures (default true)' },
+        apiFixtures: { type: ['array', 'object'], description: 'API responses to capture or declare' },
+        downloadOptions: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                concurrency: { type: 'integer', minimum: 1 },
+                perHostConcurrency: { type: 'integer', minimum: 1 },
+                requestsPerSecond: { type: 'number', minimum: 0 },
+                burst: { type: 'integer', minimum: 1 },
+                retries: COUNT,
+                backoffBaseMs: COUNT,
+                backoffMaxMs: COUNT,
+                maxRetryAfterMs: COUNT,
+                maxAssetBytes: COUNT,
+                hostRates: { type: 'object', description: 'Requests per second by host' }
+            }
+        },
+        failedAssetFallback: { type: 'string', enum: ['placeholder', 'keep', 'blank'] }
+    }
+};
+
+export { CLONE_OPTIONS_SCHEMA };
@@ -0,0 +1,240 @@
+/**
+ * Clone verifier - checks that a finished clone is self-contained.
+ *
+ * Every HTML and CSS file is parsed and each reference is resolved against the clone on
+ * disk, the way the generated app serves it (the clone directory is the web root).
+ * Issues: { rule, severity, file, ref, message }
+ *   origin-reference   - an asset still loads from the cloned site (error; warning for links)
+ *   external-reference - an asset loads from another host (error; warning for links;
+ *                        info for hosts in `allowHosts`)
+ *   broken-path        - a local reference to a file that does not exist (error)
+ *   missing-anchor     - a #fragment with no matching id or name in the target page (warning)
+ *
+ * The clone passes when there are no errors, or no errors and no warnings with `strict`.
+ */
+import { load } from 'cheerio';
+import fs from 'fs/promises';
+import path from 'path';
+import { extractAssetRefs } from './html-assets.js';
+import { extractCssUrls } from './css-urls.js';
+import { CloneManifest, MANIFEST_DIR } from './manifest.js';
+import { fileExists, toPosix } from './paths.js';
+
+const SEVERITIES = ['error', 'warning', 'info'];
+// References are resolved against this stand-in origin, so anything else is remote
+const LOCAL_ORIGIN = 'http://clone.local';
+const NON_URL_SCHEMES = /^(?:data|javascript|mailto|tel|blob|about|sms):/i;
+const TOP_ANCHORS = new Set(['', 'top']);
+
+async function listFiles(dir, root = dir, out = []) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name !== MANIFEST_DIR) await listFiles(full, root, out);
+        } else if (/\.(html?|css)$/i.test(entry.name)) {
+            out.push(toPosix(path.relative(root, full)));
+        }
+    }
+    return out;
+}
+
+const bareHost = (hostname) => hostname.toLowerCase().replace(/^www\./, '');
+
+function hostAllowed(hostname, allowHosts) {
+    return allowHosts.some(pattern => (pattern instanceof RegExp
+        ? pattern.test(hostname)
+        : bareHost(hostname) === bareHost(pattern) || hostname.endsWith(`.${bareHost(pattern)}`)));
+}
+
+class CloneVerifier {
+    /**
+     * @param {string} cloneDir - Clone directory
+     * @param {object} [options] - { origin: the cloned site's origin, allowHosts: hostnames or RegExps, strict, signal }
+     */
+    constructor(cloneDir, { origin = null, allowHosts = [], strict = false, signal = null } = {}) {
+        this.cloneDir = path.resolve(cloneDir);
+        this.signal = signal;
+        this.originHost = origin ? bareHost(new URL(origin).hostname) : null;
+        this.allowHosts = [].concat(allowHosts);
+        this.strict = strict;
+        this.issues = [];
+        this.seen = new Set();
+        this.anchorCache = new Map();
+        this.referencesChecked = 0;
+    }
+
+    issue(rule, severity, file, ref, message) {
+        const key = `${rule}\n${file}\n${ref}`;
+        if (this.seen.has(key)) return;
+        this.seen.add(key);
+        this.issues.push({ rule, severity, file, ref, message });
+    }
+
+    /**
+     * Clone-relative file for a local URL, or null when nothing on disk matches
+     * @param {boolean} isLink - Links may omit .html, as the generated app routes /about to about.html
+     */
+    async localFile(url, isLink) {
+        let rel;
+        try {
+            rel = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+        } catch (e) {
+            return null;
+        }
+        const full = path.resolve(this.cloneDir, rel);
+        if (full !== this.cloneDir && !full.startsWith(this.cloneDir + path.sep)) return null;
+
+        const candidates = [full];
+        if (rel === '' || rel.endsWith('/')) candidates.unshift(path.join(full, 'index.html'));
+        else if (isLink && !path.extname(rel)) candidates.push(`${full}.html`, path.join(full, 'index.html'));
+        for (const candidate of candidates) {
+            try {
+                if ((await fs.stat(candidate)).isFile()) return toPosix(path.relative(this.cloneDir, candidate));
+            } catch (e) {
+                // try the next candidate
+            }
+        }
+        return null;
+    }
+
+    async anchorsOf(file) {
+        if (!this.anchorCache.has(file)) {
+            const $ = load(await fs.readFile(path.join(this.cloneDir, file), 'utf8'));
+            const anchors = new Set([
+                ...$('[id]').map((i, el) => $(el).attr('id')).get(),
+                ...$('a[name]').map((i, el) => $(el).attr('name')).get()
+            ]);
+            this.anchorCache.set(file, anchors);
+        }
+        return this.anchorCache.get(file);
+    }
+
+    /**
+     * Checks one reference
+     * @param {string} file - Clone-relative file holding the reference
+     * @param {string} raw - Reference as written
+     * @param {string} base - URL relative references resolve against
+     * @param {boolean} isLink - <a>/<area> navigation rather than an asset the page loads
+     */
+    async check(file, raw, base, isLink) {
+        const value = String(raw || '').trim();
+        if (!value || NON_URL_SCHEMES.test(value)) return;
+        let url;
+        try {
+            url = new URL(value, base);
+        } catch (e) {
+            this.issue('broken-path', 'error', file, value, `Not a valid URL: ${value}`);
+            return;
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) return;
+        this.referencesChecked++;
+
+        if (url.origin !== LOCAL_ORIGIN) {
+            const toOrigin = this.originHost !== null && bareHost(url.hostname) === this.originHost;
+            const allowed = !toOrigin && hostAllowed(url.hostname, this.allowHosts);
+            const what = isLink ? 'Link' : 'Asset';
+            if (toOrigin) {
+                this.issue('origin-reference', isLink ? 'warning' : 'error', file, value, `${what} points to the original site: ${url.href}`);
+            } else {
+                this.issue('external-reference', allowed ? 'info' : (isLink ? 'warning' : 'error'), file, value,
+                    `${what} points to ${url.hostname}${allowed ? ' (allowed host)' : ''}: ${url.href}`);
+            }
+            return;
+        }
+
+        const target = await this.localFile(url, isLink);
+        if (!target) {
+            this.issue('broken-path', 'error', file, value, `No file in the clone for ${decodeURIComponent(url.pathname)}`);
+            return;
+        }
+        const anchor = url.hash.slice(1);
+        if (anchor && !TOP_ANCHORS.has(anchor.toLowerCase()) && /\.html?$/i.test(target)) {
+            let id = anchor;
+            try {
+                id = decodeURIComponent(anchor);
+            } catch (e) {
+                // keep it encoded
+            }
+            if (!(await this.anchorsOf(target)).has(id)) {
+                this.issue('missing-anchor', 'warning', file, value, `No element with id or name "${id}" in ${target}`);
+            }
+        }
+    }
+
+    async checkHtml(file) {
+        const $ = load(await fs.readFile(path.join(this.cloneDir, file), 'utf8'));
+        const pageUrl = `${LOCAL_ORIGIN}/${file.split('/').map(encodeURIComponent).join('/')}`;
+        const baseHref = $('base[href]').first().attr('href');
+        let base = pageUrl;
+        try {
+            if (baseHref) base = new URL(baseHref, pageUrl).href;
+        } catch (e) {
+            // an invalid <base href> is ignored by browsers too
+        }
+        // The reference as written, so issues do not show the stand-in origin
+        for (const ref of extractAssetRefs($, pageUrl)) await this.check(file, ref.raw, base, false);
+
+        const links = $('a[href], area[href]').map((i, el) => $(el).attr('href')).get();
+        // A bare #fragment always refers to the page itself
+        for (const href of links) await this.check(file, href, href.trim().startsWith('#') ? pageUrl : base, true);
+    }
+
+    async checkCss(file) {
+        const css = await fs.readFile(path.join(this.cloneDir, file), 'utf8');
+        const fileUrl = `${LOCAL_ORIGIN}/${file.split('/').map(encodeURIComponent).join('/')}`;
+        for (const ref of extractCssUrls(css)) {
+            // Fragments in CSS (e.g. sprite.svg#icon, url(#gradient)) are not page anchors
+            if (ref.url.startsWith('#')) continue;
+            await this.check(file, ref.url.replace(/#.*$/, ''), fileUrl, false);
+        }
+    }
+
+    /**
+     * @returns {Promise<object>} Verification report
+     */
+    async run() {
+        const files = await listFiles(this.cloneDir);
+        const html = files.filter(f => /\.html?$/i.test(f));
+        const css = files.filter(f => /\.css$/i.test(f));
+        for (const file of html) {
+            this.signal?.throwIfAborted();
+            await this.checkHtml(file);
+        }
+        for (const file of css) {
+            this.signal?.throwIfAborted();
+            await this.checkCss(file);
+        }
+
+        this.issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.file.localeCompare(b.file));
+        const summary = Object.fromEntries(SEVERITIES.map(s => [s, this.issues.filter(i => i.severity === s).length]));
+        const byRule = {};
+        for (const { rule } of this.issues) byRule[rule] = (byRule[rule] || 0) + 1;
+        return {
+            status: 'success',
+            passed: summary.error === 0 && (!this.strict || summary.warning === 0),
+            dir: this.cloneDir,
+            strict: this.strict,
+            filesChecked: { html: html.length, css: css.length },
+            referencesChecked: this.referencesChecked,
+            summary,
+            byRule,
+            issues: this.issues
+        };
+    }
+}
+
+/**
+ * Verifies a clone; the cloned site's origin comes from the clone manifest
+ * @param {string} cloneDir - Clone directory
+ * @param {object} [options] - { allowHosts, strict, signal: stops between files }
+ * @returns {Promise<object>} { status, passed, dir, strict, filesChecked, referencesChecked, summary, byRule, issues }
+ */
+async function verifyCloneDir(cloneDir, { allowHosts = [], strict = false, signal = null } = {}) {
+    if (!await fileExists(cloneDir)) throw new Error(`No such directory: ${cloneDir}`);
+    const manifest = await CloneManifest.load(cloneDir);
+    const origin = manifest?.data.startUrl ? new URL(manifest.data.startUrl).origin : null;
+    const report = await new CloneVerifier(cloneDir, { origin, allowHosts, strict, signal }).run();
+    return { ...report, origin };
+}
+
+export { CloneVerifier, verifyCloneDir };
@@ -0,0 +1,292 @@
+/**
+ * Command policy - decides whether executeCommand may run a command and runs it sandboxed.
+ *
+ * A command is run without a shell: the command line is split into a binary and its
+ * arguments, shell syntax (pipes, redirects, `;`, `&&`, `$(...)`, ...) is rejected, the
+ * binary must be on the allow-list and every argument must match one of its patterns.
+ * Arguments that look like paths must stay inside the working directory, which is the
+ * current clone or app directory, after symlinks are resolved; values attached to options
+ * (--file=x, -fx) are checked too. The child gets a scrubbed environment, a timeout and
+ * capped output. Every decision is appended to a JSONL audit log.
+ *
+ * Approval modes:
+ *   auto   - allow-listed commands run without asking (default)
+ *   prompt - every allow-listed command is confirmed on the terminal; denied without one
+ *   never  - no command runs
+ */
+import fs from 'fs/promises';
+import fss from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+import { spawn } from 'child_process';
+
+const APPROVAL_MODES = ['auto', 'prompt', 'never'];
+const ANY_ARG = '.*';
+
+const DEFAULT_COMMAND_POLICY = {
+    approval: 'auto',
+    // binary -> RegExp sources; each argument must fully match one of them
+    allow: {
+        ls: [ANY_ARG],
+        cat: [ANY_ARG],
+        head: [ANY_ARG],
+        tail: [ANY_ARG],
+        wc: [ANY_ARG],
+        du: [ANY_ARG],
+        grep: [ANY_ARG],
+        node: ['--version', '-v'],
+        npm: ['install', 'ci', 'ls', 'audit', 'outdated', '--version', '--no-audit', '--no-fund', '--omit=dev', '--production']
+    },
+    timeoutMs: 60000,
+    maxOutputBytes: 64 * 1024,
+    // Only these variables reach the child; names that look like secrets are dropped even when listed
+    envPassthrough: ['PATH', 'HOME', 'LANG', 'LC_ALL', 'TERM', 'TMPDIR', 'TZ', 'NODE_ENV'],
+    auditLog: 'logs/commands.jsonl'
+};
+
+const SECRET_ENV = /KEY|TOKEN|SECRET|PASSWORD|CREDENTIAL/i;
+const SHELL_SYNTAX = /[|&;<>`$(){}\n\r]/;
+
+/**
+ * Splits a command line into words. Single and double quotes group words; shell
+ * syntax outside quotes is an error because commands never run in a shell.
+ * @returns {string[]}
+ */
+function splitCommand(cmd) {
+    const words = [];
+    let word = null;
+    let quote = null;
+    for (const ch of String(cmd)) {
+        if (quote) {
+            if (ch === quote) quote = null;
+            else word += ch;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+            word = word ?? '';
+        } else if (/\s/.test(ch) && ch !== '\n' && ch !== '\r') {
+            if (word !== null) words.push(word);
+            word = null;
+        } else if (SHELL_SYNTAX.test(ch) || ch === '\\') {
+            throw new Error(`Shell syntax is not allowed ("${ch === '\n' ? '\\n' : ch}"); run one command without pipes, redirects or substitutions`);
+        } else {
+            word = (word ?? '') + ch;
+        }
+    }
+    if (quote) throw new Error('Unterminated quote');
+    if (word !== null) words.push(word);
+    return words;
+}
+
+function isInside(dir, target) {
+    const rel = path.relative(dir, target);
+    // "..cache" is a file inside; only ".." itself or a path through it leaves
+    return rel === '' || (rel !== '..' && !rel.startsWith(`..${path.sep}`) && !path.isAbsolute(rel));
+}
+
+// Real path of a file that may not exist yet: symlinks in its nearest existing ancestor are resolved
+function realPath(target) {
+    let existing = target;
+    while (!fss.existsSync(existing) && path.dirname(existing) !== existing) existing = path.dirname(existing);
+    try {
+        return path.join(fss.realpathSync(existing), path.relative(existing, target));
+    } catch (e) {
+        return target;
+    }
+}
+
+/**
+ * Values in an argument that may name a file: the argument itself, the part after "=" of a
+ * long option, and for a short option every tail after its first letter, since a value can
+ * be attached to any letter of a cluster (-f/etc/x, -rf/etc/x)
+ */
+function pathCandidates(arg) {
+    if (arg.startsWith('--')) return [arg.split('=').slice(1).join('=')];
+    if (arg.startsWith('-')) return Array.from({ length: Math.max(0, arg.length - 2) }, (_, i) => arg.slice(i + 2));
+    return [arg];
+}
+
+class CommandPolicy {
+    /**
+     * @param {object} [options] - Overrides for DEFAULT_COMMAND_POLICY; `allow` replaces the default list
+     */
+    constructor(options = {}) {
+        const merged = { ...DEFAULT_COMMAND_POLICY, ...options };
+        if (!APPROVAL_MODES.includes(merged.approval)) {
+            throw new Error(`Unknown command approval mode "${merged.approval}". Available: ${APPROVAL_MODES.join(', ')}`);
+        }
+        this.approval = merged.approval;
+        this.allow = new Map(Object.entries(merged.allow).map(([bin, patterns]) => [
+            bin,
+            [].concat(patterns).map(p => new RegExp(`^(?:${p})$`))
+        ]));
+        this.timeoutMs = merged.timeoutMs;
+        this.maxOutputBytes = merged.maxOutputBytes;
+        this.envPassthrough = merged.envPassthrough;
+        this.auditLog = merged.auditLog ? path.resolve(merged.auditLog) : null;
+        this.confirm = merged.confirm || confirmOnTerminal;
+    }
+
+    /**
+     * Policy from environment variables: COMMAND_POLICY_FILE (JSON with any of the
+     * DEFAULT_COMMAND_POLICY keys) and COMMAND_APPROVAL (overrides the file's mode)
+     */
+    static fromEnv(env = process.env) {
+        let options = {};
+        if (env.COMMAND_POLICY_FILE) {
+            options = JSON.parse(fss.readFileSync(env.COMMAND_POLICY_FILE, 'utf8'));
+        }
+        if (env.COMMAND_APPROVAL) options.approval = env.COMMAND_APPROVAL.toLowerCase();
+        return new CommandPolicy(options);
+    }
+
+    /**
+     * Policy from the `commands` section of the config (see utils/config.js): the policy
+     * file, with `approval` overriding the file's mode when set
+     */
+    static fromConfig({ policyFile = null, approval = null } = {}) {
+        const options = policyFile ? JSON.parse(fss.readFileSync(policyFile, 'utf8')) : {};
+        if (approval) options.approval = approval;
+        return new CommandPolicy(options);
+    }
+
+    /**
+     * Checks a command against the allow-list without running it
+     * @param {string} cmd - Command line
+     * @param {string} cwd - Directory the command would run in
+     * @returns {{allowed: boolean, argv: string[], reason: (string|null)}}
+     */
+    check(cmd, cwd) {
+        let argv;
+        try {
+            argv = splitCommand(cmd);
+        } catch (e) {
+            return { allowed: false, argv: [], reason: e.message };
+        }
+        const deny = (reason) => ({ allowed: false, argv, reason });
+        if (argv.length === 0) return deny('Empty command');
+        if (this.approval === 'never') return deny('Commands are disabled (approval mode "never")');
+
+        const [bin, ...args] = argv;
+        const patterns = this.allow.get(bin);
+        if (!patterns) return deny(`"${bin}" is not on the allow-list (${Array.from(this.allow.keys()).join(', ')})`);
+
+        const root = realPath(path.resolve(cwd));
+        for (const arg of args) {
+            if (!patterns.some(re => re.test(arg))) return deny(`Argument "${arg}" is not allowed for ${bin}`);
+            const leaves = pathCandidates(arg).some(value => value.startsWith('~') ||
+                (value && !isInside(root, realPath(path.resolve(cwd, value)))));
+            if (leaves) return deny(`Argument "${arg}" leaves the working directory`);
+        }
+        return { allowed: true, argv, reason: null };
+    }
+
+    env(source = process.env) {
+        return Object.fromEntries(this.envPassthrough
+            .filter(name => source[name] !== undefined && !SECRET_ENV.test(name))
+            .map(name => [name, source[name]]));
+    }
+
+    async audit(entry) {
+        if (!this.auditLog) return;
+        try {
+            await fs.mkdir(path.dirname(this.auditLog), { recursive: true });
+            await fs.appendFile(this.auditLog, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n', 'utf8');
+        } catch (e) {
+            console.warn(`⚠️ Could not write the command audit log: ${e.message}`);
+        }
+    }
+
+    /**
+     * Checks, asks for approval if configured, and runs a command
+     * @param {string} cmd - Command line
+     * @param {string} cwd - Working directory; commands cannot reach outside it
+     * @returns {Promise<object>} { status: 'success'|'failed', exitCode, stdout, stderr, truncated, timedOut } or { error }
+     */
+    async run(cmd, cwd) {
+        const workDir = path.resolve(cwd);
+        const check = this.check(cmd, workDir);
+        let reason = check.reason;
+        if (check.allowed && this.approval === 'prompt' && !(await this.confirm(cmd, workDir))) {
+            reason = 'Not approved';
+        }
+        if (reason) {
+            await this.audit({ cmd, cwd: workDir, decision: 'denied', reason });
+            return { error: `Command denied: ${reason}` };
+        }
+
+        const started = Date.now();
+        const result = await this.spawn(check.argv, workDir);
+        await this.audit({
+            cmd,
+            cwd: workDir,
+            decision: 'run',
+            exitCode: result.exitCode,
+            timedOut: result.timedOut,
+            truncated: result.truncated,
+            durationMs: Date.now() - started
+        });
+        return result;
+    }
+
+    spawn([bin, ...args], cwd) {
+        return new Promise((resolve) => {
+            const output = { stdout: [], stderr: [] };
+            const sizes = { stdout: 0, stderr: 0 };
+            let truncated = false;
+            let timedOut = false;
+
+            const child = spawn(bin, args, { cwd, env: this.env(), shell: false, stdio: ['ignore', 'pipe', 'pipe'] });
+            const timer = setTimeout(() => {
+                timedOut = true;
+                child.kill('SIGKILL');
+            }, this.timeoutMs);
+
+            // Output past the cap is drained and dropped so the child never blocks on a full pipe
+            for (const stream of ['stdout', 'stderr']) {
+                child[stream].on('data', (chunk) => {
+                    const room = this.maxOutputBytes - sizes[stream];
+                    if (room <= 0) {
+                        truncated = true;
+                        return;
+                    }
+                    if (chunk.length > room) truncated = true;
+                    output[stream].push(chunk.subarray(0, room));
+                    sizes[stream] += Math.min(chunk.length, room);
+                });
+            }
+
+            const finish = (exitCode, error) => {
+                clearTimeout(timer);
+                const stdout = Buffer.concat(output.stdout).toString('utf8');
+                const stderr = Buffer.concat(output.stderr).toString('utf8');
+                if (error) return resolve({ error: `Could not run ${bin}: ${error.message}` });
+                const ok = exitCode === 0 && !timedOut;
+                resolve({
+                    status: ok ? 'success' : 'failed',
+                    ...(timedOut ? { error: `Timed out after ${this.timeoutMs} ms` } : {}),
+                    ...(!ok && !timedOut ? { error: `Exited with code ${exitCode}` } : {}),
+                    exitCode,
+                    stdout,
+                    stderr,
+                    truncated,
+                    timedOut
+                });
+            };
+            child.on('error', (error) => finish(null, error));
+            child.on('close', (code) => finish(code, null));
+        });
+    }
+}
+
+async function confirmOnTerminal(cmd, cwd) {
+    if (!process.stdin.isTTY) return false;
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        const answer = await rl.question(`\n⚠️ Run command in ${cwd}?\n   ${cmd}\n   [y/N] `);
+        return /^y(es)?$/i.test(answer.trim());
+    } finally {
+        rl.close();
+    }
+}
+
+export { APPROVAL_MODES, DEFAULT_COMMAND_POLICY, CommandPolicy, splitCommand };
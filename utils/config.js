@@ -0,0 +1,337 @@
+/**
+ * Configuration - one settings object built from layers, each overriding the one before:
+ *
+ *   1. defaults (DEFAULT_CONFIG)
+ *   2. the project config file: cloner.config.mjs, cloner.config.js or cloner.config.json in the
+ *      working directory, or the file given with --config / CLONER_CONFIG
+ *   3. environment variables (ENV_VARS; .env is loaded into them)
+ *   4. CLI flags
+ *
+ * Objects merge key by key and arrays are replaced. The result is validated against
+ * CONFIG_SCHEMA. `clone` holds default clone options and `sites` per-hostname profiles that
+ * override them for one site (see siteCloneOptions). Secrets such as API keys stay in the
+ * environment and are never read from the file.
+ *
+ * The CLI loads the config and activates it with setConfig; without that, currentConfig()
+ * is the defaults plus the environment, as it was on first use.
+ */
+import fss from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { CLONE_OPTIONS_SCHEMA } from './clone-options.js';
+import { validateSchema } from './tool-registry.js';
+import { DEFAULT_VIEWPORTS } from './visual-regression.js';
+import { DEFAULT_OPTIMIZE_OPTIONS } from './asset-optimizer.js';
+
+const CONFIG_FILES = ['cloner.config.mjs', 'cloner.config.js', 'cloner.config.json'];
+
+const DEFAULT_CONFIG = {
+    outputDir: 'clones',
+    defaultUrl: null,
+    userAgents: [
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Safari/537.36',
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Safari/537.36',
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36',
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.1 Safari/605.1.15',
+        'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36',
+    ],
+    requestTimeoutMs: 30000,
+    pageDelayMs: 500,
+    clone: {},
+    sites: {},
+    server: { port: 3000 },
+    reports: { formats: ['json', 'html', 'sarif'] },
+    optimize: { enabled: false, ...DEFAULT_OPTIMIZE_OPTIONS },
+    visual: {
+        viewports: DEFAULT_VIEWPORTS,
+        threshold: 0.95,
+        pixelThreshold: 0.1,
+        fullPage: false
+    },
+    llm: { provider: null, model: null, baseUrl: null, mockResponsesFile: null },
+    workflow: {
+        fallbackPolicy: 'last_resort',
+        stageRetries: 1,
+        // null: the COT_SETUP.md shipped next to workflow-orchestrator.js
+        promptFile: null,
+        contextTokenBudget: 24000,
+        observationTokenLimit: 2000
+    },
+    commands: { approval: null, policyFile: null }
+};
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+const POSITIVE = { type: 'integer', minimum: 1 };
+const RATIO = { type: 'number', minimum: 0, maximum: 1 };
+
+const CONFIG_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        outputDir: { type: 'string', description: 'Where clones and generated apps are written' },
+        defaultUrl: NULLABLE_STRING,
+        userAgents: { type: 'array', items: { type: 'string' } },
+        requestTimeoutMs: POSITIVE,
+        pageDelayMs: { type: 'integer', minimum: 0 },
+        clone: CLONE_OPTIONS_SCHEMA,
+        sites: { type: 'object', additionalProperties: CLONE_OPTIONS_SCHEMA },
+        server: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { port: { type: 'integer', minimum: 1, maximum: 65535 } }
+        },
+        reports: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                formats: { type: 'array', items: { type: 'string', enum: ['json', 'html', 'sarif', 'markdown'] } }
+            }
+        },
+        optimize: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                enabled: { type: 'boolean', description: 'Optimize the public/ directory of generated apps' },
+                html: { type: 'boolean' },
+                css: { type: 'boolean' },
+                unusedCss: { type: 'boolean' },
+                safelist: { type: 'array', items: { type: 'string' } },
+                js: { type: 'boolean' },
+                images: { type: 'boolean' },
+                imageQuality: { type: 'integer', minimum: 1, maximum: 100 },
+                imageFormats: { type: 'array', items: { type: 'string', enum: ['webp', 'avif'] } },
+                precompress: { type: 'array', items: { type: 'string', enum: ['br', 'gzip'] } },
+                precompressMinBytes: { type: 'integer', minimum: 0 }
+            }
+        },
+        visual: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                viewports: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'width', 'height'],
+                        additionalProperties: false,
+                        properties: { name: { type: 'string' }, width: POSITIVE, height: POSITIVE }
+                    }
+                },
+                threshold: RATIO,
+                pixelThreshold: RATIO,
+                fullPage: { type: 'boolean' }
+            }
+        },
+        llm: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                provider: { type: ['string', 'null'], enum: ['gemini', 'openai', 'mock', null] },
+                model: NULLABLE_STRING,
+                baseUrl: NULLABLE_STRING,
+                mockResponsesFile: NULLABLE_STRING
+            }
+        },
+        workflow: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                fallbackPolicy: { type: 'string', enum: ['never', 'last_resort', 'always'] },
+                stageRetries: { type: 'integer', minimum: 0 },
+                promptFile: NULLABLE_STRING,
+                contextTokenBudget: POSITIVE,
+                observationTokenLimit: POSITIVE
+            }
+        },
+        commands: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                approval: { type: ['string', 'null'], enum: ['auto', 'prompt', 'never', null] },
+                policyFile: NULLABLE_STRING
+            }
+        }
+    }
+};
+
+// Environment variable -> config path; values are converted to the type the schema expects (lists are comma-separated)
+const ENV_VARS = {
+    CLONES_DIR: 'outputDir',
+    WEBSITE_URL: 'defaultUrl',
+    PORT: 'server.port',
+    REPORT_FORMATS: 'reports.formats',
+    OPTIMIZE_ASSETS: 'optimize.enabled',
+    VISUAL_THRESHOLD: 'visual.threshold',
+    LLM_PROVIDER: 'llm.provider',
+    LLM_MODEL: 'llm.model',
+    OPENAI_BASE_URL: 'llm.baseUrl',
+    MOCK_RESPONSES_FILE: 'llm.mockResponsesFile',
+    FALLBACK_POLICY: 'workflow.fallbackPolicy',
+    STAGE_RETRIES: 'workflow.stageRetries',
+    COT_PROMPT_FILE: 'workflow.promptFile',
+    CONTEXT_TOKEN_BUDGET: 'workflow.contextTokenBudget',
+    OBSERVATION_TOKEN_LIMIT: 'workflow.observationTokenLimit',
+    COMMAND_APPROVAL: 'commands.approval',
+    COMMAND_POLICY_FILE: 'commands.policyFile'
+};
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+// Only object literals merge; arrays, RegExps, renderers and signals replace
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+function deepMerge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) return override === undefined ? base : override;
+    const out = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        if (value !== undefined) out[key] = deepMerge(base[key], value);
+    }
+    return out;
+}
+
+function schemaAt(configPath) {
+    return configPath.split('.').reduce((schema, key) => schema?.properties?.[key], CONFIG_SCHEMA);
+}
+
+function setPath(target, configPath, value) {
+    const keys = configPath.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) node = node[key] = node[key] || {};
+    node[keys.at(-1)] = value;
+}
+
+/**
+ * The environment layer: ENV_VARS that are set (empty counts as unset). Without
+ * LLM_PROVIDER, USE_GOOGLE=true selects gemini.
+ */
+function envLayer(env = process.env) {
+    const layer = {};
+    for (const [name, configPath] of Object.entries(ENV_VARS)) {
+        const raw = env[name];
+        if (raw === undefined || raw === '') continue;
+        const types = [].concat(schemaAt(configPath)?.type || 'string');
+        let value = raw;
+        if (types.includes('array')) {
+            value = raw.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+        } else if (types.includes('integer') || types.includes('number')) {
+            value = Number(raw);
+            if (!Number.isFinite(value)) throw new ConfigError(`${name} must be a number, got "${raw}"`);
+        } else if (types.includes('boolean')) {
+            if (!['true', 'false', '1', '0'].includes(raw.toLowerCase())) throw new ConfigError(`${name} must be true or false, got "${raw}"`);
+            value = ['true', '1'].includes(raw.toLowerCase());
+        } else if (configPath === 'llm.provider' || configPath.endsWith('Policy') || configPath === 'commands.approval') value = raw.toLowerCase();
+        setPath(layer, configPath, value);
+    }
+    if (!layer.llm?.provider && env.USE_GOOGLE === 'true') setPath(layer, 'llm.provider', 'gemini');
+    return layer;
+}
+
+function validate(config, source) {
+    const errors = validateSchema(config, CONFIG_SCHEMA, 'config');
+    if (errors.length > 0) throw new ConfigError(`Invalid configuration${source ? ` in ${source}` : ''}: ${errors.join('; ')}`);
+    return config;
+}
+
+/**
+ * Path of the project config file: `file` if given, else the first of CONFIG_FILES in `cwd`
+ * @returns {string|null}
+ */
+function findConfigFile(cwd = process.cwd(), file = undefined) {
+    if (file) {
+        const resolved = path.resolve(cwd, file);
+        if (!fss.existsSync(resolved)) throw new ConfigError(`Config file not found: ${resolved}`);
+        return resolved;
+    }
+    const found = CONFIG_FILES.map(name => path.join(cwd, name)).find(candidate => fss.existsSync(candidate));
+    return found || null;
+}
+
+async function readConfigFile(file) {
+    if (file.endsWith('.json')) {
+        try {
+            return JSON.parse(await fss.promises.readFile(file, 'utf8'));
+        } catch (e) {
+            throw new ConfigError(`Could not read ${file}: ${e.message}`);
+        }
+    }
+    let mod;
+    try {
+        mod = await import(pathToFileURL(file).href);
+    } catch (e) {
+        throw new ConfigError(`Could not load ${file}: ${e.message}`);
+    }
+    const exported = mod.default ?? mod.config;
+    const value = typeof exported === 'function' ? await exported() : exported;
+    if (!isPlainObject(value)) throw new ConfigError(`${file} must export a config object (or a function returning one) as default`);
+    return value;
+}
+
+/**
+ * Builds the configuration from all layers
+ * @param {object} [options] - { cwd, file, env, overrides: the CLI flag layer }
+ * @returns {Promise<object>} Validated config; `configFile` is the file that was used, if any
+ * @throws {ConfigError}
+ */
+async function loadConfig({ cwd = process.cwd(), file = undefined, env = process.env, overrides = {} } = {}) {
+    const configFile = findConfigFile(cwd, file || env.CLONER_CONFIG || undefined);
+    let fileLayer = {};
+    if (configFile) {
+        fileLayer = await readConfigFile(configFile);
+        validate(deepMerge(DEFAULT_CONFIG, fileLayer), configFile);
+    }
+    const config = validate([fileLayer, envLayer(env), overrides].reduce(deepMerge, DEFAULT_CONFIG));
+    return Object.defineProperty(config, 'configFile', { value: configFile, enumerable: false });
+}
+
+let activeConfig = null;
+
+/**
+ * Makes a loaded config the one every module reads; null goes back to the environment
+ */
+function setConfig(config) {
+    activeConfig = config;
+}
+
+/**
+ * The active config. When none was set, the defaults plus the environment are validated
+ * on first use and kept, since this is read for every page and asset.
+ */
+function currentConfig() {
+    if (!activeConfig) activeConfig = validate(deepMerge(DEFAULT_CONFIG, envLayer(process.env)), 'the environment');
+    return activeConfig;
+}
+
+/**
+ * Clone options for a URL: the config's `clone` defaults, the profile in `sites` for its
+ * host (`host:port` or hostname, with or without "www."), then the explicit options
+ */
+function siteCloneOptions(url, options = {}, config = currentConfig()) {
+    let profile = {};
+    try {
+        const { host, hostname } = new URL(url);
+        const bare = hostname.replace(/^www\./, '');
+        const key = [host, hostname, bare, `www.${bare}`].find(k => config.sites[k]);
+        if (key) profile = config.sites[key];
+    } catch (e) {
+        // Invalid URLs are reported by cloneWebsite
+    }
+    return deepMerge(deepMerge(config.clone, profile), options);
+}
+
+export {
+    CONFIG_FILES,
+    DEFAULT_CONFIG,
+    CONFIG_SCHEMA,
+    ENV_VARS,
+    ConfigError,
+    loadConfig,
+    setConfig,
+    currentConfig,
+    siteCloneOptions
+};
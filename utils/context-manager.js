@@ -0,0 +1,121 @@
+/**
+ * Context manager - keeps the orchestrator's prompt inside the model's context window.
+ *
+ * Observations: a tool result larger than the observation limit is written in full to disk
+ * and the model gets a shortened copy (long arrays and strings cut, with counts) plus the
+ * path of the full data. The full result stays in the workflow context, so `$ref`s still
+ * pass all of it to later tools.
+ *
+ * History: once the conversation exceeds the token budget, the turns between the first
+ * user request and the most recent ones are replaced by a one-line-per-turn summary.
+ * The stored history is never changed; only the copy sent to the model is compacted.
+ *
+ * Token counts are estimates (about 4 characters per token), which is enough for budgeting.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_CONTEXT_OPTIONS = {
+    maxObservationTokens: 2000,
+    historyTokenBudget: 24000,
+    keepRecentMessages: 6
+};
+// Successively tighter limits tried when shortening a value: [array items, string characters, depth]
+const SHORTEN_LEVELS = [[10, 500, 6], [5, 200, 4], [3, 100, 3], [1, 60, 2]];
+
+function estimateTokens(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function shorten(value, [maxItems, maxChars, maxDepth], depth = 0) {
+    if (typeof value === 'string') {
+        return value.length > maxChars ? `${value.slice(0, maxChars)}… (${value.length - maxChars} more characters)` : value;
+    }
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= maxDepth) {
+        return Array.isArray(value) ? `[${value.length} items]` : `{${Object.keys(value).length} keys}`;
+    }
+    if (Array.isArray(value)) {
+        const items = value.slice(0, maxItems).map(v => shorten(v, [maxItems, maxChars, maxDepth], depth + 1));
+        if (value.length > maxItems) items.push(`… ${value.length - maxItems} more items`);
+        return items;
+    }
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, shorten(v, [maxItems, maxChars, maxDepth], depth + 1)]));
+}
+
+// One line for a turn that is compacted away
+function turnSummary(message) {
+    if (message.toolCalls?.length) return `assistant called ${message.toolCalls.map(c => c.name).join(', ')}`;
+    const text = String(message.content ?? '').replace(/\s+/g, ' ');
+    const label = message.role === 'tool' ? `${message.name} returned` : message.role;
+    return `${label}: ${text.length > 160 ? `${text.slice(0, 160)}…` : text}`;
+}
+
+class ContextManager {
+    /**
+     * @param {object} [options] - Overrides for DEFAULT_CONTEXT_OPTIONS
+     */
+    constructor(options = {}) {
+        Object.assign(this, DEFAULT_CONTEXT_OPTIONS, options);
+        this.spilled = 0;
+    }
+
+    /**
+     * Observation text for a tool result, shortened when it is over the limit
+     * @param {string} toolName - Tool that produced the result
+     * @param {string[]} savedAs - Context names the result is stored under
+     * @param {*} result - Full tool result
+     * @param {string} spillDir - Directory the full result is written to when shortened
+     * @returns {Promise<string>}
+     */
+    async observation(toolName, savedAs, result, spillDir) {
+        const full = JSON.stringify({ savedAs, result }, null, 2);
+        if (estimateTokens(full) <= this.maxObservationTokens) return full;
+
+        this.spilled++;
+        const fullResult = path.resolve(spillDir, `${String(this.spilled).padStart(3, '0')}-${toolName}.json`);
+        await fs.mkdir(path.dirname(fullResult), { recursive: true });
+        await fs.writeFile(fullResult, JSON.stringify(result, null, 2), 'utf8');
+
+        const note = `Shortened for the prompt (about ${estimateTokens(full)} tokens). ` +
+            `The full result is in fullResult, and { "$ref": "${savedAs[0]}" } passes all of it to a tool.`;
+        for (const level of SHORTEN_LEVELS) {
+            const text = JSON.stringify({ savedAs, truncated: true, note, fullResult, result: shorten(result, level) }, null, 2);
+            if (estimateTokens(text) <= this.maxObservationTokens) return text;
+        }
+        return JSON.stringify({ savedAs, truncated: true, note, fullResult, result: shorten(result, [0, 0, 1]) });
+    }
+
+    /**
+     * Messages to send to the model: the history itself while it fits the budget, otherwise
+     * the system messages, the first user request, a summary of the middle turns and the
+     * most recent messages
+     * @param {object[]} history - Conversation history
+     * @returns {{messages: object[], compacted: number}} Messages and how many were summarized
+     */
+    compact(history) {
+        if (estimateTokens(history) <= this.historyTokenBudget) return { messages: history, compacted: 0 };
+
+        const head = [];
+        let i = 0;
+        while (i < history.length && history[i].role === 'system') head.push(history[i++]);
+        if (i < history.length && history[i].role === 'user') head.push(history[i++]);
+
+        // Tool results must stay with the assistant message that called them
+        let start = Math.max(i, history.length - this.keepRecentMessages);
+        while (start > i && history[start].role === 'tool') start--;
+        const middle = history.slice(i, start);
+        if (middle.length === 0) return { messages: history, compacted: 0 };
+
+        const summary = {
+            role: 'user',
+            content: `[Context compacted: ${middle.length} earlier message(s) summarized. Use { "$ref": ... } for earlier results.]\n` +
+                middle.map(m => `- ${turnSummary(m)}`).join('\n')
+        };
+        return { messages: [...head, summary, ...history.slice(start)], compacted: middle.length };
+    }
+}
+
+export { DEFAULT_CONTEXT_OPTIONS, ContextManager, estimateTokens };
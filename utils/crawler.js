@@ -0,0 +1,115 @@
+/**
+ * Crawl helpers - page discovery, scope filtering and local page paths
+ * used by cloneWebsite when following links between pages
+ */
+import { safeFilename } from './paths.js';
+import { documentBaseUrl } from './html-assets.js';
+
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 50;
+
+// Links with these extensions are files, not pages, and are never crawled
+const NON_PAGE_EXTENSIONS = /\.(?:jpe?g|png|gif|svg|webp|avif|ico|bmp|css|js|mjs|json|xml|txt|pdf|zip|gz|tar|rar|7z|exe|dmg|mp3|mp4|webm|ogg|wav|woff2?|ttf|otf|eot)$/i;
+
+function toPatternList(patterns) {
+    if (!patterns) return [];
+    return (Array.isArray(patterns) ? patterns : [patterns])
+        .map(p => (p instanceof RegExp ? p : new RegExp(String(p))));
+}
+
+/**
+ * Normalizes crawl options. Without `crawl: true` only the start page is fetched,
+ * plus any pages seeded from a sitemap when `sitemap` is set.
+ * @param {object} options - { crawl, sitemap, maxDepth, maxPages, include, exclude }
+ * @returns {{maxDepth: number, maxPages: number, inScope: function(string): boolean}}
+ */
+function resolveCrawlOptions(options = {}) {
+    if (!options.crawl && !options.sitemap) {
+        return { maxDepth: 0, maxPages: 1, inScope: () => false };
+    }
+
+    let maxDepth = 0;
+    if (options.crawl) {
+        maxDepth = Number.isInteger(options.maxDepth) && options.maxDepth >= 0 ? options.maxDepth : DEFAULT_MAX_DEPTH;
+    }
+    const maxPages = Number.isInteger(options.maxPages) && options.maxPages > 0 ? options.maxPages : DEFAULT_MAX_PAGES;
+    const include = toPatternList(options.include);
+    const exclude = toPatternList(options.exclude);
+
+    const inScope = (url) => {
+        if (include.length > 0 && !include.some(re => re.test(url))) return false;
+        return !exclude.some(re => re.test(url));
+    };
+
+    return { maxDepth, maxPages, inScope };
+}
+
+/**
+ * Canonical form of a page URL used as its identity (fragment dropped)
+ */
+function normalizePageUrl(urlStr) {
+    const u = new URL(urlStr);
+    u.hash = '';
+    return u.href;
+}
+
+/**
+ * Collects same-origin links from <a href> that look like pages
+ * @param {import('cheerio').CheerioAPI} $ - Loaded page
+ * @param {string} pageUrl - URL the page was fetched from
+ * @returns {string[]} Normalized, de-duplicated page URLs
+ */
+function extractPageLinks($, pageUrl) {
+    const origin = new URL(pageUrl).origin;
+    const baseUrl = documentBaseUrl($, pageUrl);
+    const links = new Set();
+
+    $('a[href]').each((i, el) => {
+        const href = $(el).attr('href');
+        if (!href || href.startsWith('#')) return;
+        try {
+            const u = new URL(href, baseUrl);
+            if (!['http:', 'https:'].includes(u.protocol) || u.origin !== origin) return;
+            if (NON_PAGE_EXTENSIONS.test(u.pathname)) return;
+            links.add(normalizePageUrl(u.href));
+        } catch (e) {
+            // Invalid URL - skip
+        }
+    });
+
+    return Array.from(links);
+}
+
+/**
+ * Maps a page URL to a clone-relative HTML path that mirrors the URL
+ * ("/" -> "index.html", "/about" -> "about.html", "/docs/" -> "docs/index.html").
+ * Paths already in `usedPaths` get a numeric suffix.
+ */
+function pagePathForUrl(urlStr, usedPaths = new Set()) {
+    const u = new URL(urlStr);
+    const segments = u.pathname.split('/')
+        .map(s => { try { return decodeURIComponent(s); } catch (e) { return s; } })
+        .filter(s => s && s !== '.' && s !== '..')
+        .map(s => safeFilename(s.replace(/\//g, '_')));
+
+    let rel;
+    if (segments.length === 0 || u.pathname.endsWith('/')) {
+        rel = [...segments, 'index.html'].join('/');
+    } else {
+        const last = segments.pop();
+        const name = /\.html?$/i.test(last) ? last : `${last}.html`;
+        rel = [...segments, name].join('/');
+    }
+
+    if (u.search) {
+        rel = rel.replace(/(\.html?)$/i, `_${safeFilename(u.search.slice(1)).replace(/[/&=]/g, '_')}$1`);
+    }
+
+    let candidate = rel;
+    for (let n = 1; usedPaths.has(candidate); n++) {
+        candidate = rel.replace(/(\.html?)$/i, `_${n}$1`);
+    }
+    return candidate;
+}
+
+export { resolveCrawlOptions, normalizePageUrl, extractPageLinks, pagePathForUrl };
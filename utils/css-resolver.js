@@ -0,0 +1,123 @@
+/**
+ * Recursive stylesheet resolver - downloads everything a cloned stylesheet references,
+ * follows @import chains into further stylesheets and rewrites every reference to
+ * the local copy. Each stylesheet is processed once, so import cycles terminate. Downloads
+ * start all at once and are limited by the caller's fetchAsset (the download scheduler).
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { extractCssUrls, rewriteCssUrls } from './css-urls.js';
+import { relativeLink, toPosix } from './paths.js';
+
+function resolveCssRef(ref, stylesheetUrl) {
+    try {
+        const u = new URL(ref, stylesheetUrl);
+        if (!['http:', 'https:'].includes(u.protocol)) return null;
+        const hash = u.hash;
+        u.hash = '';
+        return { url: u.href, hash };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * @param {string[]} stylesheetUrls - Downloaded stylesheets to start from (keys of urlToLocal)
+ * @param {object} ctx
+ * @param {string} ctx.outDir - Clone directory
+ * @param {Object<string, string>} ctx.urlToLocal - URL -> clone-relative path, updated in place
+ * @param {function(string, string, string): Promise<object|null>} ctx.fetchAsset - (url, referer, type)
+ *        downloads an asset; resolves to { ok, outPath } or null when the URL may not be fetched
+ * @param {function(string): boolean} [ctx.isRewritten] - Stylesheets already rewritten by an earlier run
+ * @param {function(string): Promise<void>} [ctx.onRewritten] - Called after a stylesheet is rewritten
+ * @param {function(object, string): (string|undefined)} [ctx.fallbackFor] - (ref, stylesheetPath) replacement
+ *        for a reference that has no local copy, or undefined to keep it
+ * @param {AbortSignal} [ctx.signal] - Stops between stylesheets and rejects with its reason
+ * @returns {Promise<{processed: number, failed: string[]}>}
+ */
+async function resolveStylesheets(stylesheetUrls, ctx) {
+    const {
+        outDir,
+        urlToLocal,
+        fetchAsset,
+        isRewritten = () => false,
+        onRewritten = async () => {},
+        fallbackFor = () => undefined,
+        signal
+    } = ctx;
+    const visited = new Set();
+    const failed = [];
+    let processed = 0;
+
+    // One download per URL, even when several stylesheets reference it at once
+    const downloads = new Map();
+    const download = (url, referer, type) => {
+        if (!downloads.has(url)) {
+            downloads.set(url, fetchAsset(url, referer, type).then((r) => {
+                if (r?.ok) {
+                    urlToLocal[url] = toPosix(path.relative(outDir, r.outPath));
+                } else if (r) {
+                    console.warn(`❌ Failed: ${url} - ${r.error}`);
+                    failed.push(url);
+                }
+            }));
+        }
+        return downloads.get(url);
+    };
+
+    // Downloads what a stylesheet references and rewrites it; resolves to the stylesheets it imports
+    async function processSheet(sheetUrl) {
+        const localPath = urlToLocal[sheetUrl];
+        if (!localPath || isRewritten(sheetUrl)) return [];
+
+        try {
+            const cssFullPath = path.join(outDir, localPath);
+            const css = await fs.readFile(cssFullPath, 'utf8');
+
+            // All references at once; the caller's scheduler limits the downloads
+            const refs = extractCssUrls(css)
+                .map(ref => ({ ref, resolved: resolveCssRef(ref.url, sheetUrl) }))
+                .filter(({ resolved }) => resolved);
+            await Promise.all(refs
+                .filter(({ resolved }) => !urlToLocal[resolved.url])
+                .map(({ ref, resolved }) => download(resolved.url, sheetUrl, ref.type)));
+            const imports = refs
+                .filter(({ ref, resolved }) => urlToLocal[resolved.url] &&
+                    (ref.type === 'stylesheet' || urlToLocal[resolved.url].endsWith('.css')))
+                .map(({ resolved }) => resolved.url);
+
+            const rewritten = rewriteCssUrls(css, (ref) => {
+                const resolved = resolveCssRef(ref.url, sheetUrl);
+                if (!resolved) return undefined;
+                const target = urlToLocal[resolved.url];
+                if (target) return relativeLink(localPath, target) + resolved.hash;
+                return fallbackFor({ url: resolved.url, type: ref.type, context: 'css' }, localPath);
+            });
+
+            if (rewritten !== css) {
+                await fs.writeFile(cssFullPath, rewritten, 'utf8');
+            }
+            processed++;
+            await onRewritten(sheetUrl);
+            return imports;
+        } catch (e) {
+            signal?.throwIfAborted();
+            console.error(`CSS processing failed: ${sheetUrl} - ${e.message}`);
+            return [];
+        }
+    }
+
+    // Stylesheets are handled a level of @imports at a time, each level all at once
+    let level = [...stylesheetUrls];
+    while (level.length > 0) {
+        signal?.throwIfAborted();
+        // Already handled, or an @import cycle
+        const sheets = [...new Set(level)].filter(url => !visited.has(url));
+        sheets.forEach(url => visited.add(url));
+        level = (await Promise.all(sheets.map(processSheet))).flat();
+    }
+
+    return { processed, failed };
+}
+
+export { resolveStylesheets };
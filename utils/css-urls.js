@@ -0,0 +1,100 @@
+/**
+ * CSS reference scanning - finds url(...), @import and image-set() references
+ * in CSS text and rewrites them in place. Comments are skipped.
+ */
+
+// comment | @import "x" | url(x) | "string" (a reference only inside image-set())
+const CSS_TOKEN = /(\/\*[\s\S]*?\*\/)|@import\s+(["'])(.*?)\2|url\(\s*(["']?)(.*?)\4\s*\)|(["'])((?:\\.|(?!\6)[^\\\n])*)\6/gi;
+const FONT_FACE_BLOCK = /@font-face\s*\{[^}]*\}/gi;
+const IMAGE_SET_START = /(?:-webkit-)?image-set\(/gi;
+
+function isExternalRef(ref) {
+    const value = ref.trim();
+    return value !== '' && !value.startsWith('#') && !/^(?:data|about|blob|javascript):/i.test(value);
+}
+
+function fontFaceRanges(css) {
+    const ranges = [];
+    let m;
+    FONT_FACE_BLOCK.lastIndex = 0;
+    while ((m = FONT_FACE_BLOCK.exec(css)) !== null) {
+        ranges.push([m.index, m.index + m[0].length]);
+    }
+    return ranges;
+}
+
+// Top level of image-set() argument lists, where bare strings are image URLs
+// (strings nested deeper, as in type("image/avif"), are not)
+function imageSetRanges(css) {
+    const ranges = [];
+    let m;
+    IMAGE_SET_START.lastIndex = 0;
+    while ((m = IMAGE_SET_START.exec(css)) !== null) {
+        let depth = 1;
+        let segmentStart = m.index + m[0].length;
+        for (let i = segmentStart; i < css.length && depth > 0; i++) {
+            if (css[i] === '(') {
+                if (depth === 1) ranges.push([segmentStart, i]);
+                depth++;
+            } else if (css[i] === ')') {
+                depth--;
+                if (depth === 1) segmentStart = i + 1;
+                else if (depth === 0) ranges.push([segmentStart, i]);
+            }
+        }
+    }
+    return ranges;
+}
+
+const inRanges = (ranges, offset) => ranges.some(([start, end]) => offset >= start && offset < end);
+
+/**
+ * Calls mapRef for every reference; a string result replaces the reference.
+ * References are typed 'stylesheet' (@import), 'font' (inside @font-face) or 'image'.
+ * @param {string} css - CSS text
+ * @param {function({url: string, type: string}): (string|undefined)} mapRef
+ * @returns {string} CSS with replacements applied
+ */
+function rewriteCssUrls(css, mapRef) {
+    const text = String(css ?? '');
+    const fonts = fontFaceRanges(text);
+    const imageSets = imageSetRanges(text);
+
+    return text.replace(CSS_TOKEN, (match, comment, importQuote, importUrl, quote, url, strQuote, str, offset) => {
+        if (comment !== undefined) return match;
+
+        if (str !== undefined) {
+            if (!inRanges(imageSets, offset) || !isExternalRef(str)) return match;
+            const replacement = mapRef({ url: str.trim(), type: 'image' });
+            return typeof replacement === 'string' ? `${strQuote}${replacement}${strQuote}` : match;
+        }
+
+        if (importUrl !== undefined) {
+            if (!isExternalRef(importUrl)) return match;
+            const replacement = mapRef({ url: importUrl.trim(), type: 'stylesheet' });
+            return typeof replacement === 'string' ? `@import ${importQuote}${replacement}${importQuote}` : match;
+        }
+
+        if (!isExternalRef(url)) return match;
+        let type = 'image';
+        if (/@import\s*$/i.test(text.slice(Math.max(0, offset - 20), offset))) type = 'stylesheet';
+        else if (inRanges(fonts, offset)) type = 'font';
+
+        const replacement = mapRef({ url: url.trim(), type });
+        if (typeof replacement !== 'string') return match;
+        const q = quote || (/[\s'"()]/.test(replacement) ? "'" : '');
+        return `url(${q}${replacement}${q})`;
+    });
+}
+
+/**
+ * @param {string} css - CSS text
+ * @returns {Array<{url: string, type: string}>} References in document order
+ */
+function extractCssUrls(css) {
+    const refs = [];
+    rewriteCssUrls(css, (ref) => { refs.push(ref); });
+    return refs;
+}
+
+export { extractCssUrls, rewriteCssUrls };
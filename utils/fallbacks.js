@@ -0,0 +1,117 @@
+/**
+ * Failed asset fallbacks - what a reference to an asset that could not be cloned becomes,
+ * and the failures report (<clone>/.clone/failures.json) listing every one of them.
+ *
+ * Strategies:
+ *   keep        - point at the original absolute URL (the clone still loads it from the web)
+ *   placeholder - point images at a local SVG placeholder of the element's size (default);
+ *                 other asset types keep their original URL
+ *   blank       - empty the attribute; image references in srcset and CSS get a transparent
+ *                 pixel, other CSS references keep their original URL
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { MANIFEST_DIR } from './manifest.js';
+import { relativeLink } from './paths.js';
+
+const FALLBACK_STRATEGIES = ['keep', 'placeholder', 'blank'];
+const PLACEHOLDER_DIR = 'assets/_placeholders';
+const DEFAULT_SIZE = { width: 400, height: 300 };
+const BLANK_PIXEL = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+const IMAGE_TYPES = new Set(['image', 'icon']);
+
+function placeholderSvg(width, height) {
+    const fontSize = Math.max(10, Math.min(32, Math.round(Math.min(width, height) / 8)));
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<rect width="100%" height="100%" fill="#EEE"/>` +
+        `<text x="50%" y="50%" fill="#31343C" font-family="sans-serif" font-size="${fontSize}" ` +
+        `text-anchor="middle" dominant-baseline="middle">Failed to load</text></svg>\n`;
+}
+
+function pixelSize(value, fallback) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n > 0 && n <= 10000 ? n : fallback;
+}
+
+class FailureReport {
+    /**
+     * @param {string} [strategy] - One of FALLBACK_STRATEGIES
+     */
+    constructor(strategy = 'placeholder') {
+        if (!FALLBACK_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown failed asset fallback "${strategy}". Available: ${FALLBACK_STRATEGIES.join(', ')}`);
+        }
+        this.strategy = strategy;
+        this.failures = new Map();
+        this.placeholders = new Set();
+    }
+
+    get size() {
+        return this.failures.size;
+    }
+
+    /**
+     * Records an asset that could not be cloned
+     */
+    record(url, { type = null, error }) {
+        if (!this.failures.has(url)) {
+            this.failures.set(url, { url, type, error, fallback: null, references: [] });
+        }
+    }
+
+    /**
+     * Replacement for a reference to a failed asset, or undefined if the asset did not fail.
+     * Every call is listed in the report.
+     * @param {object} ref - { url, type, context, attr } (see html-assets.js / css-urls.js)
+     * @param {object} where - { file: clone-relative path of the referencing file, width, height }
+     * @returns {string|undefined}
+     */
+    fallbackFor(ref, { file, width, height } = {}) {
+        const failure = this.failures.get(ref.url);
+        if (!failure) return undefined;
+
+        let replacement = ref.url;
+        let fallback = 'keep';
+        const isImage = IMAGE_TYPES.has(ref.type || failure.type);
+        if (this.strategy === 'placeholder' && isImage) {
+            const w = pixelSize(width, DEFAULT_SIZE.width);
+            const h = pixelSize(height, DEFAULT_SIZE.height);
+            const rel = `${PLACEHOLDER_DIR}/${w}x${h}.svg`;
+            this.placeholders.add(rel);
+            replacement = relativeLink(file, rel);
+            fallback = 'placeholder';
+        } else if (this.strategy === 'blank' && (ref.context === 'attr' || isImage)) {
+            replacement = ref.context === 'attr' ? '' : BLANK_PIXEL;
+            fallback = 'blank';
+        }
+
+        failure.fallback = failure.fallback && failure.fallback !== fallback ? 'mixed' : fallback;
+        failure.references.push({ file, context: ref.context || 'css', attr: ref.attr || null, replacement });
+        return replacement;
+    }
+
+    /**
+     * Writes the placeholder images used and <clone>/.clone/failures.json
+     * @param {string} outDir - Clone directory
+     * @returns {Promise<string>} Report path
+     */
+    async save(outDir) {
+        for (const rel of this.placeholders) {
+            const [width, height] = path.basename(rel, '.svg').split('x').map(Number);
+            const target = path.join(outDir, rel);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, placeholderSvg(width, height), 'utf8');
+        }
+
+        const reportPath = path.join(outDir, MANIFEST_DIR, 'failures.json');
+        await fs.mkdir(path.dirname(reportPath), { recursive: true });
+        await fs.writeFile(reportPath, JSON.stringify({
+            strategy: this.strategy,
+            generatedAt: new Date().toISOString(),
+            failures: Array.from(this.failures.values())
+        }, null, 2), 'utf8');
+        return reportPath;
+    }
+}
+
+export { FALLBACK_STRATEGIES, FailureReport, placeholderSvg };
@@ -0,0 +1,222 @@
+/**
+ * HTML asset references - finds every asset a page references and classifies it
+ * by type. Extraction and rewriting share one traversal so they always agree.
+ *
+ * Reference types: stylesheet, script, image, font, media, icon, manifest, document, data, other
+ */
+import { rewriteCssUrls } from './css-urls.js';
+
+const ICON_RELS = new Set(['icon', 'apple-touch-icon', 'apple-touch-icon-precomposed', 'mask-icon', 'fluid-icon']);
+
+// <link rel=preload|prefetch as=...>
+const PRELOAD_AS_TYPES = {
+    style: 'stylesheet',
+    script: 'script',
+    worker: 'script',
+    font: 'font',
+    image: 'image',
+    audio: 'media',
+    video: 'media',
+    track: 'media',
+    fetch: 'data',
+    document: 'document'
+};
+
+// Meta tags whose content is an asset URL (keyed by property, name or itemprop)
+const META_URL_TYPES = {
+    'og:image': 'image',
+    'og:image:url': 'image',
+    'og:image:secure_url': 'image',
+    'og:video': 'media',
+    'og:video:url': 'media',
+    'og:video:secure_url': 'media',
+    'og:audio': 'media',
+    'og:audio:url': 'media',
+    'og:audio:secure_url': 'media',
+    'twitter:image': 'image',
+    'twitter:image:src': 'image',
+    'msapplication-tileimage': 'image',
+    'msapplication-square70x70logo': 'image',
+    'msapplication-square150x150logo': 'image',
+    'msapplication-wide310x150logo': 'image',
+    'msapplication-square310x310logo': 'image',
+    'thumbnail': 'image',
+    'image': 'image'
+};
+
+function linkType($el) {
+    const rels = ($el.attr('rel') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (rels.includes('stylesheet')) return 'stylesheet';
+    if (rels.some(r => ICON_RELS.has(r))) return 'icon';
+    if (rels.includes('manifest')) return 'manifest';
+    if (rels.includes('modulepreload')) return 'script';
+    if (rels.includes('preload') || rels.includes('prefetch')) {
+        return PRELOAD_AS_TYPES[($el.attr('as') || '').toLowerCase()] || 'other';
+    }
+    // canonical, alternate, next, preconnect, dns-prefetch, ... are not assets
+    return null;
+}
+
+function lazyType($el) {
+    const tag = ($el.get(0).tagName || '').toLowerCase();
+    if (tag === 'iframe') return 'document';
+    if (['video', 'audio', 'source', 'track'].includes(tag)) return 'media';
+    return 'image';
+}
+
+function metaType($el) {
+    const key = ($el.attr('property') || $el.attr('name') || $el.attr('itemprop') || '').toLowerCase();
+    return META_URL_TYPES[key] || null;
+}
+
+const ATTRIBUTE_RULES = [
+    { selector: 'link[href]', attr: 'href', type: linkType },
+    { selector: 'script[src]', attr: 'src', type: 'script' },
+    { selector: 'img[src]', attr: 'src', type: 'image' },
+    { selector: 'img[srcset]', attr: 'srcset', srcset: true, type: 'image' },
+    { selector: 'source[srcset]', attr: 'srcset', srcset: true, type: 'image' },
+    { selector: 'source[src], audio[src], video[src], track[src]', attr: 'src', type: 'media' },
+    { selector: 'video[poster]', attr: 'poster', type: 'image' },
+    { selector: 'input[type="image"][src]', attr: 'src', type: 'image' },
+    { selector: 'iframe[src], embed[src]', attr: 'src', type: 'document' },
+    { selector: 'object[data]', attr: 'data', type: 'document' },
+    { selector: 'use[href], image[href]', attr: 'href', type: 'image' },
+    { selector: 'use[xlink\\:href], image[xlink\\:href]', attr: 'xlink:href', type: 'image' },
+    { selector: '[data-src]', attr: 'data-src', type: lazyType },
+    { selector: '[data-srcset]', attr: 'data-srcset', srcset: true, type: 'image' },
+    { selector: 'meta[content]', attr: 'content', type: metaType }
+];
+
+/**
+ * Splits a srcset into candidates; URLs may contain commas (e.g. image CDN transforms)
+ * @returns {Array<{url: string, descriptors: string}>}
+ */
+function parseSrcset(value) {
+    const candidates = [];
+    let i = 0;
+    while (i < value.length) {
+        while (i < value.length && /[\s,]/.test(value[i])) i++;
+        if (i >= value.length) break;
+
+        let start = i;
+        while (i < value.length && !/\s/.test(value[i])) i++;
+        let url = value.slice(start, i);
+        let descriptors = '';
+        if (url.endsWith(',')) {
+            url = url.replace(/,+$/, '');
+        } else {
+            start = i;
+            while (i < value.length && value[i] !== ',') i++;
+            descriptors = value.slice(start, i).trim();
+        }
+        candidates.push({ url, descriptors });
+    }
+    return candidates;
+}
+
+// Relative URLs resolve against <base href> when the page has one
+function documentBaseUrl($, pageUrl) {
+    const baseHref = $('base[href]').first().attr('href');
+    if (!baseHref) return pageUrl;
+    try {
+        return new URL(baseHref, pageUrl).href;
+    } catch (e) {
+        return pageUrl;
+    }
+}
+
+/**
+ * Visits every asset reference in a page in document-rule order.
+ * visit(ref) may return a string to replace the reference; the URL fragment
+ * of the original (e.g. sprite.svg#icon) is kept on the replacement.
+ *
+ * ref: { url, hash, raw, type, tag, attr, element, context: 'attr'|'srcset'|'style'|'style-attr' }
+ * `url` is absolute (http/https only) and has no fragment.
+ */
+function visitAssetRefs($, pageUrl, visit) {
+    const baseUrl = documentBaseUrl($, pageUrl);
+
+    const makeRef = (raw, props) => {
+        const value = String(raw || '').trim();
+        if (!value || value.startsWith('#') || /^(?:data|javascript|mailto|tel|blob|about):/i.test(value)) return null;
+        try {
+            const u = new URL(value, baseUrl);
+            if (!['http:', 'https:'].includes(u.protocol)) return null;
+            const hash = u.hash;
+            u.hash = '';
+            return { url: u.href, hash, raw: value, ...props };
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const apply = (ref) => {
+        const replacement = visit(ref);
+        return typeof replacement === 'string' ? replacement + ref.hash : undefined;
+    };
+
+    for (const rule of ATTRIBUTE_RULES) {
+        $(rule.selector).each((i, el) => {
+            const $el = $(el);
+            const value = $el.attr(rule.attr);
+            if (!value) return;
+            const type = typeof rule.type === 'function' ? rule.type($el) : rule.type;
+            if (!type) return;
+
+            const props = { type, tag: (el.tagName || '').toLowerCase(), attr: rule.attr, element: el };
+            if (rule.srcset) {
+                let changed = false;
+                const candidates = parseSrcset(value).map(({ url, descriptors }) => {
+                    const ref = makeRef(url, { ...props, context: 'srcset' });
+                    const replacement = ref ? apply(ref) : undefined;
+                    if (replacement !== undefined) changed = true;
+                    return [replacement ?? url, descriptors].filter(Boolean).join(' ');
+                });
+                if (changed) $el.attr(rule.attr, candidates.join(', '));
+            } else {
+                const ref = makeRef(value, { ...props, context: 'attr' });
+                const replacement = ref ? apply(ref) : undefined;
+                if (replacement !== undefined) $el.attr(rule.attr, replacement);
+            }
+        });
+    }
+
+    // Inline CSS: <style> blocks and style="" attributes
+    $('style').each((i, el) => {
+        const css = $(el).text();
+        const rewritten = rewriteCssUrls(css, (cssRef) => {
+            const ref = makeRef(cssRef.url, { type: cssRef.type, tag: 'style', attr: null, element: el, context: 'style' });
+            return ref ? apply(ref) : undefined;
+        });
+        if (rewritten !== css) $(el).text(rewritten);
+    });
+
+    $('[style]').each((i, el) => {
+        const css = $(el).attr('style');
+        const rewritten = rewriteCssUrls(css, (cssRef) => {
+            const ref = makeRef(cssRef.url, { type: cssRef.type, tag: (el.tagName || '').toLowerCase(), attr: 'style', element: el, context: 'style-attr' });
+            return ref ? apply(ref) : undefined;
+        });
+        if (rewritten !== css) $(el).attr('style', rewritten);
+    });
+}
+
+/**
+ * @param {import('cheerio').CheerioAPI} $ - Loaded page
+ * @param {string} pageUrl - URL the page was fetched from
+ * @returns {Array<object>} Every asset reference (see visitAssetRefs), duplicates included
+ */
+function extractAssetRefs($, pageUrl) {
+    const refs = [];
+    visitAssetRefs($, pageUrl, (ref) => { refs.push(ref); });
+    return refs;
+}
+
+/**
+ * Rewrites asset references in place. mapRef(ref) returns the new URL or undefined to keep it.
+ */
+function rewriteAssetRefs($, pageUrl, mapRef) {
+    visitAssetRefs($, pageUrl, mapRef);
+}
+
+export { parseSrcset, documentBaseUrl, extractAssetRefs, rewriteAssetRefs };
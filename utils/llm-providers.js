@@ -0,0 +1,278 @@
+/**
+ * LLM providers - how WorkflowOrchestrator gets a completion.
+ *
+ * A provider is any object with:
+ *   name
+ *   supportsTools       - true if it can do native function calling
+ *   generate(messages, { temperature, maxOutputTokens, tools }) -> Promise<string | { text, toolCalls }>
+ *   lastUsage           - token counts of the latest generate(): { promptTokens, outputTokens, totalTokens } or null
+ * `messages` is the conversation: [{ role: 'system'|'user'|'assistant'|'developer'|'tool', content }].
+ * With `tools` (declarations from ToolRegistry) the result is { text, toolCalls: [{ id, name, args }] };
+ * the calls go back into the conversation as an assistant message with `toolCalls` followed by
+ * one { role: 'tool', toolCallId, name, content } message per call.
+ *
+ * Adapters: gemini (Google AI Studio), openai (any OpenAI-compatible /chat/completions
+ * endpoint, e.g. a local model server) and mock (replays canned responses from a file).
+ */
+import axios from 'axios';
+import fs from 'fs/promises';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const DEFAULT_GENERATION = { temperature: 0.0, maxOutputTokens: 4000 };
+
+// Gemini takes an OpenAPI-style schema subset with upper-case type names
+const GEMINI_SCHEMA_KEYS = ['description', 'enum', 'properties', 'required', 'items', 'nullable', 'format'];
+function toGeminiSchema(schema) {
+    const out = {};
+    if (schema.type) out.type = String([].concat(schema.type)[0]).toUpperCase();
+    for (const key of GEMINI_SCHEMA_KEYS) {
+        if (schema[key] === undefined) continue;
+        if (key === 'properties') {
+            out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+        } else if (key === 'items') {
+            out.items = toGeminiSchema(schema.items);
+        } else {
+            out[key] = schema[key];
+        }
+    }
+    if (out.type === 'INTEGER' && out.format) delete out.format;
+    return out;
+}
+
+class GeminiProvider {
+    /**
+     * @param {object} options - { apiKey, model }
+     */
+    constructor({ apiKey, model = 'gemini-1.5-flash' } = {}) {
+        if (!apiKey) throw new Error('GEMINI_API_KEY is required for the gemini provider.');
+        this.name = 'gemini';
+        this.supportsTools = true;
+        this.lastUsage = null;
+        this.model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+        this.turns = 0;
+    }
+
+    toContent(m) {
+        if (m.role === 'tool') {
+            return { role: 'function', parts: [{ functionResponse: { name: m.name, response: { content: m.content } } }] };
+        }
+        const parts = m.content ? [{ text: m.content }] : [];
+        for (const call of m.toolCalls || []) parts.push({ functionCall: { name: call.name, args: call.args } });
+        return { role: m.role === 'assistant' ? 'model' : 'user', parts };
+    }
+
+    async generate(messages, { temperature, maxOutputTokens, tools } = DEFAULT_GENERATION) {
+        // Gemini takes the system prompt as systemInstruction, not as a conversation turn
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        // The results of one turn's calls go back together: one function content with a
+        // functionResponse part per functionCall part
+        const contents = [];
+        for (const m of messages.filter(m => m.role !== 'system')) {
+            const content = this.toContent(m);
+            const previous = contents.at(-1);
+            if (m.role === 'tool' && previous?.role === 'function') previous.parts.push(...content.parts);
+            else contents.push(content);
+        }
+        const request = {
+            contents,
+            generationConfig: { temperature, maxOutputTokens },
+        };
+        if (system) request.systemInstruction = system;
+        if (tools) {
+            request.tools = [{
+                functionDeclarations: tools.map(t => ({ name: t.name, description: t.description, parameters: toGeminiSchema(t.parameters) }))
+            }];
+        }
+
+        const turn = this.turns++;
+        const result = await this.model.generateContent(request);
+        const usage = result.response?.usageMetadata;
+        this.lastUsage = usage
+            ? { promptTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount, totalTokens: usage.totalTokenCount }
+            : null;
+        const parts = result.response?.candidates?.[0]?.content?.parts || [];
+        if (!tools) return parts[0]?.text || JSON.stringify(result.response);
+
+        return {
+            text: parts.filter(p => p.text).map(p => p.text).join(''),
+            toolCalls: parts.filter(p => p.functionCall).map((p, i) => ({
+                id: `call_${turn}_${i}`,
+                name: p.functionCall.name,
+                args: p.functionCall.args || {}
+            }))
+        };
+    }
+}
+
+class OpenAICompatibleProvider {
+    /**
+     * @param {object} options - { baseUrl, apiKey, model, timeout }
+     */
+    constructor({ baseUrl = 'https://api.openai.com/v1', apiKey = '', model, timeout = 120000 } = {}) {
+        if (!model) throw new Error('A model name is required for the openai provider (LLM_MODEL).');
+        this.name = 'openai';
+        this.supportsTools = true;
+        this.lastUsage = null;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeout = timeout;
+    }
+
+    toMessage(m) {
+        if (m.role === 'tool') return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+        if (m.toolCalls?.length) {
+            return {
+                role: 'assistant',
+                content: m.content || null,
+                tool_calls: m.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.args) }
+                }))
+            };
+        }
+        // Observations use the 'developer' role, which many servers do not know
+        return { role: m.role === 'developer' ? 'user' : m.role, content: m.content };
+    }
+
+    async generate(messages, { temperature, maxOutputTokens, tools } = DEFAULT_GENERATION) {
+        const body = {
+            model: this.model,
+            messages: messages.map(m => this.toMessage(m)),
+            temperature,
+            max_tokens: maxOutputTokens
+        };
+        if (tools) {
+            body.tools = tools.map(t => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters } }));
+        }
+        const res = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+            timeout: this.timeout,
+            headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+        });
+
+        const usage = res.data?.usage;
+        this.lastUsage = usage
+            ? { promptTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens, totalTokens: usage.total_tokens }
+            : null;
+        const message = res.data?.choices?.[0]?.message;
+        const toolCalls = message?.tool_calls || [];
+        if (typeof message?.content !== 'string' && toolCalls.length === 0) {
+            throw new Error(`Unexpected response from ${this.baseUrl}: ${JSON.stringify(res.data).slice(0, 200)}`);
+        }
+        if (!tools) return message.content;
+
+        return {
+            text: message.content || '',
+            toolCalls: toolCalls.map(call => {
+                let args;
+                try {
+                    args = JSON.parse(call.function.arguments || '{}');
+                } catch (e) {
+                    // Passed on as is; the tool registry reports it as invalid input
+                    args = call.function.arguments;
+                }
+                return { id: call.id, name: call.function.name, args };
+            })
+        };
+    }
+}
+
+/**
+ * Replays canned responses in order, for offline and deterministic runs.
+ * The file holds a JSON array. `{ text, toolCalls: [{ name, args }] }` entries are native
+ * tool calls; other strings are returned as is and anything else as JSON text.
+ */
+class MockProvider {
+    /**
+     * @param {object} options - { file } or { responses }
+     */
+    constructor({ file, responses } = {}) {
+        if (!file && !responses) throw new Error('The mock provider needs a responses file (MOCK_RESPONSES_FILE).');
+        this.name = 'mock';
+        this.supportsTools = true;
+        this.lastUsage = null;
+        this.file = file;
+        this.responses = responses || null;
+        this.calls = [];
+    }
+
+    async generate(messages, { tools } = {}) {
+        if (!this.responses) {
+            const parsed = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            if (!Array.isArray(parsed)) throw new Error(`${this.file} must contain a JSON array of responses.`);
+            this.responses = parsed;
+        }
+        const index = this.calls.length;
+        this.calls.push(messages.map(m => ({ ...m })));
+        if (index >= this.responses.length) {
+            throw new Error(`Mock provider has no response #${index + 1} (${this.responses.length} available).`);
+        }
+        const response = this.responses[index];
+        const isTurn = response && typeof response === 'object' && ('toolCalls' in response || 'text' in response);
+        if (isTurn && tools) {
+            return {
+                text: response.text || '',
+                toolCalls: (response.toolCalls || []).map((call, i) => ({ id: call.id || `call_${index}_${i}`, name: call.name, args: call.args ?? {} }))
+            };
+        }
+        if (isTurn) return response.text || '';
+        return typeof response === 'string' ? response : JSON.stringify(response);
+    }
+}
+
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider,
+    mock: MockProvider
+};
+
+/**
+ * @param {string|object} provider - 'gemini', 'openai', 'mock' or a provider object
+ * @param {object} [options] - Passed to the provider constructor
+ * @returns {object} Provider
+ */
+function createProvider(provider, options = {}) {
+    if (provider && typeof provider === 'object') {
+        if (typeof provider.generate !== 'function') throw new Error('A custom LLM provider must implement generate(messages, options).');
+        return provider;
+    }
+    const ProviderClass = PROVIDERS[String(provider).toLowerCase()];
+    if (!ProviderClass) {
+        throw new Error(`Unknown LLM provider "${provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new ProviderClass(options);
+}
+
+/**
+ * Provider for the `llm` section of the config (see utils/config.js), or null when the AI
+ * workflow is off. API keys only come from the environment.
+ * @param {object} llm - { provider, model, baseUrl, mockResponsesFile }
+ * @param {object} [env] - Environment holding GEMINI_API_KEY / OPENAI_API_KEY
+ */
+function providerFromConfig({ provider, model, baseUrl, mockResponsesFile } = {}, env = process.env) {
+    const name = String(provider || '').toLowerCase();
+    if (!name) return null;
+
+    const options = {
+        gemini: { apiKey: env.GEMINI_API_KEY, model: model || undefined },
+        openai: { baseUrl: baseUrl || undefined, apiKey: env.OPENAI_API_KEY, model: model || undefined },
+        mock: { file: mockResponsesFile || undefined }
+    }[name] || {};
+    return createProvider(name, options);
+}
+
+/**
+ * Provider configured by environment variables alone.
+ * LLM_PROVIDER picks the adapter; without it, USE_GOOGLE=true selects gemini.
+ */
+function providerFromEnv(env = process.env) {
+    return providerFromConfig({
+        provider: env.LLM_PROVIDER || (env.USE_GOOGLE === 'true' ? 'gemini' : ''),
+        model: env.LLM_MODEL,
+        baseUrl: env.OPENAI_BASE_URL,
+        mockResponsesFile: env.MOCK_RESPONSES_FILE
+    }, env);
+}
+
+export { GeminiProvider, OpenAICompatibleProvider, MockProvider, createProvider, providerFromConfig, providerFromEnv };
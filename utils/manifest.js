@@ -0,0 +1,169 @@
+/**
+ * Clone manifest - records every page and asset of a clone as it is downloaded
+ * so an interrupted clone can be resumed and a finished one re-synced.
+ * Lives in <clone>/.clone/, which express.static never serves (dotfiles are ignored).
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileExists } from './paths.js';
+
+const MANIFEST_DIR = '.clone';
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+// RegExp options do not survive JSON, so they are stored as { source, flags } and rebuilt
+// by restoreOptions; per-call options are not stored
+function serializableOptions(options = {}) {
+    const toJson = (v) => (v instanceof RegExp ? { source: v.source, flags: v.flags } : v);
+    const out = {};
+    for (const [key, value] of Object.entries(options)) {
+        if (['resume', 'resync', 'signal', 'onProgress'].includes(key)) continue;
+        out[key] = Array.isArray(value) ? value.map(toJson) : toJson(value);
+    }
+    return out;
+}
+
+function restoreOptions(options = {}) {
+    const isPattern = (v) => v !== null && typeof v === 'object' && !Array.isArray(v) &&
+        Object.keys(v).length === 2 && typeof v.source === 'string' && typeof v.flags === 'string';
+    const fromJson = (v) => (isPattern(v) ? new RegExp(v.source, v.flags) : v);
+    const out = {};
+    for (const [key, value] of Object.entries(options)) {
+        out[key] = Array.isArray(value) ? value.map(fromJson) : fromJson(value);
+    }
+    return out;
+}
+
+class CloneManifest {
+    constructor(cloneDir, data) {
+        this.cloneDir = cloneDir;
+        this.data = data;
+        this.pending = Promise.resolve();
+    }
+
+    static manifestPath(cloneDir) {
+        return path.join(cloneDir, MANIFEST_DIR, MANIFEST_FILE);
+    }
+
+    static create(cloneDir, startUrl, options = {}) {
+        const now = new Date().toISOString();
+        return new CloneManifest(cloneDir, {
+            version: MANIFEST_VERSION,
+            startUrl,
+            options: serializableOptions(options),
+            status: 'in_progress',
+            createdAt: now,
+            updatedAt: now,
+            pages: {},
+            assets: {}
+        });
+    }
+
+    /**
+     * @returns {Promise<CloneManifest|null>} The manifest of a clone, or null if it has none
+     */
+    static async load(cloneDir) {
+        try {
+            const raw = await fs.readFile(CloneManifest.manifestPath(cloneDir), 'utf8');
+            const data = JSON.parse(raw);
+            if (data.version !== MANIFEST_VERSION) return null;
+            return new CloneManifest(cloneDir, data);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Finds the most recent clone of a host (clones/<host>_<timestamp>) that has a manifest
+     */
+    static async findLatest(clonesDir, hostname) {
+        let entries;
+        try {
+            entries = await fs.readdir(clonesDir, { withFileTypes: true });
+        } catch (e) {
+            return null;
+        }
+
+        const candidates = entries
+            .filter(e => e.isDirectory())
+            .map(e => ({ name: e.name, match: e.name.match(/^(.*)_(\d+)$/) }))
+            .filter(c => c.match && c.match[1] === hostname)
+            .sort((a, b) => Number(b.match[2]) - Number(a.match[2]));
+
+        for (const c of candidates) {
+            const dir = path.join(clonesDir, c.name);
+            if (await fileExists(CloneManifest.manifestPath(dir))) return dir;
+        }
+        return null;
+    }
+
+    /**
+     * The clone options the manifest was created with, RegExps rebuilt
+     */
+    options() {
+        return restoreOptions(this.data.options);
+    }
+
+    getPage(url) {
+        return this.data.pages[url] || null;
+    }
+
+    setPage(url, entry) {
+        this.data.pages[url] = { ...this.data.pages[url], ...entry };
+    }
+
+    getAsset(url) {
+        return this.data.assets[url] || null;
+    }
+
+    setAsset(url, entry) {
+        this.data.assets[url] = { ...this.data.assets[url], ...entry };
+    }
+
+    assetUrls() {
+        return Object.keys(this.data.assets);
+    }
+
+    pageCachePath(url) {
+        return path.join(this.cloneDir, MANIFEST_DIR, 'pages', `${sha256(url)}.html`);
+    }
+
+    /**
+     * Keeps the page HTML as fetched; the saved page is rewritten and cannot be re-parsed
+     */
+    async cachePageHtml(url, html) {
+        const p = this.pageCachePath(url);
+        await fs.mkdir(path.dirname(p), { recursive: true });
+        await fs.writeFile(p, html, 'utf8');
+    }
+
+    async readCachedPageHtml(url) {
+        try {
+            return await fs.readFile(this.pageCachePath(url), 'utf8');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Writes the manifest atomically; concurrent calls are serialized
+     */
+    save() {
+        this.pending = this.pending.catch(() => {}).then(async () => {
+            this.data.updatedAt = new Date().toISOString();
+            const target = CloneManifest.manifestPath(this.cloneDir);
+            const tmp = `${target}.tmp`;
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(tmp, JSON.stringify(this.data, null, 2), 'utf8');
+            await fs.rename(tmp, target);
+        });
+        return this.pending;
+    }
+}
+
+export { MANIFEST_DIR, CloneManifest, sha256 };
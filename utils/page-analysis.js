@@ -0,0 +1,237 @@
+/**
+ * Page analysis - structure, tech stack, SEO and accessibility checks for one HTML page.
+ *
+ * Every check produces findings: { rule, category, severity, message, count?, examples? }
+ * where category is 'seo' or 'accessibility' and severity one of SEVERITIES:
+ *   error   - broken for search engines or assistive technology
+ *   warning - likely to hurt ranking or usability; review before migrating
+ *   info    - worth knowing, often intentional
+ */
+import { load } from 'cheerio';
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// What each rule checks, for reports
+const RULES = {
+    'title-missing': 'Pages need a <title>',
+    'title-length': 'Titles should be 10–60 characters',
+    'description-missing': 'Pages should have a meta description',
+    'description-length': 'Meta descriptions should be 50–160 characters',
+    'canonical-missing': 'Pages should have a canonical link',
+    'canonical-multiple': 'Pages must have at most one canonical link',
+    'canonical-relative': 'Canonical links should be absolute URLs',
+    'open-graph-missing': 'Pages should have Open Graph tags',
+    'open-graph-incomplete': 'Open Graph tags should include title, description, image and url',
+    'hreflang-invalid': 'hreflang values must be language(-region) codes or x-default',
+    'hreflang-duplicate': 'Each hreflang code should be listed once',
+    'hreflang-no-default': 'hreflang alternates should include x-default',
+    'h1-missing': 'Pages should have an <h1>',
+    'h1-multiple': 'Pages should have a single <h1>',
+    'heading-order': 'Heading levels should not be skipped',
+    'html-lang': 'The <html> element needs a lang attribute',
+    'img-alt': 'Images need alt text',
+    'form-label': 'Form controls need a label',
+    'link-name': 'Links need text or an accessible name'
+};
+
+const TITLE_LENGTH = [10, 60];
+const DESCRIPTION_LENGTH = [50, 160];
+const MAX_EXAMPLES = 3;
+const HREFLANG = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+const OPEN_GRAPH_PROPERTIES = ['og:title', 'og:description', 'og:image', 'og:url'];
+const UNLABELED_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+
+/*
+ * Tech stack rules. A rule matches on any of:
+ *   src      - script src or stylesheet href (local copies keep the original file name)
+ *   selector - DOM marker
+ *   html     - raw markup
+ */
+const TECH_RULES = [
+    { name: 'React', category: 'framework', src: /(^|[/.-])react(-dom)?([.-]|$)/i, selector: '[data-reactroot], [data-reactid]' },
+    { name: 'Next.js', category: 'framework', src: /\/_next\//, selector: '#__next, script#__NEXT_DATA__' },
+    { name: 'Vue', category: 'framework', src: /(^|[/.-])vue(\.runtime|\.global)?(\.min)?\.js/i, html: /\sdata-v-[0-9a-f]{6,8}[\s=>]/ },
+    { name: 'Nuxt', category: 'framework', src: /\/_nuxt\//, selector: '#__nuxt', html: /window\.__NUXT__/ },
+    { name: 'Angular', category: 'framework', selector: '[ng-version]' },
+    { name: 'AngularJS', category: 'framework', src: /angular(\.min)?\.js/i, selector: '[ng-app], [data-ng-app]' },
+    { name: 'Svelte', category: 'framework', html: /class="[^"]*\bsvelte-[a-z0-9]{5,}/ },
+    { name: 'Gatsby', category: 'framework', selector: '#___gatsby' },
+    { name: 'Alpine.js', category: 'library', src: /alpine(js)?[.-]/i, selector: '[x-data]' },
+    { name: 'htmx', category: 'library', src: /htmx(\.min)?\.js/i, selector: '[hx-get], [hx-post]' },
+    { name: 'jQuery', category: 'library', src: /jquery([.-][\d.]+)?(\.min)?\.js/i },
+    { name: 'Bootstrap', category: 'ui', src: /bootstrap(\.bundle)?(\.min)?\.(js|css)/i },
+    { name: 'Tailwind CSS', category: 'ui', src: /tailwind/i },
+    { name: 'Font Awesome', category: 'ui', src: /font-?awesome|fontawesome/i },
+    { name: 'WordPress', category: 'cms', src: /\/wp-(content|includes)\//, selector: 'meta[name="generator"][content^="WordPress"]' },
+    { name: 'Shopify', category: 'cms', src: /cdn\.shopify\.com/, html: /Shopify\.theme/ },
+    { name: 'Google Tag Manager', category: 'analytics', src: /googletagmanager\.com/, html: /googletagmanager\.com\/gtm\.js/ },
+    { name: 'Google Analytics', category: 'analytics', src: /google-analytics\.com|gtag\/js/, html: /\bgtag\(|\bga\('create'/ }
+];
+
+function finding(rule, category, severity, message, elements = null, $ = null) {
+    const result = { rule, category, severity, message };
+    if (elements) {
+        result.count = elements.length;
+        result.examples = elements.slice(0, MAX_EXAMPLES).map(el => {
+            const markup = $.html(el).replace(/\s+/g, ' ');
+            return markup.length > 120 ? `${markup.slice(0, 120)}…` : markup;
+        });
+    }
+    return result;
+}
+
+/**
+ * Frameworks and libraries a page uses
+ * @returns {Array<{name: string, category: string, evidence: string}>}
+ */
+function detectTechStack($, html) {
+    const sources = [
+        ...$('script[src]').map((i, el) => $(el).attr('src')).get(),
+        ...$('link[rel~="stylesheet"][href], link[rel="preload"][href], link[rel="modulepreload"][href]').map((i, el) => $(el).attr('href')).get()
+    ];
+    const stack = [];
+    for (const rule of TECH_RULES) {
+        const src = rule.src && sources.find(s => rule.src.test(s));
+        let evidence = src ? `src: ${src}` : null;
+        if (!evidence && rule.selector && $(rule.selector).length > 0) evidence = `marker: ${rule.selector}`;
+        if (!evidence && rule.html && rule.html.test(html)) evidence = `markup: ${rule.html.source}`;
+        if (evidence) stack.push({ name: rule.name, category: rule.category, evidence });
+    }
+    const generator = $('meta[name="generator"]').attr('content');
+    if (generator && !stack.some(t => generator.toLowerCase().startsWith(t.name.toLowerCase()))) {
+        stack.push({ name: generator.trim(), category: 'generator', evidence: 'meta: generator' });
+    }
+    return stack;
+}
+
+function auditSeo($) {
+    const findings = [];
+    const add = (...args) => findings.push(finding(...args));
+
+    const title = $('head title').first().text().trim();
+    if (!title) add('title-missing', 'seo', 'error', 'The page has no <title>.');
+    else if (title.length < TITLE_LENGTH[0] || title.length > TITLE_LENGTH[1]) {
+        add('title-length', 'seo', 'warning', `The title is ${title.length} characters; aim for ${TITLE_LENGTH[0]}–${TITLE_LENGTH[1]}.`);
+    }
+
+    const description = ($('meta[name="description"]').attr('content') || '').trim();
+    if (!description) add('description-missing', 'seo', 'warning', 'The page has no meta description.');
+    else if (description.length < DESCRIPTION_LENGTH[0] || description.length > DESCRIPTION_LENGTH[1]) {
+        add('description-length', 'seo', 'info', `The meta description is ${description.length} characters; aim for ${DESCRIPTION_LENGTH[0]}–${DESCRIPTION_LENGTH[1]}.`);
+    }
+
+    const canonicals = $('link[rel="canonical"]').get();
+    if (canonicals.length === 0) add('canonical-missing', 'seo', 'warning', 'The page has no canonical link.');
+    else if (canonicals.length > 1) add('canonical-multiple', 'seo', 'error', `The page has ${canonicals.length} canonical links.`, canonicals, $);
+    else if (!/^https?:\/\//i.test($(canonicals[0]).attr('href') || '')) {
+        add('canonical-relative', 'seo', 'info', 'The canonical link is not an absolute URL.', canonicals, $);
+    }
+
+    const missingOg = OPEN_GRAPH_PROPERTIES.filter(p => !$(`meta[property="${p}"]`).attr('content'));
+    if (missingOg.length === OPEN_GRAPH_PROPERTIES.length) add('open-graph-missing', 'seo', 'warning', 'The page has no Open Graph tags.');
+    else if (missingOg.length > 0) add('open-graph-incomplete', 'seo', 'info', `Open Graph tags missing: ${missingOg.join(', ')}.`);
+
+    const alternates = $('link[rel="alternate"][hreflang]').get();
+    if (alternates.length > 0) {
+        const codes = alternates.map(el => $(el).attr('hreflang'));
+        const invalid = alternates.filter(el => !HREFLANG.test($(el).attr('hreflang')));
+        if (invalid.length > 0) add('hreflang-invalid', 'seo', 'error', 'Invalid hreflang codes.', invalid, $);
+        const duplicates = [...new Set(codes.filter((code, i) => codes.indexOf(code) !== i))];
+        if (duplicates.length > 0) add('hreflang-duplicate', 'seo', 'warning', `hreflang codes listed more than once: ${duplicates.join(', ')}.`);
+        if (!codes.some(code => code.toLowerCase() === 'x-default')) add('hreflang-no-default', 'seo', 'info', 'The hreflang alternates have no x-default.');
+    }
+
+    const headings = $('h1, h2, h3, h4, h5, h6').get();
+    const h1Count = headings.filter(el => el.tagName === 'h1').length;
+    if (h1Count === 0) add('h1-missing', 'seo', 'warning', 'The page has no <h1>.');
+    else if (h1Count > 1) add('h1-multiple', 'seo', 'warning', `The page has ${h1Count} <h1> elements.`);
+    const skips = [];
+    headings.forEach((el, i) => {
+        const level = Number(el.tagName[1]);
+        const previous = i > 0 ? Number(headings[i - 1].tagName[1]) : null;
+        if (previous !== null && level > previous + 1) skips.push(el);
+    });
+    if (skips.length > 0) add('heading-order', 'seo', 'warning', 'Heading levels are skipped (e.g. <h2> followed by <h4>).', skips, $);
+
+    return findings;
+}
+
+function accessibleName($, el) {
+    const $el = $(el);
+    return ($el.attr('aria-label') || $el.attr('aria-labelledby') || $el.attr('title') || '').trim();
+}
+
+function auditAccessibility($) {
+    const findings = [];
+    const add = (...args) => findings.push(finding(...args));
+
+    if (!($('html').attr('lang') || '').trim()) add('html-lang', 'accessibility', 'error', 'The <html> element has no lang attribute.');
+
+    const noAlt = $('img:not([alt]), input[type="image"]:not([alt]), area[href]:not([alt])').get();
+    if (noAlt.length > 0) add('img-alt', 'accessibility', 'error', 'Images without alt text (use alt="" for decorative images).', noAlt, $);
+
+    const labelled = new Set($('label[for]').map((i, el) => $(el).attr('for')).get());
+    const unlabeled = $('input, select, textarea').filter((i, el) => {
+        const $el = $(el);
+        if (el.tagName === 'input' && UNLABELED_INPUT_TYPES.has(($el.attr('type') || 'text').toLowerCase())) return false;
+        if ($el.attr('id') && labelled.has($el.attr('id'))) return false;
+        if ($el.closest('label').length > 0) return false;
+        return !accessibleName($, el);
+    }).get();
+    if (unlabeled.length > 0) add('form-label', 'accessibility', 'error', 'Form controls without a label.', unlabeled, $);
+
+    const emptyLinks = $('a[href]').filter((i, el) => {
+        const $el = $(el);
+        if ($el.text().trim() || accessibleName($, el)) return false;
+        return $el.find('img[alt]').filter((j, img) => $(img).attr('alt').trim() !== '').length === 0;
+    }).get();
+    if (emptyLinks.length > 0) add('link-name', 'accessibility', 'error', 'Links without text or an accessible name.', emptyLinks, $);
+
+    return findings;
+}
+
+/**
+ * Analyzes one page
+ * @param {string} html - Page markup
+ * @returns {object} { title, metaDescription, lang, headingStructure, sections, links, scripts, stylesheets, images,
+ *          techStack, findings }
+ */
+function analyzePage(html) {
+    const $ = load(html);
+    const headingStructure = Object.fromEntries(['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map(tag => [tag, $(tag).length]));
+    const findings = [...auditSeo($), ...auditAccessibility($)];
+    findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+    return {
+        title: $('title').text() || 'Untitled',
+        metaDescription: $('meta[name="description"]').attr('content') || '',
+        lang: $('html').attr('lang') || null,
+        headingStructure,
+        sections: $('body > *').map((i, el) => ({
+            tag: el.tagName,
+            class: $(el).attr('class') || '',
+            id: $(el).attr('id') || ''
+        })).get(),
+        links: {
+            internal: $('a[href^="/"], a[href^="./"], a[href^="../"]').length,
+            external: $('a[href^="http"]').length
+        },
+        scripts: $('script').length,
+        stylesheets: $('link[rel="stylesheet"]').length,
+        images: $('img').length,
+        techStack: detectTechStack($, html),
+        findings
+    };
+}
+
+/**
+ * Counts findings by severity
+ * @returns {{error: number, warning: number, info: number}}
+ */
+function countBySeverity(findings) {
+    const counts = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+    for (const f of findings) counts[f.severity]++;
+    return counts;
+}
+
+export { SEVERITIES, RULES, TECH_RULES, analyzePage, detectTechStack, countBySeverity };
@@ -0,0 +1,36 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Replaces characters that are not safe in file names on common platforms
+ */
+function safeFilename(p) {
+    return p.replace(/[:?#<>\\|*"]/g, '_');
+}
+
+/**
+ * Converts a platform path to forward slashes for use in URLs
+ */
+function toPosix(p) {
+    return p.split(path.sep).join('/');
+}
+
+/**
+ * Builds a link from one clone-relative file to another, relative to the
+ * directory of the first (e.g. "blog/post.html" -> "assets/a.css" = "../assets/a.css")
+ */
+function relativeLink(fromRel, toRel) {
+    const rel = path.posix.relative(path.posix.dirname(fromRel), toRel);
+    return rel || path.posix.basename(toRel);
+}
+
+async function fileExists(p) {
+    try {
+        await fs.access(p);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+export { safeFilename, toPosix, relativeLink, fileExists };
@@ -0,0 +1,192 @@
+/**
+ * Page renderers - how cloneWebsite turns a page URL into HTML.
+ *
+ * A renderer is any object with:
+ *   render(url, { headers, timeout, allowNotModified, signal }) -> Promise<{
+ *       status, html, contentType, etag, lastModified,
+ *       requests: [{ url, method, resourceType, status, contentType, requestBody?, body? }]
+ *   }>
+ *   close() -> Promise<void>
+ * `html` is null for a 304 answer to a conditional request. `requests` lists what the
+ * page loaded while it ran (empty for the static renderer); xhr/fetch entries may carry
+ * the request and response bodies (a Buffer) for API fixtures. Errors are thrown; an
+ * aborted `signal` stops the render and rejects.
+ */
+import axios from 'axios';
+
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since'];
+const API_RESOURCE_TYPES = ['xhr', 'fetch'];
+
+// Puppeteer resource types -> asset reference types (see html-assets.js)
+const RESOURCE_TYPES = {
+    stylesheet: 'stylesheet',
+    script: 'script',
+    image: 'image',
+    font: 'font',
+    media: 'media',
+    xhr: 'data',
+    fetch: 'data',
+    document: 'document',
+    manifest: 'manifest'
+};
+
+/**
+ * Fetches the HTML as served, without running scripts (the default)
+ */
+class StaticRenderer {
+    constructor() {
+        this.name = 'static';
+    }
+
+    async render(url, { headers = {}, timeout = 30000, allowNotModified = false, signal } = {}) {
+        const res = await axios.get(url, {
+            signal,
+            responseType: 'text',
+            timeout,
+            headers,
+            validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && allowNotModified)
+        });
+        return {
+            status: res.status,
+            html: res.status === 304 ? null : res.data,
+            contentType: String(res.headers['content-type'] || ''),
+            etag: res.headers.etag || null,
+            lastModified: res.headers['last-modified'] || null,
+            requests: []
+        };
+    }
+
+    async close() {}
+}
+
+/**
+ * Loads the page in headless Chromium (puppeteer, installed separately), waits for the
+ * network to go idle and serializes the rendered DOM. Every response the page received
+ * is reported in `requests`.
+ */
+class BrowserRenderer {
+    /**
+     * @param {object} [options] - { launchOptions, waitUntil, settleMs }
+     */
+    constructor({ launchOptions = {}, waitUntil = 'networkidle0', settleMs = 0 } = {}) {
+        this.name = 'browser';
+        this.launchOptions = launchOptions;
+        this.waitUntil = waitUntil;
+        this.settleMs = settleMs;
+        this.browser = null;
+    }
+
+    async getBrowser() {
+        if (this.browser) return this.browser;
+        let puppeteer;
+        try {
+            puppeteer = (await import('puppeteer')).default;
+        } catch (e) {
+            throw new Error('The browser renderer requires puppeteer. Install it with: npm install puppeteer');
+        }
+        this.browser = await puppeteer.launch({ headless: true, ...this.launchOptions });
+        return this.browser;
+    }
+
+    async render(url, { headers = {}, timeout = 30000, signal } = {}) {
+        signal?.throwIfAborted();
+        const browser = await this.getBrowser();
+        const page = await browser.newPage();
+        const requests = [];
+        const bodyReads = [];
+        // Closing the page makes a pending goto or wait reject right away
+        const onAbort = () => page.close().catch(() => {});
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const extraHeaders = {};
+            for (const [name, value] of Object.entries(headers)) {
+                const key = name.toLowerCase();
+                if (key === 'user-agent') await page.setUserAgent(value);
+                else if (!CONDITIONAL_HEADERS.includes(key)) extraHeaders[name] = value;
+            }
+            await page.setExtraHTTPHeaders(extraHeaders);
+
+            page.on('response', (response) => {
+                const request = response.request();
+                const entry = {
+                    url: response.url(),
+                    method: request.method(),
+                    resourceType: request.resourceType(),
+                    status: response.status(),
+                    contentType: response.headers()['content-type'] || null
+                };
+                if (API_RESOURCE_TYPES.includes(entry.resourceType)) {
+                    entry.requestBody = request.postData() || null;
+                    // Redirects and preflights have no body
+                    bodyReads.push(response.buffer().then(body => { entry.body = body; }).catch(() => {}));
+                }
+                requests.push(entry);
+            });
+
+            const response = await page.goto(url, { waitUntil: this.waitUntil, timeout });
+            const status = response ? response.status() : 200;
+            if (status >= 400) throw new Error(`Request failed with status code ${status}`);
+            if (this.settleMs > 0) await new Promise(resolve => setTimeout(resolve, this.settleMs));
+
+            await Promise.all(bodyReads);
+
+            const responseHeaders = response ? response.headers() : {};
+            const documentUrl = response ? response.url() : url;
+            const html = await page.content();
+            signal?.throwIfAborted();
+            return {
+                status,
+                html,
+                contentType: responseHeaders['content-type'] || 'text/html',
+                etag: responseHeaders.etag || null,
+                lastModified: responseHeaders['last-modified'] || null,
+                requests: requests.filter(r => r.url !== documentUrl && /^https?:/i.test(r.url))
+            };
+        } catch (e) {
+            signal?.throwIfAborted();
+            throw e;
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            if (!page.isClosed()) await page.close();
+        }
+    }
+
+    async close() {
+        if (this.browser) {
+            await this.browser.close();
+            this.browser = null;
+        }
+    }
+}
+
+const RENDERERS = {
+    static: StaticRenderer,
+    browser: BrowserRenderer
+};
+
+/**
+ * @param {string|object} [renderer] - 'static', 'browser' or a renderer object
+ * @param {object} [options] - Passed to the renderer constructor
+ * @returns {{renderer: object, owned: boolean}} `owned` renderers are closed by the caller that created them
+ */
+function createRenderer(renderer = 'static', options = {}) {
+    if (renderer && typeof renderer === 'object') {
+        if (typeof renderer.render !== 'function') throw new Error('A custom renderer must implement render(url, options).');
+        return { renderer, owned: false };
+    }
+    const RendererClass = RENDERERS[String(renderer).toLowerCase()];
+    if (!RendererClass) {
+        throw new Error(`Unknown renderer "${renderer}". Available: ${Object.keys(RENDERERS).join(', ')}`);
+    }
+    return { renderer: new RendererClass(options), owned: true };
+}
+
+/**
+ * Asset reference type for a request a renderer recorded, or null if it is not an asset
+ */
+function requestAssetType(request) {
+    return RESOURCE_TYPES[request.resourceType] || null;
+}
+
+export { StaticRenderer, BrowserRenderer, createRenderer, requestAssetType };
@@ -0,0 +1,326 @@
+/**
+ * Analysis reports - writes an analyzeWebsite report in the selected formats:
+ *
+ *   json     - analysis.json: the complete analysis plus failed downloads and totals
+ *   html     - report.html: a self-contained dashboard (size by type, largest assets,
+ *              failed downloads, optimization, tech stack, visual similarity, per-page findings)
+ *   sarif    - findings.sarif: findings as SARIF 2.1.0 for CI tools and code scanning
+ *   markdown - ANALYSIS_REPORT.md: a short summary (written next to generated apps)
+ *
+ * Failed downloads come from <clone>/.clone/failures.json (see fallbacks.js). The visual
+ * similarity is the analysis's `visual` entry, the last compareVisual run (see visual-regression.js),
+ * and the before/after sizes its `optimization` entry (see asset-optimizer.js).
+ */
+import fs from 'fs/promises';
+import fss from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { MANIFEST_DIR } from './manifest.js';
+import { SEVERITIES, RULES } from './page-analysis.js';
+
+const REPORTS_DIR = 'reports';
+const LARGEST_ASSETS = 10;
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+const SIZE_GROUPS = [['HTML', 'htmlFiles'], ['CSS', 'cssFiles'], ['JavaScript', 'jsFiles'], ['Images', 'images'], ['Other', 'otherAssets']];
+const PACKAGE = JSON.parse(fss.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+const formatPercent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+const formatSaving = (before, after) => (before > 0 ? formatPercent((before - after) / before) : '-');
+
+const ENCODING_NAMES = { br: 'Brotli', gzip: 'gzip', webp: 'WebP', avif: 'AVIF' };
+
+/**
+ * Rows of the before/after table: one per file type with files, then the total, then
+ * each pre-compressed encoding and image format
+ */
+function optimizationRows(optimization) {
+    return [
+        ...optimization.sizes.filter(g => g.files > 0).map(g => ({ label: g.type, ...g })),
+        { label: 'Total', files: optimization.sizes.reduce((sum, g) => sum + g.files, 0), ...optimization.total },
+        ...Object.entries({ ...optimization.encodings, ...optimization.imageVariants })
+            .filter(([, v]) => v.files > 0)
+            .map(([name, v]) => ({ label: `${ENCODING_NAMES[name] || name} variants`, ...v }))
+    ];
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+async function readFailures(cloneDir) {
+    try {
+        const data = JSON.parse(await fs.readFile(path.join(cloneDir, MANIFEST_DIR, 'failures.json'), 'utf8'));
+        return data.failures || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Everything the formats render: the analysis with totals, size breakdown, largest assets
+ * and failed downloads
+ */
+function reportData(analysis, { cloneDir, failures = [] }) {
+    const sizeByType = SIZE_GROUPS.map(([type, key]) => {
+        const files = analysis[key] || [];
+        return { type, count: files.length, size: files.reduce((sum, f) => sum + f.size, 0) };
+    });
+    const largestAssets = SIZE_GROUPS.slice(1)
+        .flatMap(([, key]) => analysis[key] || [])
+        .sort((a, b) => b.size - a.size)
+        .slice(0, LARGEST_ASSETS)
+        .map(f => ({ ...f, path: f.path.split(path.sep).join('/') }));
+    return {
+        generatedAt: new Date().toISOString(),
+        generator: `${PACKAGE.name} ${PACKAGE.version}`,
+        cloneDir: cloneDir ? path.resolve(cloneDir) : null,
+        totals: {
+            pages: analysis.htmlFiles.length,
+            assets: sizeByType.slice(1).reduce((sum, g) => sum + g.count, 0),
+            totalSize: analysis.totalSize,
+            failedDownloads: failures.length
+        },
+        sizeByType,
+        largestAssets,
+        failedDownloads: failures.map(({ url, type, error, fallback, references }) => ({
+            url,
+            type,
+            error,
+            fallback,
+            pages: [...new Set((references || []).map(r => r.file))]
+        })),
+        analysis
+    };
+}
+
+/* ========== FORMATS ========== */
+function renderJson(data) {
+    return JSON.stringify(data, null, 2);
+}
+
+function renderMarkdown({ totals, sizeByType, failedDownloads, analysis }) {
+    const summary = analysis.findingsSummary || {};
+    const lines = [
+        '# Website Analysis Report',
+        '',
+        '## Summary',
+        `- **Pages**: ${totals.pages}`,
+        `- **Assets**: ${totals.assets}`,
+        `- **Total Size**: ${formatBytes(totals.totalSize)}`,
+        `- **Failed downloads**: ${totals.failedDownloads}`,
+        `- **Findings**: ${SEVERITIES.map(s => `${summary[s] ?? 0} ${s}`).join(', ')}`,
+        ...(analysis.visual ? [`- **Visual similarity**: ${formatPercent(analysis.visual.score)} (threshold ${formatPercent(analysis.visual.threshold)}, ${analysis.visual.passed ? 'passed' : 'failed'})`] : []),
+        '',
+        '## Size by type',
+        '| Type | Files | Size |',
+        '| --- | ---: | ---: |',
+        ...sizeByType.map(g => `| ${g.type} | ${g.count} | ${formatBytes(g.size)} |`),
+        ''
+    ];
+    if (analysis.techStack?.length) {
+        lines.push('## Tech stack', ...analysis.techStack.map(t => `- ${t.name} (${t.category})`), '');
+    }
+    if (analysis.optimization) {
+        lines.push('## Optimization', '| Files | Count | Before | After | Saved |', '| --- | ---: | ---: | ---: | ---: |',
+            ...optimizationRows(analysis.optimization).map(r => `| ${r.label} | ${r.files} | ${formatBytes(r.before)} | ${formatBytes(r.after)} | ${formatSaving(r.before, r.after)} |`), '');
+    }
+    if (analysis.visual) {
+        lines.push('## Visual similarity', '| Page | Viewport | Similarity |', '| --- | --- | ---: |',
+            ...analysis.visual.results.map(r => `| \`${r.page}\` | ${r.viewport} | ${r.error ? `error: ${r.error}` : formatPercent(r.similarity)} |`), '');
+    }
+    if (failedDownloads.length) {
+        lines.push('## Failed downloads', ...failedDownloads.map(f => `- ${f.url}: ${f.error}`), '');
+    }
+    lines.push('## Findings by page');
+    for (const page of analysis.pages || []) {
+        const counts = SEVERITIES.map(s => (page.findings || []).filter(f => f.severity === s).length);
+        lines.push(`- \`${page.path}\` (${page.title}): ${SEVERITIES.map((s, i) => `${counts[i]} ${s}`).join(', ')}`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function renderSarif({ cloneDir, failedDownloads, analysis }) {
+    const results = [];
+    for (const page of analysis.pages || []) {
+        for (const f of page.findings || []) {
+            results.push({
+                ruleId: f.rule,
+                level: SARIF_LEVELS[f.severity],
+                message: { text: f.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: page.path, uriBaseId: 'CLONEROOT' },
+                        ...(f.examples?.length ? { region: { snippet: { text: f.examples[0] } } } : {})
+                    }
+                }],
+                properties: { category: f.category, ...(f.count ? { count: f.count } : {}) }
+            });
+        }
+    }
+    for (const failure of failedDownloads) {
+        results.push({
+            ruleId: 'asset-download-failed',
+            level: 'warning',
+            message: { text: `${failure.url} could not be downloaded: ${failure.error}` },
+            locations: failure.pages.map(file => ({ physicalLocation: { artifactLocation: { uri: file, uriBaseId: 'CLONEROOT' } } })),
+            properties: { category: 'clone', fallback: failure.fallback }
+        });
+    }
+    for (const r of analysis.visual?.results || []) {
+        if (r.passed) continue;
+        results.push({
+            ruleId: 'visual-regression',
+            level: 'error',
+            message: {
+                text: r.error
+                    ? `Could not compare ${r.page} at ${r.viewport}: ${r.error}`
+                    : `${r.page} at ${r.viewport} is ${formatPercent(r.similarity)} similar to the original (threshold ${formatPercent(analysis.visual.threshold)})`
+            },
+            locations: [{ physicalLocation: { artifactLocation: { uri: r.page, uriBaseId: 'CLONEROOT' } } }],
+            properties: { category: 'visual', viewport: r.viewport, similarity: r.similarity, ...(r.diff ? { diff: r.diff } : {}) }
+        });
+    }
+
+    const ruleIds = [...new Set(results.map(r => r.ruleId))];
+    const descriptions = {
+        ...RULES,
+        'asset-download-failed': 'Assets referenced by the site should be cloned',
+        'visual-regression': 'Pages of the generated app should look like the original'
+    };
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: PACKAGE.name,
+                    version: PACKAGE.version,
+                    rules: ruleIds.map(id => ({ id, shortDescription: { text: descriptions[id] || id } }))
+                }
+            },
+            ...(cloneDir ? { originalUriBaseIds: { CLONEROOT: { uri: `${pathToFileURL(cloneDir).href}/` } } } : {}),
+            results
+        }]
+    }, null, 2);
+}
+
+function renderHtml({ generatedAt, generator, cloneDir, totals, sizeByType, largestAssets, failedDownloads, analysis }) {
+    const summary = analysis.findingsSummary || {};
+    const visual = analysis.visual;
+    const maxSize = Math.max(1, ...sizeByType.map(g => g.size));
+    const table = (headers, rows) => rows.length === 0
+        ? '<p class="muted">None.</p>'
+        : `<table><thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+    const badge = (severity, text = severity) => `<span class="badge ${severity}">${escapeHtml(text)}</span>`;
+
+    const pages = (analysis.pages || []).map(page => {
+        const findings = page.findings || [];
+        const counts = SEVERITIES.filter(s => findings.some(f => f.severity === s))
+            .map(s => badge(s, `${findings.filter(f => f.severity === s).length} ${s}`)).join(' ');
+        const rows = findings.map(f => [
+            badge(f.severity),
+            escapeHtml(f.category),
+            `<code>${escapeHtml(f.rule)}</code>`,
+            escapeHtml(f.message) + (f.examples?.length ? `<pre>${f.examples.map(escapeHtml).join('\n')}</pre>` : '')
+        ]);
+        return `<details${findings.some(f => f.severity === 'error') ? ' open' : ''}><summary><code>${escapeHtml(page.path)}</code> ${escapeHtml(page.title)} ${counts}</summary>` +
+            `${(page.techStack || []).length ? `<p class="muted">${page.techStack.map(t => escapeHtml(t.name)).join(', ')}</p>` : ''}` +
+            `${table(['Severity', 'Category', 'Rule', 'Finding'], rows)}</details>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Analysis report${analysis.pageStructure?.title ? ` - ${escapeHtml(analysis.pageStructure.title)}` : ''}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #222; }
+h1 { margin-bottom: 0.2rem; } h2 { margin-top: 2rem; border-bottom: 1px solid #ddd; }
+.muted { color: #777; }
+.cards { display: flex; flex-wrap: wrap; gap: 1rem; }
+.card { border: 1px solid #ddd; border-radius: 6px; padding: 0.8rem 1.2rem; min-width: 120px; }
+.card b { display: block; font-size: 1.5rem; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; }
+th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #eee; vertical-align: top; }
+.bar { background: #4a7fd4; height: 0.8rem; border-radius: 2px; }
+.badge { border-radius: 4px; padding: 0 0.4rem; font-size: 0.85rem; color: #fff; }
+.badge.error { background: #c62828; } .badge.warning { background: #ef8c00; } .badge.info { background: #1976d2; }
+details { border: 1px solid #ddd; border-radius: 6px; padding: 0.5rem 0.8rem; margin: 0.5rem 0; }
+summary { cursor: pointer; }
+pre { background: #f6f6f6; padding: 0.4rem; white-space: pre-wrap; word-break: break-all; font-size: 0.8rem; }
+</style>
+</head>
+<body>
+<h1>Analysis report</h1>
+<p class="muted">${escapeHtml(cloneDir || '')} · ${escapeHtml(generatedAt)} · ${escapeHtml(generator)}</p>
+<div class="cards">
+<div class="card"><b>${totals.pages}</b>pages</div>
+<div class="card"><b>${totals.assets}</b>assets</div>
+<div class="card"><b>${formatBytes(totals.totalSize)}</b>total size</div>
+<div class="card"><b>${totals.failedDownloads}</b>failed downloads</div>
+${SEVERITIES.map(s => `<div class="card"><b>${summary[s] ?? 0}</b>${badge(s)}</div>`).join('\n')}
+${visual ? `<div class="card"><b>${formatPercent(visual.score)}</b>visual similarity ${badge(visual.passed ? 'info' : 'error', visual.passed ? 'passed' : 'failed')}</div>` : ''}
+</div>
+<h2>Size by type</h2>
+${table(['Type', 'Files', 'Size', ''], sizeByType.map(g => [g.type, g.count, formatBytes(g.size), `<div class="bar" style="width:${Math.round(g.size / maxSize * 100)}%"></div>`]))}
+<h2>Largest assets</h2>
+${table(['File', 'Size'], largestAssets.map(f => [`<code>${escapeHtml(f.path)}</code>`, formatBytes(f.size)]))}
+<h2>Failed downloads</h2>
+${table(['URL', 'Type', 'Error', 'Fallback', 'Pages'], failedDownloads.map(f => [escapeHtml(f.url), escapeHtml(f.type), escapeHtml(f.error), escapeHtml(f.fallback), f.pages.map(p => `<code>${escapeHtml(p)}</code>`).join(' ')]))}
+${visual ? `<h2>Visual similarity</h2>
+<p class="muted">Threshold ${formatPercent(visual.threshold)} · ${visual.compared} comparison(s) · ${escapeHtml(visual.generatedAt)}</p>
+${table(['Page', 'Viewport', 'Similarity', 'Diff image'], visual.results.map(r => [
+        `<code>${escapeHtml(r.page)}</code>`,
+        escapeHtml(r.viewport),
+        r.error ? badge('error', r.error) : badge(r.passed ? 'info' : 'error', formatPercent(r.similarity)),
+        r.diff ? `<code>${escapeHtml(r.diff)}</code>` : ''
+    ]))}
+` : ''}${analysis.optimization ? `<h2>Optimization</h2>
+${table(['Files', 'Count', 'Before', 'After', 'Saved'], optimizationRows(analysis.optimization).map(r => [
+        escapeHtml(r.label), r.files, formatBytes(r.before), formatBytes(r.after), formatSaving(r.before, r.after)
+    ]))}
+${analysis.optimization.skipped.length ? `<p class="muted">Skipped: ${analysis.optimization.skipped.map(s => escapeHtml(s.reason)).join('; ')}</p>` : ''}
+` : ''}<h2>Tech stack</h2>
+${table(['Name', 'Category', 'Pages'], (analysis.techStack || []).map(t => [escapeHtml(t.name), escapeHtml(t.category), t.pages.length]))}
+<h2>Findings by page</h2>
+${pages || '<p class="muted">No pages.</p>'}
+</body>
+</html>
+`;
+}
+
+const REPORT_FORMATS = {
+    json: { file: 'analysis.json', render: renderJson },
+    html: { file: 'report.html', render: renderHtml },
+    sarif: { file: 'findings.sarif', render: renderSarif },
+    markdown: { file: 'ANALYSIS_REPORT.md', render: renderMarkdown }
+};
+
+/**
+ * Writes an analysis report in each format
+ * @param {object} analysis - analyzeWebsite report
+ * @param {object} options - { cloneDir: the analyzed clone, outDir (default <clone>/.clone/reports), formats }
+ * @returns {Promise<{outDir: string, files: Object<string, string>}>} Written file paths by format
+ */
+async function writeReports(analysis, { cloneDir, outDir = path.join(cloneDir, MANIFEST_DIR, REPORTS_DIR), formats = ['json', 'html', 'sarif'] }) {
+    const unknown = formats.filter(f => !REPORT_FORMATS[f]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown report format "${unknown[0]}". Available: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+    const data = reportData(analysis, { cloneDir, failures: await readFailures(cloneDir) });
+    await fs.mkdir(outDir, { recursive: true });
+    const files = {};
+    for (const format of new Set(formats)) {
+        const { file, render } = REPORT_FORMATS[format];
+        files[format] = path.join(outDir, file);
+        await fs.writeFile(files[format], render(data), 'utf8');
+    }
+    return { outDir, files };
+}
+
+export { REPORTS_DIR, REPORT_FORMATS, writeReports };
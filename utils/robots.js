@@ -0,0 +1,144 @@
+/**
+ * robots.txt policy - parses robots.txt and answers whether a URL may be
+ * fetched by a given agent name (Allow/Disallow, Crawl-delay, Sitemap)
+ */
+import axios from 'axios';
+
+const DEFAULT_ROBOTS_AGENT = 'cc-site-cloner';
+
+/**
+ * Parses robots.txt content into user-agent groups and sitemap URLs
+ * @param {string} text - robots.txt body
+ * @returns {{groups: Array<{agents: string[], rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>, sitemaps: string[]}}
+ */
+function parseRobotsTxt(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text ?? '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const sep = line.indexOf(':');
+        if (sep === -1) continue;
+
+        const key = line.slice(0, sep).trim().toLowerCase();
+        const value = line.slice(sep + 1).trim();
+
+        switch (key) {
+            case 'user-agent':
+                // Consecutive user-agent lines share one group
+                if (!current || !lastWasAgent) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                continue;
+            case 'allow':
+            case 'disallow':
+                // An empty Disallow allows everything, so it adds no rule
+                if (current && value) current.rules.push({ allow: key === 'allow', path: value });
+                break;
+            case 'crawl-delay': {
+                const seconds = Number(value);
+                if (current && Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+                break;
+            }
+            case 'sitemap':
+                if (value) sitemaps.push(value);
+                break;
+        }
+        lastWasAgent = false;
+    }
+
+    return { groups, sitemaps };
+}
+
+function patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+class RobotsPolicy {
+    /**
+     * @param {object} parsed - Output of parseRobotsTxt
+     * @param {string} agent - Agent name to match against User-agent lines
+     */
+    constructor(parsed = { groups: [], sitemaps: [] }, agent = DEFAULT_ROBOTS_AGENT) {
+        const token = String(agent).split('/')[0].trim().toLowerCase();
+        let groups = parsed.groups.filter(g => g.agents.includes(token));
+        if (groups.length === 0) groups = parsed.groups.filter(g => g.agents.includes('*'));
+
+        this.agent = token;
+        this.rules = groups.flatMap(g => g.rules).map(r => ({ ...r, regex: patternToRegExp(r.path) }));
+        const delays = groups.map(g => g.crawlDelay).filter(d => d !== null);
+        this.crawlDelay = delays.length > 0 ? Math.max(...delays) : null;
+        this.sitemaps = parsed.sitemaps || [];
+    }
+
+    static allowAll(agent) {
+        return new RobotsPolicy(undefined, agent);
+    }
+
+    static disallowAll(agent) {
+        return new RobotsPolicy({ groups: [{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }], sitemaps: [] }, agent);
+    }
+
+    /**
+     * The longest matching rule wins; Allow wins a tie. No match means allowed.
+     */
+    isAllowed(urlStr) {
+        const u = new URL(urlStr);
+        const target = u.pathname + u.search;
+        if (u.pathname === '/robots.txt') return true;
+
+        let best = null;
+        for (const rule of this.rules) {
+            if (!rule.regex.test(target)) continue;
+            if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+                best = rule;
+            }
+        }
+        return !best || best.allow;
+    }
+}
+
+/**
+ * Fetches and parses <origin>/robots.txt. A missing file (4xx) allows everything;
+ * an unreachable server or 5xx disallows everything, as robots.txt convention requires.
+ * An aborted `signal` rejects with its reason.
+ * @param {string} origin - Site origin, e.g. https://example.com
+ * @param {object} [options] - { agent, headers, signal }
+ * @returns {Promise<RobotsPolicy>}
+ */
+async function fetchRobotsPolicy(origin, { agent = DEFAULT_ROBOTS_AGENT, headers = {}, signal } = {}) {
+    const robotsUrl = new URL('/robots.txt', origin).href;
+    try {
+        const res = await axios.get(robotsUrl, {
+            signal,
+            responseType: 'text',
+            timeout: 15000,
+            headers,
+            validateStatus: () => true
+        });
+
+        if (res.status >= 200 && res.status < 300) {
+            return new RobotsPolicy(parseRobotsTxt(res.data), agent);
+        }
+        if (res.status >= 400 && res.status < 500) {
+            return RobotsPolicy.allowAll(agent);
+        }
+        console.warn(`robots.txt returned ${res.status}, treating site as disallowed.`);
+        return RobotsPolicy.disallowAll(agent);
+    } catch (e) {
+        signal?.throwIfAborted();
+        console.warn(`robots.txt unreachable (${e.message}), treating site as disallowed.`);
+        return RobotsPolicy.disallowAll(agent);
+    }
+}
+
+export { DEFAULT_ROBOTS_AGENT, RobotsPolicy, parseRobotsTxt, fetchRobotsPolicy };
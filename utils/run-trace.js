@@ -0,0 +1,86 @@
+/**
+ * Run trace - a JSONL record of one orchestrator run: prompts, model responses with
+ * token counts, parsed steps, tool calls with their inputs, outputs and durations, and errors.
+ *
+ * The trace is written to <clone>/.clone/runs/<runId>.jsonl once the run has a clone
+ * directory; events before that are buffered. Runs that never clone anything are
+ * written to logs/runs/. Each line is { seq, time, type, ...data }.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { MANIFEST_DIR } from './manifest.js';
+
+const RUNS_DIR = 'runs';
+const FALLBACK_RUNS_DIR = path.join('logs', 'runs');
+
+class RunTrace {
+    /**
+     * @param {object} [options] - { runId, fallbackDir }
+     */
+    constructor({ runId, fallbackDir = FALLBACK_RUNS_DIR } = {}) {
+        this.runId = runId || `run_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        this.fallbackDir = fallbackDir;
+        this.file = null;
+        this.events = [];
+        this.written = 0;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Writes the trace under a clone directory from now on; no-op once attached
+     */
+    attach(cloneDir) {
+        if (this.file || !cloneDir) return this.pending;
+        this.file = path.join(cloneDir, MANIFEST_DIR, RUNS_DIR, `${this.runId}.jsonl`);
+        return this.flush();
+    }
+
+    /**
+     * Adds an event; it is appended to the file as soon as the trace has one
+     */
+    record(type, data = {}) {
+        this.events.push({ seq: this.events.length + 1, time: new Date().toISOString(), type, ...data });
+        return this.flush();
+    }
+
+    flush() {
+        if (!this.file) return this.pending;
+        this.pending = this.pending.then(async () => {
+            const lines = this.events.slice(this.written).map(e => JSON.stringify(e) + '\n').join('');
+            if (!lines) return;
+            this.written = this.events.length;
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.appendFile(this.file, lines, 'utf8');
+        }).catch((e) => {
+            console.warn(`⚠️ Could not write the run trace: ${e.message}`);
+        });
+        return this.pending;
+    }
+
+    /**
+     * Writes any buffered events, to the fallback directory if the run never cloned anything
+     * @returns {Promise<string>} Trace path
+     */
+    async close() {
+        if (!this.file) this.file = path.resolve(this.fallbackDir, `${this.runId}.jsonl`);
+        await this.flush();
+        return this.file;
+    }
+
+    /**
+     * @param {string} file - Trace path
+     * @returns {Promise<object[]>} Events in order
+     */
+    static async read(file) {
+        const content = await fs.readFile(file, 'utf8');
+        return content.split('\n').filter(line => line.trim()).map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                throw new Error(`${file}:${i + 1} is not valid JSON`);
+            }
+        });
+    }
+}
+
+export { RUNS_DIR, RunTrace };
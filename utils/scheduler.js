@@ -0,0 +1,180 @@
+/**
+ * Download scheduler - runs requests with a global and a per-host concurrency limit,
+ * a per-host token-bucket rate limit, and retries with exponential backoff and jitter
+ * on 429, 5xx and network timeouts (honoring Retry-After). An AbortSignal cuts every wait short.
+ */
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE']);
+
+const DEFAULT_SCHEDULER_OPTIONS = {
+    concurrency: 8,          // requests in flight overall
+    perHostConcurrency: 4,   // requests in flight per host
+    requestsPerSecond: 5,    // token refill rate per host
+    burst: 5,                // bucket size per host
+    retries: 3,              // extra attempts after the first
+    backoffBaseMs: 500,
+    backoffMaxMs: 30000,
+    maxRetryAfterMs: 60000,  // a longer Retry-After is not waited for
+    maxAssetBytes: 50 * 1024 * 1024
+};
+
+// Rejects with the signal's reason as soon as it aborts
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class Semaphore {
+    constructor(limit) {
+        this.available = limit;
+        this.waiters = [];
+    }
+
+    async acquire() {
+        if (this.available > 0) {
+            this.available--;
+            return;
+        }
+        await new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    release() {
+        const next = this.waiters.shift();
+        if (next) next();
+        else this.available++;
+    }
+}
+
+class TokenBucket {
+    constructor(ratePerSecond, burst) {
+        this.rate = ratePerSecond;
+        this.capacity = Math.max(1, burst);
+        this.tokens = this.capacity;
+        this.updatedAt = Date.now();
+    }
+
+    async take(signal) {
+        if (!(this.rate > 0) || this.rate === Infinity) return;
+        for (;;) {
+            const now = Date.now();
+            this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+            this.updatedAt = now;
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+            await sleep(Math.ceil((1 - this.tokens) / this.rate * 1000), signal);
+        }
+    }
+}
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date)
+ * @returns {number|null} Milliseconds to wait
+ */
+function parseRetryAfter(value) {
+    if (value == null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed request (an axios error) is worth retrying
+ */
+function isRetryableError(error) {
+    if (error?.response) return RETRYABLE_STATUSES.has(error.response.status);
+    return RETRYABLE_CODES.has(error?.code);
+}
+
+class DownloadScheduler {
+    /**
+     * @param {object} [options] - See DEFAULT_SCHEDULER_OPTIONS; `hostRates` maps a host to its own requests per second
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+        this.hostRates = options.hostRates || {};
+        this.slots = new Semaphore(this.options.concurrency);
+        this.hosts = new Map();
+        this.stats = { requests: 0, retries: 0, failures: 0 };
+    }
+
+    hostState(host) {
+        let state = this.hosts.get(host);
+        if (!state) {
+            const rate = this.hostRates[host] ?? this.options.requestsPerSecond;
+            state = {
+                slots: new Semaphore(this.options.perHostConcurrency),
+                bucket: new TokenBucket(rate, rate < 1 ? 1 : this.options.burst)
+            };
+            this.hosts.set(host, state);
+        }
+        return state;
+    }
+
+    /**
+     * Milliseconds to wait before retrying, or null to give up
+     */
+    retryDelay(error, attempt) {
+        if (attempt >= this.options.retries || !isRetryableError(error)) return null;
+        const { backoffBaseMs, backoffMaxMs, maxRetryAfterMs } = this.options;
+        const backoff = Math.min(backoffMaxMs, backoffBaseMs * 2 ** attempt);
+        const jittered = backoff / 2 + Math.random() * backoff / 2;
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (retryAfter !== null && retryAfter > maxRetryAfterMs) return null;
+        return Math.max(jittered, retryAfter ?? 0);
+    }
+
+    /**
+     * Runs fn once a slot and a token for the URL's host are free, retrying retryable errors.
+     * The global slot is taken only after the host's token, so a slow or crawl-delayed host
+     * does not hold slots other hosts could use. Slots are released while waiting to retry.
+     * @param {string} url - Request URL (its host selects the limits)
+     * @param {function(number): Promise<*>} fn - Called with the attempt number (0-based)
+     * @param {object} [options] - { signal: stops waiting for a token or a retry and rejects with its reason }
+     * @returns {Promise<*>} fn's result; the last error is thrown when all attempts fail
+     */
+    async run(url, fn, { signal } = {}) {
+        const { slots, bucket } = this.hostState(new URL(url).host);
+        for (let attempt = 0; ; attempt++) {
+            let delay;
+            signal?.throwIfAborted();
+            await slots.acquire();
+            try {
+                await bucket.take(signal);
+                await this.slots.acquire();
+                try {
+                    signal?.throwIfAborted();
+                    this.stats.requests++;
+                    return await fn(attempt);
+                } finally {
+                    this.slots.release();
+                }
+            } catch (e) {
+                delay = signal?.aborted ? null : this.retryDelay(e, attempt);
+                if (delay === null) {
+                    this.stats.failures++;
+                    throw e;
+                }
+            } finally {
+                slots.release();
+            }
+            this.stats.retries++;
+            await sleep(delay, signal);
+        }
+    }
+}
+
+export { DEFAULT_SCHEDULER_OPTIONS, DownloadScheduler, isRetryableError, parseRetryAfter, sleep };
@@ -0,0 +1,66 @@
+/**
+ * Sitemap reader - collects page URLs from sitemap.xml and sitemap index files
+ */
+import axios from 'axios';
+import { load } from 'cheerio';
+import { gunzipSync } from 'zlib';
+
+const MAX_SITEMAP_FILES = 20;
+const MAX_SITEMAP_URLS = 10000;
+
+function decodeSitemapBody(data) {
+    const buf = Buffer.from(data);
+    // Sitemaps served as .xml.gz arrive still compressed
+    if (buf[0] === 0x1f && buf[1] === 0x8b) return gunzipSync(buf).toString('utf8');
+    return buf.toString('utf8');
+}
+
+/**
+ * Parses a sitemap document. A <sitemapindex> yields child sitemaps,
+ * a <urlset> yields page URLs.
+ * @param {string} xml - Sitemap XML
+ * @returns {{pages: string[], sitemaps: string[]}}
+ */
+function parseSitemap(xml) {
+    const $ = load(xml, { xml: true });
+    const locs = (selector) => $(selector).map((i, el) => $(el).text().trim()).get().filter(Boolean);
+    return {
+        pages: locs('urlset > url > loc'),
+        sitemaps: locs('sitemapindex > sitemap > loc')
+    };
+}
+
+/**
+ * Fetches sitemaps breadth-first, following sitemap index files
+ * @param {string[]} sitemapUrls - Sitemaps to start from
+ * @param {object} [options] - { headers, maxUrls, timeout, signal: rejects with its reason when aborted }
+ * @returns {Promise<string[]>} Page URLs in sitemap order, de-duplicated
+ */
+async function collectSitemapUrls(sitemapUrls, { headers = {}, maxUrls = MAX_SITEMAP_URLS, timeout = 30000, signal } = {}) {
+    const queue = [...sitemapUrls];
+    const seen = new Set();
+    const pages = new Set();
+
+    while (queue.length > 0 && seen.size < MAX_SITEMAP_FILES && pages.size < maxUrls) {
+        const sitemapUrl = queue.shift();
+        if (seen.has(sitemapUrl)) continue;
+        seen.add(sitemapUrl);
+
+        try {
+            const res = await axios.get(sitemapUrl, { signal, responseType: 'arraybuffer', timeout, headers });
+            const parsed = parseSitemap(decodeSitemapBody(res.data));
+            queue.push(...parsed.sitemaps);
+            for (const page of parsed.pages) {
+                if (pages.size >= maxUrls) break;
+                pages.add(page);
+            }
+        } catch (e) {
+            signal?.throwIfAborted();
+            console.warn(`Sitemap skipped: ${sitemapUrl} - ${e.message}`);
+        }
+    }
+
+    return Array.from(pages);
+}
+
+export { parseSitemap, collectSitemapUrls };
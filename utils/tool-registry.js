@@ -0,0 +1,164 @@
+/**
+ * Tool registry - declarative tool definitions shared by the system prompt, native
+ * function calling and input validation.
+ *
+ * A tool definition: {
+ *     description,
+ *     parameters,   // JSON schema of the named arguments (type: 'object')
+ *     returns,      // JSON schema of the result, for the prompt
+ *     output,       // name the result is stored under in the workflow context (default: tool name)
+ *     handler       // async (args, runtime) => result; runtime is what the caller passes to call()
+ * }
+ * Schemas use the subset of JSON schema that function-calling APIs accept: type, description,
+ * enum, properties, required, items, additionalProperties, minimum and maximum.
+ */
+
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = jsonType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validateValue(value, schema, at, errors) {
+    if (!schema) return;
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push(`${at}: expected ${types.join(' or ')}, got ${jsonType(value)}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => validateValue(item, schema.items, `${at}[${i}]`, errors));
+    }
+    if (jsonType(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined || value[name] === null) errors.push(`${at}.${name}: is required`);
+        }
+        for (const [name, propValue] of Object.entries(value)) {
+            if (propValue === undefined) continue;
+            if (properties[name]) validateValue(propValue, properties[name], `${at}.${name}`, errors);
+            else if (schema.additionalProperties === false) errors.push(`${at}.${name}: is not a known parameter`);
+            else if (typeof schema.additionalProperties === 'object') validateValue(propValue, schema.additionalProperties, `${at}.${name}`, errors);
+        }
+    }
+}
+
+/**
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON schema (see module comment for the supported subset)
+ * @param {string} [at] - Name of the value in error messages
+ * @returns {string[]} Validation errors; empty when valid
+ */
+function validateSchema(value, schema, at = 'input') {
+    const errors = [];
+    validateValue(value, schema, at, errors);
+    return errors;
+}
+
+class ToolRegistry {
+    /**
+     * @param {Object<string, object>} [tools] - Tool definitions by name
+     */
+    constructor(tools = {}) {
+        this.tools = new Map();
+        for (const [name, definition] of Object.entries(tools)) this.register(name, definition);
+    }
+
+    register(name, definition) {
+        if (typeof definition?.handler !== 'function') throw new Error(`Tool "${name}" needs a handler.`);
+        this.tools.set(name, {
+            name,
+            description: definition.description || '',
+            parameters: definition.parameters || { type: 'object', properties: {} },
+            returns: definition.returns || null,
+            output: definition.output || name,
+            handler: definition.handler
+        });
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    get(name) {
+        return this.tools.get(name);
+    }
+
+    names() {
+        return Array.from(this.tools.keys());
+    }
+
+    /**
+     * Named arguments from a step input. Objects are used as is; for the older step
+     * format an array is read positionally and any other value is the first parameter.
+     */
+    normalizeInput(name, input) {
+        const tool = this.tools.get(name);
+        if (input === undefined || input === null) return {};
+        if (jsonType(input) === 'object') return input;
+        const paramNames = Object.keys(tool?.parameters?.properties || {});
+        const values = Array.isArray(input) ? input : [input];
+        return Object.fromEntries(values.slice(0, paramNames.length).map((v, i) => [paramNames[i], v]));
+    }
+
+    /**
+     * Validates the input and runs the tool. Unknown tools and invalid input are reported,
+     * not thrown, so they can go back to the model as observations.
+     * @param {string} name - Tool name
+     * @param {*} input - Step input
+     * @param {object} [runtime] - Passed to the handler as is (e.g. the workflow context)
+     * @returns {Promise<{ok: true, args: object, result: *}|{ok: false, error: string}>}
+     */
+    async call(name, input, runtime = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            return { ok: false, error: `Tool "${name}" not found. Available tools: ${this.names().join(', ')}` };
+        }
+        const args = this.normalizeInput(name, input);
+        const errors = validateSchema(args, tool.parameters);
+        if (errors.length > 0) {
+            return { ok: false, error: `Invalid input for ${name}: ${errors.join('; ')}` };
+        }
+        try {
+            return { ok: true, args, result: await tool.handler(args, runtime) };
+        } catch (e) {
+            return { ok: false, error: `Error executing ${name}: ${e.message}` };
+        }
+    }
+
+    /**
+     * Tool declarations for native function calling: [{ name, description, parameters }]
+     */
+    declarations() {
+        return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({ name, description, parameters }));
+    }
+
+    /**
+     * Markdown list of the tools with their parameter and return schemas, for the system prompt
+     */
+    describe() {
+        return Array.from(this.tools.values()).map(tool => {
+            const lines = [`- \`${tool.name}\`: ${tool.description} Result saved as \`${tool.output}\`.`];
+            lines.push(`  Parameters: \`${JSON.stringify(tool.parameters)}\``);
+            if (tool.returns) lines.push(`  Returns: \`${JSON.stringify(tool.returns)}\``);
+            return lines.join('\n');
+        }).join('\n');
+    }
+}
+
+export { ToolRegistry, validateSchema };
@@ -0,0 +1,386 @@
+/**
+ * Visual regression - compares screenshots of the generated app with stored baselines of the
+ * original pages.
+ *
+ * Baselines are captured once from the live site (captureBaselines) and kept in the clone:
+ *   <clone>/.clone/baselines/<viewport>/<page>.png
+ * A comparison (compareVisual) serves the generated `<clone>_app` - or uses an app that is
+ * already running, e.g. from deploy-latest.js - screenshots every page at every viewport with
+ * requests to other hosts blocked, and diffs each shot against its baseline. It needs no network.
+ * Results go to <clone>/.clone/visual/: actual/ and diff/ images plus visual.json, which the
+ * analysis reports pick up.
+ *
+ * Screenshots need puppeteer and the diff needs pngjs and pixelmatch; all three are optional
+ * peer dependencies loaded on first use.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import net from 'net';
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import axios from 'axios';
+import { CloneManifest, MANIFEST_DIR } from './manifest.js';
+import { fileExists, toPosix } from './paths.js';
+
+const BASELINES_DIR = 'baselines';
+const VISUAL_DIR = 'visual';
+const RESULTS_FILE = 'visual.json';
+
+const DEFAULT_VIEWPORTS = [
+    { name: 'mobile', width: 375, height: 667 },
+    { name: 'tablet', width: 768, height: 1024 },
+    { name: 'desktop', width: 1366, height: 768 }
+];
+
+const APP_START_TIMEOUT_MS = 15000;
+
+/**
+ * Parses "desktop=1366x768" or "1366x768" (named after its size)
+ * @returns {{name: string, width: number, height: number}}
+ */
+function parseViewport(value) {
+    if (value && typeof value === 'object') return value;
+    const match = String(value).trim().match(/^(?:([\w-]+)=)?(\d+)x(\d+)$/i);
+    if (!match) throw new Error(`Invalid viewport "${value}". Use WIDTHxHEIGHT or name=WIDTHxHEIGHT`);
+    const [, name, width, height] = match;
+    return { name: name || `${width}x${height}`, width: Number(width), height: Number(height) };
+}
+
+async function launchBrowser(launchOptions = {}) {
+    let puppeteer;
+    try {
+        puppeteer = (await import('puppeteer')).default;
+    } catch (e) {
+        throw new Error('Visual regression requires puppeteer. Install it with: npm install puppeteer');
+    }
+    return puppeteer.launch({ headless: true, ...launchOptions });
+}
+
+async function loadImageTools() {
+    try {
+        const pngjs = await import('pngjs');
+        const pixelmatch = (await import('pixelmatch')).default;
+        return { PNG: pngjs.PNG || pngjs.default.PNG, pixelmatch };
+    } catch (e) {
+        throw new Error('Visual regression requires pngjs and pixelmatch. Install them with: npm install pngjs pixelmatch');
+    }
+}
+
+/**
+ * Pages of a clone as [{ url, path }]: the manifest's finished pages, or every HTML file when
+ * the clone has no manifest (those cannot get baselines, as the original URL is unknown)
+ */
+async function clonePages(cloneDir) {
+    const manifest = await CloneManifest.load(cloneDir);
+    if (manifest) {
+        return Object.entries(manifest.data.pages)
+            .filter(([, page]) => page.status === 'done' && page.path)
+            .map(([url, page]) => ({ url, path: toPosix(page.path) }))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+    const pages = [];
+    async function walk(dir) {
+        for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name !== MANIFEST_DIR) await walk(full);
+            } else if (/\.html?$/i.test(entry.name)) {
+                pages.push({ url: null, path: toPosix(path.relative(cloneDir, full)) });
+            }
+        }
+    }
+    await walk(cloneDir);
+    return pages.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// "docs/index.html" -> docs/index.png
+const imageName = (pagePath) => pagePath.replace(/\.html?$/i, '') + '.png';
+
+function baselinePath(cloneDir, viewport, pagePath) {
+    return path.join(cloneDir, MANIFEST_DIR, BASELINES_DIR, viewport.name, imageName(pagePath));
+}
+
+// Where the generated app serves a page (its public/ directory mirrors the clone)
+function appPageUrl(appUrl, pagePath) {
+    const route = pagePath === 'index.html' ? '' : pagePath.split('/').map(encodeURIComponent).join('/');
+    return new URL(route, appUrl.endsWith('/') ? appUrl : `${appUrl}/`).href;
+}
+
+/**
+ * Screenshot of one page at one viewport
+ * @param {object} options - { timeout, settleMs, fullPage, offlineOrigin: only requests to this origin are allowed,
+ *        signal: closes the page and rejects with its reason }
+ * @returns {Promise<Buffer>} PNG
+ */
+async function screenshot(browser, url, viewport, { timeout = 30000, settleMs = 250, fullPage = false, offlineOrigin = null, signal } = {}) {
+    signal?.throwIfAborted();
+    const page = await browser.newPage();
+    const onAbort = () => page.close().catch(() => {});
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+        await page.setViewport({ width: viewport.width, height: viewport.height });
+        if (offlineOrigin) {
+            await page.setRequestInterception(true);
+            page.on('request', (request) => {
+                const allowed = /^(?:data|blob):/i.test(request.url()) || request.url().startsWith(offlineOrigin);
+                if (allowed) request.continue();
+                else request.abort('blockedbyclient');
+            });
+        }
+        const response = await page.goto(url, { waitUntil: 'networkidle0', timeout });
+        if (response && response.status() >= 400) throw new Error(`Request failed with status code ${response.status()}`);
+        if (settleMs > 0) await new Promise(resolve => setTimeout(resolve, settleMs));
+        return Buffer.from(await page.screenshot({ type: 'png', fullPage }));
+    } catch (e) {
+        signal?.throwIfAborted();
+        throw e;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        if (!page.isClosed()) await page.close();
+    }
+}
+
+// Copies an image onto a white canvas of the given size
+function padImage(PNG, image, width, height) {
+    if (image.width === width && image.height === height) return image;
+    const padded = new PNG({ width, height });
+    padded.data.fill(255);
+    PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+    return padded;
+}
+
+/**
+ * Diffs two PNGs. Images of different sizes are compared on a canvas of the larger size.
+ * @param {object} [options] - { pixelThreshold: per-pixel color tolerance for pixelmatch, 0-1 }
+ * @returns {Promise<object>} { width, height, diffPixels, totalPixels, similarity, sizeMismatch, diff: PNG buffer }
+ */
+async function compareImages(baseline, actual, { pixelThreshold = 0.1 } = {}) {
+    const { PNG, pixelmatch } = await loadImageTools();
+    let expected = PNG.sync.read(baseline);
+    let received = PNG.sync.read(actual);
+    const width = Math.max(expected.width, received.width);
+    const height = Math.max(expected.height, received.height);
+    const sizeMismatch = expected.width !== received.width || expected.height !== received.height;
+    expected = padImage(PNG, expected, width, height);
+    received = padImage(PNG, received, width, height);
+
+    const diff = new PNG({ width, height });
+    const diffPixels = pixelmatch(expected.data, received.data, diff.data, width, height, { threshold: pixelThreshold });
+    const totalPixels = width * height;
+    return {
+        width,
+        height,
+        diffPixels,
+        totalPixels,
+        similarity: totalPixels > 0 ? Number((1 - diffPixels / totalPixels).toFixed(4)) : 1,
+        sizeMismatch,
+        diff: PNG.sync.write(diff)
+    };
+}
+
+async function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// node_modules holding this package's express, so a generated app runs without its own npm install
+function ownNodeModules() {
+    const expressEntry = createRequire(import.meta.url).resolve('express');
+    let dir = path.dirname(expressEntry);
+    while (path.basename(dir) !== 'node_modules' && path.dirname(dir) !== dir) dir = path.dirname(dir);
+    return dir;
+}
+
+/**
+ * Starts a generated app (`node app.js`) on a free port and waits until it answers
+ * @returns {Promise<{url: string, stop: () => Promise<void>}>}
+ */
+async function startApp(appDir, { timeout = APP_START_TIMEOUT_MS } = {}) {
+    if (!await fileExists(path.join(appDir, 'app.js'))) {
+        throw new Error(`No generated app in ${appDir}. Run generate first or pass appUrl`);
+    }
+    const port = await freePort();
+    const nodePath = [ownNodeModules(), process.env.NODE_PATH].filter(Boolean).join(path.delimiter);
+    const child = spawn(process.execPath, ['app.js'], {
+        cwd: appDir,
+        env: { ...process.env, PORT: String(port), NODE_PATH: nodePath },
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    const stop = async () => {
+        if (child.exitCode === null && child.signalCode === null) {
+            child.kill();
+            await exited;
+        }
+    };
+
+    const url = `http://127.0.0.1:${port}/`;
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) throw new Error(`The app in ${appDir} exited: ${stderr.trim() || `code ${child.exitCode}`}`);
+        try {
+            await axios.get(url, { timeout: 1000, validateStatus: () => true });
+            return { url, stop };
+        } catch (e) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    await stop();
+    throw new Error(`The app in ${appDir} did not answer within ${timeout}ms`);
+}
+
+/**
+ * Captures baseline screenshots of the original pages (needs the live site)
+ * @param {string} cloneDir - Clone directory with a manifest
+ * @param {object} [options] - { viewports, pages: page paths to capture (default: all), browser, launchOptions, timeout, settleMs,
+ *        fullPage, signal: stops at the next screenshot and rejects with its reason }
+ * @returns {Promise<object>} { status, dir, viewports, captured: [{ page, viewport, file }], failed: [{ page, viewport, error }] }
+ */
+async function captureBaselines(cloneDir, { viewports = DEFAULT_VIEWPORTS, pages, browser, launchOptions, ...shotOptions } = {}) {
+    cloneDir = path.resolve(cloneDir);
+    if (!await CloneManifest.load(cloneDir)) throw new Error(`${cloneDir} has no clone manifest, so the original page URLs are unknown`);
+    const targets = (await clonePages(cloneDir)).filter(p => !pages || pages.includes(p.path));
+    if (targets.length === 0) throw new Error(`No pages to capture in ${cloneDir}`);
+    viewports = viewports.map(parseViewport);
+
+    const owned = !browser;
+    if (owned) browser = await launchBrowser(launchOptions);
+    const captured = [];
+    const failed = [];
+    try {
+        for (const viewport of viewports) {
+            for (const page of targets) {
+                const file = baselinePath(cloneDir, viewport, page.path);
+                try {
+                    const png = await screenshot(browser, page.url, viewport, shotOptions);
+                    await fs.mkdir(path.dirname(file), { recursive: true });
+                    await fs.writeFile(file, png);
+                    captured.push({ page: page.path, viewport: viewport.name, file: toPosix(path.relative(cloneDir, file)) });
+                } catch (e) {
+                    shotOptions.signal?.throwIfAborted();
+                    failed.push({ page: page.path, viewport: viewport.name, error: e.message });
+                }
+            }
+        }
+    } finally {
+        if (owned) await browser.close();
+    }
+    return { status: 'success', dir: path.join(cloneDir, MANIFEST_DIR, BASELINES_DIR), viewports, captured, failed };
+}
+
+/**
+ * Screenshots the generated app and diffs every page against its baselines (works offline)
+ * @param {string} cloneDir - Clone directory with baselines
+ * @param {object} [options] - { appUrl: an app that is already running, appDir (default: <clone>_app),
+ *        viewports, threshold: minimum similarity to pass (0-1), pixelThreshold, browser, launchOptions,
+ *        timeout, settleMs, fullPage, signal: stops at the next screenshot and rejects with its reason }
+ * @returns {Promise<object>} { status, passed, score, threshold, appUrl, viewports, compared, missingBaselines, results, file }
+ */
+async function compareVisual(cloneDir, {
+    appUrl = null,
+    appDir = null,
+    viewports = DEFAULT_VIEWPORTS,
+    threshold = 0.95,
+    pixelThreshold = 0.1,
+    browser,
+    launchOptions,
+    ...shotOptions
+} = {}) {
+    cloneDir = path.resolve(cloneDir);
+    viewports = viewports.map(parseViewport);
+    const pages = await clonePages(cloneDir);
+    const withBaseline = [];
+    for (const viewport of viewports) {
+        for (const page of pages) {
+            if (await fileExists(baselinePath(cloneDir, viewport, page.path))) withBaseline.push({ page, viewport });
+        }
+    }
+    if (withBaseline.length === 0) throw new Error(`No baselines in ${cloneDir}. Capture them first (baseline command)`);
+    await loadImageTools();
+
+    const outDir = path.join(cloneDir, MANIFEST_DIR, VISUAL_DIR);
+    const app = appUrl ? { url: appUrl, stop: async () => {} } : await startApp(appDir || `${cloneDir}_app`);
+    const owned = !browser;
+    const results = [];
+    try {
+        if (owned) browser = await launchBrowser(launchOptions);
+        // Images of pages or viewports no longer compared must not linger
+        await fs.rm(outDir, { recursive: true, force: true });
+        const offlineOrigin = new URL(app.url).origin;
+        for (const { page, viewport } of withBaseline) {
+            const image = `${viewport.name}/${imageName(page.path)}`;
+            const result = {
+                page: page.path,
+                viewport: viewport.name,
+                baseline: toPosix(path.relative(cloneDir, baselinePath(cloneDir, viewport, page.path)))
+            };
+            try {
+                const actual = await screenshot(browser, appPageUrl(app.url, page.path), viewport, { ...shotOptions, offlineOrigin });
+                const baseline = await fs.readFile(baselinePath(cloneDir, viewport, page.path));
+                const { diff, ...score } = await compareImages(baseline, actual, { pixelThreshold });
+                for (const [kind, png] of [['actual', actual], ['diff', diff]]) {
+                    const file = path.join(outDir, kind, image);
+                    await fs.mkdir(path.dirname(file), { recursive: true });
+                    await fs.writeFile(file, png);
+                    result[kind] = toPosix(path.relative(cloneDir, file));
+                }
+                Object.assign(result, score, { passed: score.similarity >= threshold });
+            } catch (e) {
+                shotOptions.signal?.throwIfAborted();
+                Object.assign(result, { similarity: 0, passed: false, error: e.message });
+            }
+            results.push(result);
+        }
+    } finally {
+        if (owned && browser) await browser.close();
+        await app.stop();
+    }
+
+    const score = Number((results.reduce((sum, r) => sum + r.similarity, 0) / results.length).toFixed(4));
+    const covered = new Set(withBaseline.map(({ page }) => page.path));
+    const report = {
+        generatedAt: new Date().toISOString(),
+        appUrl: appUrl || null,
+        threshold,
+        score,
+        passed: results.every(r => r.passed),
+        viewports,
+        compared: results.length,
+        missingBaselines: pages.map(p => p.path).filter(p => !covered.has(p)),
+        results
+    };
+    const file = path.join(outDir, RESULTS_FILE);
+    await fs.mkdir(outDir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify(report, null, 2));
+    return { status: 'success', ...report, file };
+}
+
+/**
+ * The last comparison of a clone (visual.json), or null if it has none
+ */
+async function readVisualResults(cloneDir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(cloneDir, MANIFEST_DIR, VISUAL_DIR, RESULTS_FILE), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+export {
+    DEFAULT_VIEWPORTS,
+    parseViewport,
+    compareImages,
+    startApp,
+    captureBaselines,
+    compareVisual,
+    readVisualResults
+};
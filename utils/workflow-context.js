@@ -0,0 +1,103 @@
+/**
+ * Workflow context - named outputs of the tools run so far. Tool inputs refer to them
+ * explicitly with { "$ref": "<name>.<path>" } (e.g. { "$ref": "clone.dir" }, { "$ref": "analysis" }).
+ * Function-calling APIs that enforce parameter types cannot send an object for a string
+ * parameter, so the string "$ref:clone.dir" is accepted as well.
+ *
+ * Every result is stored under its tool's default output name (the latest call wins) and,
+ * when the input has `saveAs`, under that name too, so plans can work on several sites.
+ */
+
+const SAVE_AS = 'saveAs';
+const REF_PREFIX = '$ref:';
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+class UnresolvedReferenceError extends Error {}
+
+const isRef = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length === 1 && typeof value.$ref === 'string';
+
+class WorkflowContext {
+    constructor() {
+        this.outputs = new Map();
+    }
+
+    names() {
+        return Array.from(this.outputs.keys());
+    }
+
+    /**
+     * Stores a tool result under one or more names
+     */
+    set(names, value) {
+        for (const name of [].concat(names).filter(Boolean)) this.outputs.set(name, value);
+    }
+
+    /**
+     * Value at a reference path: the output name, then properties or array indexes separated by dots
+     * @throws {UnresolvedReferenceError} When the output or a path segment does not exist
+     */
+    get(refPath) {
+        const [name, ...segments] = String(refPath).split('.');
+        if (!this.outputs.has(name)) {
+            const available = this.names();
+            throw new UnresolvedReferenceError(`Reference "${refPath}" points to nothing: no output named "${name}"` +
+                ` (available: ${available.length > 0 ? available.join(', ') : 'none yet'})`);
+        }
+        let value = this.outputs.get(name);
+        let at = name;
+        for (const segment of segments) {
+            if (value === null || typeof value !== 'object' || !(segment in value)) {
+                throw new UnresolvedReferenceError(`Reference "${refPath}" points to nothing: "${at}" has no "${segment}"`);
+            }
+            value = value[segment];
+            at = `${at}.${segment}`;
+        }
+        return value;
+    }
+
+    /**
+     * Replaces every { "$ref": ... } in a tool input (at any depth) with the value it refers to
+     * @throws {UnresolvedReferenceError}
+     */
+    resolve(input) {
+        if (isRef(input)) return this.get(input.$ref);
+        if (typeof input === 'string' && input.startsWith(REF_PREFIX)) return this.get(input.slice(REF_PREFIX.length));
+        if (Array.isArray(input)) return input.map(item => this.resolve(item));
+        if (input !== null && typeof input === 'object') {
+            return Object.fromEntries(Object.entries(input).map(([k, v]) => [k, this.resolve(v)]));
+        }
+        return input;
+    }
+}
+
+/**
+ * Splits the optional `saveAs` output name off a tool input
+ * @returns {{input: *, saveAs: (string|null)}}
+ * @throws {Error} When `saveAs` is not a valid name
+ */
+function takeSaveAs(input) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input) || !(SAVE_AS in input)) {
+        return { input, saveAs: null };
+    }
+    const { [SAVE_AS]: saveAs, ...rest } = input;
+    if (typeof saveAs !== 'string' || !NAME_PATTERN.test(saveAs)) {
+        throw new Error(`"${SAVE_AS}" must be a name made of letters, digits, "_" and "-" (got ${JSON.stringify(saveAs)})`);
+    }
+    return { input: rest, saveAs };
+}
+
+/**
+ * Adds the optional `saveAs` parameter to a tool's parameter schema, for function declarations
+ */
+function withSaveAs(parameters) {
+    return {
+        ...parameters,
+        properties: {
+            ...(parameters.properties || {}),
+            [SAVE_AS]: { type: 'string', description: 'Optional extra name to store this result under, for later {"$ref": "<name>..."} references' }
+        }
+    };
+}
+
+export { WorkflowContext, UnresolvedReferenceError, takeSaveAs, withSaveAs };
@@ -0,0 +1,137 @@
+/**
+ * Workflow pipeline - the clone → analyze → generate stages as a state machine.
+ *
+ * Every stage is pending, running, succeeded, failed or skipped. Stages move as their tools
+ * are called, by the LLM or by the deterministic fallback. The fallback runs the stages
+ * that have not succeeded, in order, on the same workflow context, retrying failed ones.
+ * A stage whose earlier stage did not succeed is skipped. When an earlier stage succeeds
+ * again (e.g. a second clone), the stages after it go back to pending.
+ *
+ * Fallback policies (FALLBACK_POLICY):
+ *   never       - only the LLM runs the workflow
+ *   last_resort - fall back when the LLM run failed: the provider errored, a reply had no
+ *                 usable steps, or the iteration limit was reached (default)
+ *   always      - also finish the stages the LLM left undone after a clean run
+ */
+
+const FALLBACK_POLICIES = ['never', 'last_resort', 'always'];
+
+const STAGES = [
+    {
+        name: 'clone',
+        tool: 'cloneWebsite',
+        input: ({ url, cloneOptions }) => (cloneOptions ? { url, options: cloneOptions } : { url })
+    },
+    {
+        name: 'analyze',
+        tool: 'analyzeWebsite',
+        input: () => ({ dirPath: { $ref: 'clone.dir' } })
+    },
+    {
+        name: 'generate',
+        tool: 'generateNodeApp',
+        input: () => ({ clonedDir: { $ref: 'clone.dir' }, analysis: { $ref: 'analysis' } })
+    }
+];
+
+/**
+ * First http(s) URL in a text, without trailing punctuation
+ * @returns {string|null}
+ */
+function extractUrl(text) {
+    const match = String(text ?? '').match(/https?:\/\/[^\s<>"'`]+/i);
+    return match ? match[0].replace(/[.,;:!?)\]}]+$/, '') : null;
+}
+
+class WorkflowPipeline {
+    /**
+     * @param {object} options - { url, cloneOptions, retries: extra attempts per failed stage }
+     */
+    constructor({ url = null, cloneOptions = null, retries = 1 } = {}) {
+        this.url = url;
+        this.cloneOptions = cloneOptions;
+        this.retries = retries;
+        this.stages = STAGES.map(stage => ({
+            ...stage,
+            status: 'pending',
+            attempts: 0,
+            by: null,
+            error: null
+        }));
+    }
+
+    get complete() {
+        return this.stages.every(stage => stage.status === 'succeeded');
+    }
+
+    /**
+     * Updates the stage of a tool from a call's outcome (see executeTool in workflow-orchestrator.js)
+     * @param {string} toolName - Tool that ran
+     * @param {object} outcome - { succeeded, error, result }
+     * @param {string} [by] - 'llm' or 'fallback'
+     */
+    observe(toolName, outcome, by = 'llm') {
+        const index = this.stages.findIndex(stage => stage.tool === toolName);
+        if (index === -1) return;
+        const stage = this.stages[index];
+        stage.attempts++;
+        stage.by = by;
+        if (outcome.succeeded) {
+            stage.status = 'succeeded';
+            stage.error = null;
+            for (const later of this.stages.slice(index + 1)) {
+                if (later.status === 'succeeded') later.status = 'pending';
+            }
+        } else {
+            stage.status = 'failed';
+            stage.error = outcome.error || String(outcome.result?.error || outcome.result || 'Failed');
+        }
+    }
+
+    /**
+     * @param {string} policy - One of FALLBACK_POLICIES
+     * @param {boolean} llmFailed - Whether the LLM run ended in failure
+     */
+    shouldFallBack(policy, llmFailed) {
+        if (this.complete || policy === 'never') return false;
+        return policy === 'always' || llmFailed;
+    }
+
+    /**
+     * Runs every stage that has not succeeded, in order
+     * @param {function(string, object): Promise<object>} runTool - (toolName, input) => executeTool outcome
+     */
+    async fallback(runTool) {
+        for (const [index, stage] of this.stages.entries()) {
+            if (stage.status === 'succeeded') continue;
+            const blocker = this.stages.slice(0, index).find(earlier => earlier.status !== 'succeeded');
+            if (blocker) {
+                stage.status = 'skipped';
+                stage.error = `The ${blocker.name} stage did not succeed`;
+                continue;
+            }
+            if (stage.name === 'clone' && !this.url) {
+                stage.status = 'failed';
+                stage.error = 'No target URL was given';
+                continue;
+            }
+
+            for (let attempt = 0; attempt <= this.retries; attempt++) {
+                if (attempt > 0) console.warn(`🔁 Retrying the ${stage.name} stage (${stage.error})`);
+                console.log(`\n⚙️ Fallback: ${stage.name} stage (${stage.tool})`);
+                stage.status = 'running';
+                this.observe(stage.tool, await runTool(stage.tool, stage.input(this)), 'fallback');
+                if (stage.status === 'succeeded') break;
+            }
+        }
+    }
+
+    /**
+     * Stage statuses for logs and traces
+     */
+    summary() {
+        return this.stages.map(({ name, status, attempts, by, error }) => ({ name, status, attempts, by, error }));
+    }
+}
+
+export { FALLBACK_POLICIES, WorkflowPipeline, extractUrl };
@@ -1,60 +1,302 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import fs from 'fs/promises';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import JsonHandler from './utils/json-handler.js';
+import { createProvider, providerFromConfig } from './utils/llm-providers.js';
+import { ToolRegistry } from './utils/tool-registry.js';
+import { WorkflowContext, UnresolvedReferenceError, takeSaveAs, withSaveAs } from './utils/workflow-context.js';
+import { RunTrace } from './utils/run-trace.js';
+import { ContextManager } from './utils/context-manager.js';
+import { MANIFEST_DIR } from './utils/manifest.js';
+import { WorkflowPipeline, extractUrl } from './utils/workflow-pipeline.js';
+import { currentConfig } from './utils/config.js';
 import * as clonerTools from './chai-gem-cloner.js';
 
 // Load environment variables from .env file
 import dotenv from 'dotenv';
 dotenv.config();
 
-const USE_GOOGLE = process.env.USE_GOOGLE === 'true';
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
-const FALLBACK_POLICY = (process.env.FALLBACK_POLICY || 'last_resort').toLowerCase();
-const COT_PROMPT_FILE = process.env.COT_PROMPT_FILE || 'COT_SETUP.md';
+const TOOLS_PLACEHOLDER = '{{TOOLS}}';
+const DEFAULT_PROMPT_FILE = fileURLToPath(new URL('./COT_SETUP.md', import.meta.url));
+const NATIVE_TOOLS_NOTE = '**Native tool calling:** this session supports function calling. Call the tools directly ' +
+    'instead of writing `TOOL` steps, and reply with a plain-text summary (no tool call) when the task is complete.';
+
+/* ========== TOOL DEFINITIONS ========== */
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
 
 const TOOL_MAP = {
-    cloneWebsite: clonerTools.cloneWebsite,
-    analyzeWebsite: clonerTools.analyzeWebsite,
-    generateNodeApp: clonerTools.generateNodeApp,
-    executeCommand: clonerTools.executeCommand,
+    cloneWebsite: {
+        description: 'Clones a website into clones/<host>_<timestamp> and returns a summary with the clone directory. ' +
+            'Only the given page is cloned unless `options.crawl` or `options.sitemap` is set. Pages disallowed by robots.txt are skipped.',
+        parameters: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', description: 'Start URL (http or https)' },
+                options: {
+                    type: 'object',
+                    description: 'Optional clone options',
+                    properties: {
+                        crawl: { type: 'boolean', description: 'Follow same-origin links breadth-first' },
+                        maxDepth: { type: 'integer', minimum: 0, description: 'Link depth to crawl (default 2)' },
+                        maxPages: { type: 'integer', minimum: 1, description: 'Maximum pages to clone (default 50)' },
+                        include: { ...STRING_LIST, description: 'Only crawl URLs matching one of these RegExps' },
+                        exclude: { ...STRING_LIST, description: 'Skip URLs matching any of these RegExps' },
+                        sitemap: { type: 'boolean', description: "Seed pages from the site's sitemaps" },
+                        resume: { type: 'boolean', description: 'Continue an interrupted clone of the same site' },
+                        resync: { type: 'boolean', description: 'Refresh only what changed since the last clone' },
+                        renderer: { type: 'string', enum: ['static', 'browser'], description: 'Use "browser" for single-page apps whose HTML is an empty shell; their API responses are replayed offline by the generated app' },
+                        failedAssetFallback: { type: 'string', enum: ['placeholder', 'keep', 'blank'], description: 'What references to assets that failed to download become' }
+                    }
+                }
+            },
+            required: ['url']
+        },
+        returns: {
+            type: 'object',
+            description: 'On success { status: "success", message, dir, pagesCount, assetsCount, failedDownloads, ... }; an error message string otherwise'
+        },
+        output: 'clone',
+        handler: ({ url, options }) => clonerTools.cloneWebsite(url, options)
+    },
+    analyzeWebsite: {
+        description: 'Analyzes a cloned website directory and returns a report.',
+        parameters: {
+            type: 'object',
+            properties: {
+                dirPath: { type: 'string', description: 'Clone directory (the `dir` returned by cloneWebsite)' }
+            },
+            required: ['dirPath']
+        },
+        returns: {
+            type: 'object',
+            description: '{ htmlFiles, cssFiles, jsFiles, images, totalSize, pages (per-page structure, techStack and SEO/accessibility findings), techStack, findingsSummary, pageStructure }, or { error }'
+        },
+        output: 'analysis',
+        handler: ({ dirPath }) => clonerTools.analyzeWebsite(dirPath)
+    },
+    generateNodeApp: {
+        description: 'Creates a runnable Express app from a cloned site in <clonedDir>_app.',
+        parameters: {
+            type: 'object',
+            properties: {
+                clonedDir: { type: 'string', description: 'Clone directory' },
+                analysis: { type: 'object', description: 'The report returned by analyzeWebsite' },
+                optimize: { type: 'boolean', description: 'Minify, recompress and pre-compress the app\'s assets (default: the config\'s optimize.enabled)' }
+            },
+            required: ['clonedDir', 'analysis']
+        },
+        returns: {
+            type: 'object',
+            description: '{ status: "success", message, appDir, optimization, reports, nextSteps }, or { error }'
+        },
+        output: 'app',
+        handler: ({ clonedDir, analysis, optimize }) => clonerTools.generateNodeApp(clonedDir, analysis, { optimize })
+    },
+    verifyClone: {
+        description: 'Checks that a clone is self-contained: every reference in its HTML and CSS must resolve to a file ' +
+            'in the clone. Flags references to the original site or other hosts, broken local paths and missing #anchors.',
+        parameters: {
+            type: 'object',
+            properties: {
+                dir: { type: 'string', description: 'Clone directory (the `dir` returned by cloneWebsite)' },
+                allowHosts: { type: 'array', items: { type: 'string' }, description: 'Hosts assets may still load from, e.g. fonts.googleapis.com' },
+                strict: { type: 'boolean', description: 'Fail on warnings (links leaving the clone, missing anchors) too' }
+            },
+            required: ['dir']
+        },
+        returns: {
+            type: 'object',
+            description: '{ status: "success", passed, summary: { error, warning, info }, byRule, issues: [{ rule, severity, file, ref, message }] }, or { error }'
+        },
+        output: 'verification',
+        handler: ({ dir, allowHosts, strict }) => clonerTools.verifyClone(dir, { allowHosts, strict })
+    },
+    executeCommand: {
+        description: 'Runs an allow-listed command (e.g. `ls`, `du`, `npm install`) in the generated app directory, ' +
+            'or in the clone directory before an app exists. There is no shell: pipes, redirects and `;` are rejected, ' +
+            'and paths outside that directory are denied.',
+        parameters: {
+            type: 'object',
+            properties: {
+                cmd: { type: 'string', description: 'Command line to run' }
+            },
+            required: ['cmd']
+        },
+        returns: {
+            type: 'object',
+            description: '{ status: "success"|"failed", exitCode, stdout, stderr, truncated, timedOut }, or { error } when the command was denied'
+        },
+        output: 'command',
+        handler: ({ cmd }, { context } = {}) => clonerTools.executeCommand(cmd, { cwd: commandDir(context) })
+    },
 };
 
+const toolRegistry = new ToolRegistry(TOOL_MAP);
+
+// executeCommand is locked to the latest app directory, or the latest clone before there is one
+function commandDir(context) {
+    const app = context?.outputs.get('app');
+    const clone = context?.outputs.get('clone');
+    return app?.appDir || clone?.dir || null;
+}
+
+// Tools report failure with an error string or an { error } object
+function toolSucceeded(result) {
+    return Boolean(result) && typeof result === 'object' && !result.error;
+}
+
+/**
+ * Resolves $refs, validates the input and runs a tool. Errors are reported in the outcome,
+ * not thrown, so they can go back to the model as the observation.
+ * @returns {Promise<object>} { ok, succeeded, savedAs, result, error, observation }
+ */
+async function executeTool(toolName, input, context) {
+    let toolInput, saveAs;
+    try {
+        ({ input: toolInput, saveAs } = takeSaveAs(input));
+        toolInput = context.resolve(toolInput);
+    } catch (e) {
+        const error = e instanceof UnresolvedReferenceError ? e.message : `Invalid input for ${toolName}: ${e.message}`;
+        console.error(error);
+        return { ok: false, succeeded: false, error, observation: `Error: ${error}` };
+    }
+
+    const outcome = await toolRegistry.call(toolName, toolInput, { context });
+    if (!outcome.ok) {
+        console.error(outcome.error);
+        return { ok: false, succeeded: false, error: outcome.error, observation: `Error: ${outcome.error}` };
+    }
+    const savedAs = [toolRegistry.get(toolName).output, saveAs].filter(Boolean);
+    context.set(savedAs, outcome.result);
+    return {
+        ok: true,
+        succeeded: toolSucceeded(outcome.result),
+        savedAs,
+        result: outcome.result,
+        observation: JSON.stringify({ savedAs, result: outcome.result }, null, 2)
+    };
+}
+
+/**
+ * Runs a tool and records the call in a run trace, which moves under the clone directory
+ * as soon as there is one
+ * @returns {Promise<object>} The executeTool outcome
+ */
+async function tracedTool(trace, toolName, input, context, extra = {}) {
+    const started = Date.now();
+    const outcome = await executeTool(toolName, input, context);
+    trace.attach(context.outputs.get('clone')?.dir);
+    await trace.record('tool_call', {
+        ...extra,
+        tool: toolName,
+        input,
+        ok: outcome.ok,
+        succeeded: outcome.succeeded,
+        savedAs: outcome.savedAs || [],
+        output: outcome.ok ? outcome.result : null,
+        error: outcome.error || null,
+        durationMs: Date.now() - started
+    });
+    return outcome;
+}
+
+/**
+ * Structured workflow request from a { url, prompt, cloneOptions } object, or from a
+ * plain-text request with the target URL in it
+ * @returns {{url: (string|null), prompt: string, cloneOptions: (object|null)}}
+ */
+function normalizeRequest(request) {
+    if (request && typeof request === 'object') {
+        const url = request.url ? String(request.url).trim() : null;
+        const cloneOptions = request.cloneOptions && Object.keys(request.cloneOptions).length > 0 ? request.cloneOptions : null;
+        let prompt = request.prompt ||
+            `Clone the website ${url}, analyze its structure, and generate a runnable Node.js application.`;
+        if (cloneOptions) prompt += `\nUse these clone options: ${JSON.stringify(cloneOptions)}`;
+        return { url, prompt, cloneOptions };
+    }
+    const prompt = String(request ?? '');
+    return { url: extractUrl(prompt), prompt, cloneOptions: null };
+}
+
+/**
+ * Re-executes the tool calls of a run trace in order, without calling the LLM.
+ * A call matches when it succeeds or fails as it did in the recorded run.
+ * @param {string} tracePath - Trace written by WorkflowOrchestrator.run
+ * @returns {Promise<object>} { status, trace, calls: [{ seq, tool, succeeded, expected, matches, error, durationMs }], mismatches }
+ */
+async function replayRun(tracePath) {
+    const source = path.resolve(tracePath);
+    const recorded = (await RunTrace.read(source)).filter(e => e.type === 'tool_call');
+    const context = new WorkflowContext();
+    const trace = new RunTrace();
+    await trace.record('run_start', { mode: 'replay', source, toolCalls: recorded.length });
+
+    const calls = [];
+    for (const call of recorded) {
+        console.log(`\n🔁 Replaying tool call #${call.seq}: ${call.tool}`);
+        const started = Date.now();
+        const outcome = await tracedTool(trace, call.tool, call.input, context, { replayOf: call.seq });
+        const expected = call.succeeded ?? call.ok;
+        calls.push({
+            seq: call.seq,
+            tool: call.tool,
+            succeeded: outcome.succeeded,
+            expected,
+            matches: outcome.succeeded === expected,
+            error: outcome.error || (outcome.succeeded ? null : String(outcome.result?.error || outcome.result)),
+            durationMs: Date.now() - started
+        });
+    }
+
+    const mismatches = calls.filter(c => !c.matches).length;
+    await trace.record('run_end', { mismatches });
+    const file = await trace.close();
+    console.log(`📝 Replay trace: ${file}`);
+    return { status: mismatches === 0 ? 'success' : 'failed', trace: file, calls, mismatches };
+}
+
 class WorkflowOrchestrator {
-    constructor(apiKey) {
-        if (!apiKey) {
-            throw new Error('GEMINI_API_KEY is required for WorkflowOrchestrator.');
-        }
-        this.genAI = new GoogleGenerativeAI(apiKey);
-        this.model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+    /**
+     * @param {string|object|null} provider - LLM provider name or object (see utils/llm-providers.js);
+     *     null runs the pipeline deterministically
+     * @param {object} [providerOptions] - Passed to createProvider when `provider` is a name
+     */
+    constructor(provider, providerOptions = {}) {
+        this.provider = provider ? createProvider(provider, providerOptions) : null;
         this.conversationHistory = [];
         this.systemPrompt = '';
+        this.context = new WorkflowContext();
+        this.trace = null;
+        this.pipeline = null;
+        // fallbackPolicy, stageRetries, promptFile and token limits (see utils/config.js)
+        this.settings = currentConfig().workflow;
+        this.contextManager = new ContextManager({
+            historyTokenBudget: this.settings.contextTokenBudget,
+            maxObservationTokens: this.settings.observationTokenLimit
+        });
     }
 
     async initialize() {
+        if (!this.provider) return;
+        // A configured prompt file is relative to the working directory; the bundled one is not
+        const promptPath = this.settings.promptFile ? path.resolve(process.cwd(), this.settings.promptFile) : DEFAULT_PROMPT_FILE;
         try {
-            const promptPath = path.resolve(process.cwd(), COT_PROMPT_FILE);
             const promptContent = await fs.readFile(promptPath, 'utf8');
-            this.systemPrompt = promptContent;
+            // The tool list comes from the registry, so the prompt always matches the schemas
+            const toolList = toolRegistry.describe();
+            this.systemPrompt = promptContent.includes(TOOLS_PLACEHOLDER)
+                ? promptContent.replace(TOOLS_PLACEHOLDER, toolList)
+                : `${promptContent}\n\n**Available Tools:**\n${toolList}`;
+            if (this.provider.supportsTools) this.systemPrompt += `\n\n${NATIVE_TOOLS_NOTE}`;
             this.conversationHistory.push({ role: 'system', content: this.systemPrompt });
         } catch (error) {
-            console.error(`Failed to load system prompt from ${COT_PROMPT_FILE}:`, error);
+            console.error(`Failed to load system prompt from ${promptPath}:`, error);
             throw new Error('Could not initialize orchestrator.');
         }
     }
 
-    async generateWithGoogle(messages) {
-        const contents = messages.map(m => ({
-            role: m.role === 'assistant' ? 'model' : 'user',
-            parts: [{ text: m.content }],
-        }));
-
-        const result = await this.model.generateContent({
-            contents,
-            generationConfig: { temperature: 0.0, maxOutputTokens: 4000 },
-        });
-
-        return result.response?.candidates?.[0]?.content?.parts?.[0]?.text || JSON.stringify(result.response);
+    async generate(messages, tools) {
+        return this.provider.generate(messages, { temperature: 0.0, maxOutputTokens: 4000, tools });
     }
 
     extractFirstJsonArray(text) {
@@ -105,29 +347,141 @@ class WorkflowOrchestrator {
         return steps;
     }
 
-    async run(initialRequest) {
+    /**
+     * Runs the workflow and writes its trace (see utils/run-trace.js)
+     * @param {object|string} request - { url, prompt, cloneOptions }, or a text request containing the URL
+     * @returns {Promise<string|undefined>} Generated app directory
+     */
+    async run(request) {
+        this.trace = new RunTrace();
+        try {
+            return await this.runWorkflow(normalizeRequest(request));
+        } catch (e) {
+            await this.trace.record('error', { message: e.message, stack: e.stack });
+            throw e;
+        } finally {
+            console.log(`📝 Run trace: ${await this.trace.close()}`);
+        }
+    }
+
+    async runWorkflow({ url, prompt, cloneOptions }) {
         console.log('🤖 Orchestrator starting workflow...');
-        this.conversationHistory.push({ role: 'user', content: initialRequest });
+        const trace = this.trace;
+        const context = this.context;
+        const pipeline = this.pipeline = new WorkflowPipeline({ url, cloneOptions, retries: this.settings.stageRetries });
+        const nativeTools = this.provider?.supportsTools
+            ? toolRegistry.declarations().map(d => ({ ...d, parameters: withSaveAs(d.parameters) }))
+            : undefined;
+
+        await trace.record('run_start', {
+            mode: this.provider ? 'llm' : 'deterministic',
+            request: prompt,
+            url,
+            cloneOptions,
+            provider: this.provider?.name || null,
+            toolCalling: this.provider ? (nativeTools ? 'native' : 'steps') : null,
+            fallbackPolicy: this.settings.fallbackPolicy
+        });
+
+        let llmFailed = false;
+        if (this.provider) {
+            llmFailed = !(await this.runLlm(prompt, nativeTools));
+        } else {
+            console.log('\n⚙️ No LLM provider, running the pipeline deterministically.');
+        }
+
+        // Without a provider the fallback is the whole workflow
+        const fallback = this.provider ? pipeline.shouldFallBack(this.settings.fallbackPolicy, llmFailed) : !pipeline.complete;
+        if (fallback) {
+            console.log('Executing deterministic fallback...');
+            await pipeline.fallback(async (toolName, input) => tracedTool(trace, toolName, input, context, { by: 'fallback' }));
+        }
+
+        const stages = pipeline.summary();
+        console.log('\n📋 Stages:');
+        for (const stage of stages) {
+            const detail = [stage.by, stage.attempts > 1 ? `${stage.attempts} attempts` : null, stage.error].filter(Boolean).join(', ');
+            console.log(`   ${stage.name.padEnd(9)} ${stage.status}${detail ? ` (${detail})` : ''}`);
+        }
+
+        console.log('\n🤖 Orchestrator workflow finished.');
+        const cloneDir = context.outputs.get('clone')?.dir;
+        const appDir = context.outputs.get('app')?.appDir || (cloneDir ? `${cloneDir}_app` : undefined);
+        trace.attach(cloneDir);
+        await trace.record('run_end', { appDir: appDir || null, llmFailed, fallback, stages });
+        return appDir;
+    }
+
+    /**
+     * The LLM loop: the model calls tools until it reports the task complete
+     * @returns {Promise<boolean>} false when the run failed (provider error, a reply without
+     *     usable steps, or the iteration limit); thrown errors propagate with the 'never' fallback policy
+     */
+    async runLlm(prompt, nativeTools) {
+        const trace = this.trace;
+        const context = this.context;
+        const pipeline = this.pipeline;
+        this.conversationHistory.push({ role: 'user', content: prompt });
 
-        let cloneResult, analysisResult, generateResult;
         const maxIterations = 15;
         let safety = 0;
+        let tracedMessages = 0;
+
+        // Large results are shortened for the prompt and written in full next to the trace
+        const runTool = async (toolName, input, extra) => {
+            const outcome = await tracedTool(trace, toolName, input, context, extra);
+            pipeline.observe(toolName, outcome, 'llm');
+            if (!outcome.ok) return outcome.observation;
+            const cloneDir = context.outputs.get('clone')?.dir;
+            const spillDir = cloneDir
+                ? path.join(cloneDir, MANIFEST_DIR, 'observations', trace.runId)
+                : path.join('logs', 'observations', trace.runId);
+            return this.contextManager.observation(toolName, outcome.savedAs, outcome.result, spillDir);
+        };
 
         while (safety < maxIterations) {
             safety++;
-            let rawResponse;
+            console.log(`\n🤔 Thinking with ${this.provider.name}... (Iteration ${safety})`);
+            // Each request records only the messages added since the previous one
+            const { messages, compacted } = this.contextManager.compact(this.conversationHistory);
+            if (compacted > 0) console.log(`🗜️ Compacted ${compacted} earlier message(s) to stay within the context budget.`);
+            await trace.record('llm_request', { iteration: safety, messages: this.conversationHistory.slice(tracedMessages), compacted });
+            tracedMessages = this.conversationHistory.length;
+            const started = Date.now();
+            let response;
+            try {
+                response = await this.generate(messages, nativeTools);
+            } catch (e) {
+                if (this.settings.fallbackPolicy === 'never') throw e;
+                console.error(`LLM request failed: ${e.message}`);
+                await trace.record('error', { iteration: safety, message: e.message });
+                return false;
+            }
+            await trace.record('llm_response', {
+                iteration: safety,
+                response,
+                usage: this.provider.lastUsage || null,
+                durationMs: Date.now() - started
+            });
 
-            if (USE_GOOGLE) {
-                console.log(`\n🤔 Thinking... (Iteration ${safety})`);
-                rawResponse = await this.generateWithGoogle(this.conversationHistory);
+            let rawResponse;
+            if (response && typeof response === 'object') {
+                if (response.toolCalls.length > 0) {
+                    if (response.text) console.log(`💭 ${response.text}`);
+                    this.conversationHistory.push({ role: 'assistant', content: response.text, toolCalls: response.toolCalls });
+                    for (const call of response.toolCalls) {
+                        console.log(`\n▶️ Calling tool: ${call.name}`);
+                        const observation = call.args && typeof call.args === 'object' && !Array.isArray(call.args)
+                            ? await runTool(call.name, call.args, { callId: call.id })
+                            : `Error: Arguments for ${call.name} must be a JSON object.`;
+                        this.conversationHistory.push({ role: 'tool', toolCallId: call.id, name: call.name, content: observation });
+                    }
+                    continue;
+                }
+                // No tool call: either JSON steps in text or the final answer
+                rawResponse = response.text;
             } else {
-                console.log('\n⚙️ Google disabled, using deterministic plan.');
-                rawResponse = JSON.stringify([
-                    { step: 'TOOL', tool_name: 'cloneWebsite', input: initialRequest.split(' ').pop() },
-                    { step: 'TOOL', tool_name: 'analyzeWebsite', input: null },
-                    { step: 'TOOL', tool_name: 'generateNodeApp', input: null },
-                    { step: 'OUTPUT', content: 'Deterministic workflow complete.' }
-                ]);
+                rawResponse = response;
             }
 
             console.log('--- Raw AI Response ---');
@@ -135,45 +489,25 @@ class WorkflowOrchestrator {
             console.log('-------------------------');
 
             const steps = this.parseAIResponse(rawResponse);
+            await trace.record('steps', { iteration: safety, steps });
             if (steps.length === 0) {
+                if (nativeTools && rawResponse.trim()) {
+                    console.log(`\n✅ Workflow finished with output: ${rawResponse.trim()}`);
+                    return true;
+                }
                 console.warn('No valid steps found in AI response. Ending workflow.');
-                break;
+                return false;
             }
 
             this.conversationHistory.push({ role: 'assistant', content: JSON.stringify(steps) });
 
-            let shouldContinue = true;
             for (const step of steps) {
                 console.log(`\n▶️ Executing step: ${step.step} - ${step.content || step.tool_name}`);
                 let observation = '';
 
                 switch (step.step) {
                     case 'TOOL':
-                        const tool = TOOL_MAP[step.tool_name];
-                        if (!tool) {
-                            observation = `Error: Tool "${step.tool_name}" not found.`;
-                            console.error(observation);
-                        } else {
-                            try {
-                                let toolInput = step.input;
-                                if (step.tool_name === 'analyzeWebsite' && cloneResult?.dir) {
-                                    toolInput = cloneResult.dir;
-                                } else if (step.tool_name === 'generateNodeApp' && cloneResult?.dir && analysisResult) {
-                                    toolInput = [cloneResult.dir, analysisResult];
-                                }
-
-                                const result = await (Array.isArray(toolInput) ? tool(...toolInput) : tool(toolInput));
-                                observation = JSON.stringify(result, null, 2);
-
-                                if (step.tool_name === 'cloneWebsite') cloneResult = result;
-                                if (step.tool_name === 'analyzeWebsite') analysisResult = result;
-                                if (step.tool_name === 'generateNodeApp') generateResult = result;
-
-                            } catch (e) {
-                                observation = `Error executing ${step.tool_name}: ${e.message}`;
-                                console.error(observation);
-                            }
-                        }
+                        observation = await runTool(step.tool_name, step.input);
                         break;
 
                     case 'THINK':
@@ -183,8 +517,7 @@ class WorkflowOrchestrator {
 
                     case 'OUTPUT':
                         console.log(`\n✅ Workflow finished with output: ${step.content}`);
-                        shouldContinue = false;
-                        break;
+                        return true;
 
                     default:
                         observation = `Warning: Unknown step type "${step.step}".`;
@@ -192,52 +525,23 @@ class WorkflowOrchestrator {
                 }
 
                 this.conversationHistory.push({ role: 'developer', content: JSON.stringify({ step: 'OBSERVE', content: observation }) });
-                if (!shouldContinue) break;
-            }
-
-            if (!shouldContinue) break;
-        }
-
-        if (safety >= maxIterations) {
-            console.warn('Reached max iterations, ending workflow.');
-        }
-
-        // Final fallback check
-        const shouldFallback = FALLBACK_POLICY === 'always' && !generateResult;
-        if (shouldFallback) {
-            console.log('Executing deterministic fallback...');
-            try {
-                if (!cloneResult) cloneResult = await clonerTools.cloneWebsite(initialRequest.split(' ').pop());
-                if (cloneResult?.dir && !analysisResult) analysisResult = await clonerTools.analyzeWebsite(cloneResult.dir);
-                if (cloneResult?.dir && analysisResult) generateResult = await clonerTools.generateNodeApp(cloneResult.dir, analysisResult);
-            } catch (e) {
-                console.error('Deterministic fallback failed:', e.message);
             }
         }
 
-        console.log('\n🤖 Orchestrator workflow finished.');
-        return generateResult?.appDir || (cloneResult?.dir ? `${cloneResult.dir}_app` : undefined);
+        console.warn('Reached max iterations, ending workflow.');
+        return false;
     }
 }
 
-let orchestrator = null;
-if (USE_GOOGLE && GEMINI_API_KEY) {
-    orchestrator = new WorkflowOrchestrator(GEMINI_API_KEY);
-} else {
-    console.log('Google Gemini is disabled or API key is not set. Orchestrator will run in deterministic mode.');
-    // A "dummy" orchestrator that can still run deterministically
-    orchestrator = {
-        initialize: async () => {},
-        run: async (initialRequest) => {
-            console.log('Running in deterministic-only mode.');
-            const url = initialRequest.split(' ').pop();
-            const cloneResult = await clonerTools.cloneWebsite(url);
-            if (!cloneResult?.dir) throw new Error('Cloning failed in deterministic mode.');
-            const analysisResult = await clonerTools.analyzeWebsite(cloneResult.dir);
-            const generateResult = await clonerTools.generateNodeApp(cloneResult.dir, analysisResult);
-            return generateResult?.appDir;
-        }
-    };
+// The config's llm.provider (LLM_PROVIDER, or USE_GOOGLE=true for gemini) picks the provider
+let provider = null;
+try {
+    provider = providerFromConfig(currentConfig().llm);
+} catch (e) {
+    console.warn(`LLM provider not available: ${e.message}`);
 }
+if (!provider) console.log('No LLM provider is configured. Orchestrator will run in deterministic mode.');
+
+const orchestrator = new WorkflowOrchestrator(provider);
 
-export { orchestrator };
+export { orchestrator, WorkflowOrchestrator, TOOL_MAP, toolRegistry, replayRun };